@@ -0,0 +1,19 @@
+// Copy the Draco and Basis (KTX2) decoders that ship with three.js into
+// public/decoders, so compressed models are decoded without a CDN.
+// Runs automatically before `npm run dev` and `npm run build`.
+import { cpSync, mkdirSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const libs = `${root}node_modules/three/examples/jsm/libs/`;
+const target = `${root}public/decoders/`;
+
+const DECODERS = {
+  draco: { source: 'draco/gltf/', files: ['draco_decoder.js', 'draco_decoder.wasm', 'draco_wasm_wrapper.js'] },
+  basis: { source: 'basis/', files: ['basis_transcoder.js', 'basis_transcoder.wasm'] },
+};
+
+Object.entries(DECODERS).forEach(([name, { source, files }]) => {
+  mkdirSync(`${target}${name}`, { recursive: true });
+  files.forEach((file) => cpSync(`${libs}${source}${file}`, `${target}${name}/${file}`));
+});
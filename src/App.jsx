@@ -1,11 +1,49 @@
 import React, { useState, useRef, useEffect, Suspense } from 'react';
-import { Canvas } from '@react-three/fiber';
-import { OrbitControls, useGLTF, TransformControls, Html, Environment } from '@react-three/drei';
+import { Canvas, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import { OrbitControls, useGLTF, Html, Environment, Sky } from '@react-three/drei';
 import { Leva, useControls } from 'leva';
-import { create } from 'zustand';
 import { v4 as uuidv4 } from 'uuid';
 // NEW: Import lighting system
 import { calculateRoomBounds, RoomLights, FurnitureLights } from './lightingSystem';
+import { useStore, snapshotDocument } from './store';
+import { registerItemObject, unregisterItemObject, getItemObject, isShown } from './itemObjects';
+import { SelectionGizmo, SelectionBoxes, MarqueeSelect } from './SelectionTools';
+import { ROTATION_STEPS, SCALE_STEPS } from './snapping';
+import { findFreePosition } from './placement';
+import { ITEM_ROLES, guessRole, isRoomItem } from './itemRoles';
+import { loadModelBounds, configureGLTFLoader, setModelRenderer } from './modelLoader';
+import { OverlapMonitor, OverlapHighlights } from './OverlapTools';
+import { packScene, unpackScene, isScenePackage, PACKAGE_EXTENSION } from './scenePackage';
+import { exportSceneGLTF } from './sceneExport';
+import { prepareScene, SCHEMA_VERSION } from './sceneSchema';
+import { startLibrarySync, createLibraryEntry, internSceneAssets } from './assetStore';
+import { inspectModel, formatBytes } from './modelStats';
+import { importModelFiles, MODEL_EXTENSIONS, COMPANION_EXTENSIONS } from './modelImport';
+import { ModelInspector } from './ModelInspector';
+import { downloadBlob } from './download';
+import { exportFloorPlan, DEFAULT_PLAN_OPTIONS, PLAN_FORMATS, PLAN_SCALES, PAPER_SIZES } from './floorPlan';
+import { getLightingPresets, getRoomLightingConfig, ROOM_LIGHTING_OFF } from './lightingPresets';
+import { LightingPresetEditor } from './LightingPresetEditor';
+import { LightItem } from './PlacedLights';
+import { InstancedModels } from './InstancedModels';
+import { partitionInstances } from './instancing';
+import { itemDisplayName, hiddenItemIds, canAttach } from './sceneTree';
+import { SceneOutliner } from './SceneOutliner';
+import { collectCopies, placeCopies, copyRootIds, writeCopiesText, readCopiesText, getLastCopyText, arrayTransforms, DUPLICATE_OFFSET, ARRAY_PATTERNS, DEFAULT_ARRAY_OPTIONS, MAX_ARRAY_COPIES } from './itemCopies';
+import { ArrayPreview } from './ArrayPreview';
+import { SHORTCUT_ACTIONS, comboFromEvent, actionForCombo, shortcutLabel, isTyping } from './shortcuts';
+import { ShortcutHelp } from './ShortcutHelp';
+import { MeasureTool, Measurements, SelectionDimensions } from './MeasureTools';
+import { measurementLength } from './measurements';
+import { LENGTH_UNITS, getLengthUnit, toLengthUnit, fromLengthUnit } from './units';
+import { CameraRig, WalkControls } from './CameraTools';
+import { DEFAULT_VIEW, FOV_RANGE, createCameraBookmark, orbitViewFrom } from './cameraViews';
+import { describeRoom } from './roomLayout';
+import { linkModelClone, applyMaterialAppearance, releaseMaterialAppearance, getModelVariants, listMaterials, MATERIAL_FIELDS, isValidMaterialValue } from './materialOverrides';
+import { getSunLight, formatTime, isValidSunValue, SUN_FIELDS } from './sunPosition';
+import { allocateShadows, SHADOW_QUALITIES, SHADOW_TYPES } from './shadows';
+import { LIGHT_TYPES, createLightItem, getLightFields, isLightItem, isValidLightValue, lightTypeLabel } from './lightItems';
 
 // --- Basic CSS Styles (replaces Tailwind) ---
 const styles = {
@@ -41,6 +79,10 @@ const styles = {
   activeButton: {
     backgroundColor: '#22c55e',
   },
+  disabledButton: {
+    backgroundColor: '#52525b',
+    cursor: 'not-allowed',
+  },
   infoPanel: {
     position: 'absolute',
     bottom: '20px',
@@ -68,6 +110,15 @@ const styles = {
     padding: '8px',
     borderBottom: '1px solid #3f3f46',
   },
+  numberInput: {
+    backgroundColor: '#3f3f46',
+    color: 'white',
+    border: '1px solid #52525b',
+    borderRadius: '4px',
+    padding: '4px',
+    width: '100%',
+    minWidth: 0,
+  },
   select: {
     backgroundColor: '#3f3f46',
     color: 'white',
@@ -78,176 +129,107 @@ const styles = {
   }
 };
 
-// Zustand store for state management
-const useStore = create((set) => ({
-  items: [],
-  library: [], 
-  environment: 'studio', 
-  setEnvironment: (env) => set({ environment: env }),
-  // NEW: Room lighting state
-  roomLightingPreset: 'warm-evening',
-  setRoomLightingPreset: (preset) => set({ roomLightingPreset: preset }),
-  // NEW: Furniture lighting state
-  furnitureLightingPreset: 'default',
-  setFurnitureLightingPreset: (preset) => set({ furnitureLightingPreset: preset }),
-  // NEW: Track room bounds
-  roomBounds: null,
-  setRoomBounds: (bounds) => set({ roomBounds: bounds }),
-  // NEW: Light intensity multipliers
-  roomLightIntensity: 1.0,
-  setRoomLightIntensity: (intensity) => set({ roomLightIntensity: intensity }),
-  furnitureLightIntensity: 1.0,
-  setFurnitureLightIntensity: (intensity) => set({ furnitureLightIntensity: intensity }),
-  // NEW: Room material brightness (overexposure effect)
-  roomMaterialBrightness: 1.0,
-  setRoomMaterialBrightness: (brightness) => set({ roomMaterialBrightness: brightness }),
-  addLibraryItem: (newItem) => set((state) => ({
-    library: [...state.library, newItem]
-  })),
-  removeLibraryItem: (url) => set((state) => ({
-    library: state.library.filter(item => item.url !== url),
-    items: state.items.filter(item => item.url !== url),
-  })),
-  addItem: (item) => set((state) => ({
-    items: [...state.items, item]
-  })),
-  updateItem: (id, newProps) => set((state) => ({
-    items: state.items.map((item) => (item.id === id ? { ...item, ...newProps } : item))
-  })),
-  deleteItem: (id) => set((state) => ({
-    items: state.items.filter(item => item.id !== id),
-    selectedItem: null,
-  })),
-  loadScene: (sceneData) => set({
-    items: sceneData.items || [],
-    library: sceneData.library || [],
-    environment: sceneData.environment || 'studio',
-    // NEW: Load lighting presets
-    roomLightingPreset: sceneData.roomLightingPreset || 'warm-evening',
-    furnitureLightingPreset: sceneData.furnitureLightingPreset || 'default',
-    roomLightIntensity: sceneData.roomLightIntensity || 1.0,
-    furnitureLightIntensity: sceneData.furnitureLightIntensity || 1.0,
-    roomMaterialBrightness: sceneData.roomMaterialBrightness || 1.0,
-    selectedItem: null,
-  }),
-  selectedItem: null,
-  setSelectedItem: (id) => set({ selectedItem: id }),
-  transformMode: 'translate',
-  setTransformMode: (mode) => set({ transformMode: mode }),
-}));
-
-// Component for a single piece of furniture
-function FurnitureModel({ id, url, position, rotation, scale, name }) {
-  const { scene } = useGLTF(url);
-  const { setSelectedItem, updateItem, setRoomBounds } = useStore();
-  const transform = useRef();
-  const transformMode = useStore((state) => state.transformMode);
+// Component for a single piece of furniture; children (attached lights) move with it
+function FurnitureModel({ id, url, position, rotation, scale, role, hidden = false, materialVariant = null, materialOverrides, children }) {
+  const gl = useThree((state) => state.gl);
+  const { scene } = useGLTF(url, false, false, (loader) => configureGLTFLoader(loader, gl));
+  const { pickItem, setRoomBounds } = useStore();
   const roomMaterialBrightness = useStore((state) => state.roomMaterialBrightness);
   
-  // NEW: Check if this is the room model
-  const isRoom = name && name.toLowerCase() === 'room.glb';
+  const isRoom = isRoomItem({ role });
+  const clonedScene = React.useMemo(() => {
+    const clone = scene.clone();
+    linkModelClone(clone, scene);
+    return clone;
+  }, [scene]);
 
+  // Variant, per-item material overrides and (for rooms) the brightness; changed
+  // materials are cloned for this item, so other copies and the cached model keep theirs
   useEffect(() => {
-    scene.traverse((child) => {
-      if (child.isMesh) {
-        if (isRoom) {
-          // Room doesn't cast shadows, only receives
-          child.castShadow = false;
-          child.receiveShadow = true;
-          
-          // NEW: Apply material brightness adjustment for overexposure effect
-          if (child.material) {
-            // Store original material properties if not already stored
-            if (!child.material.userData.originalColor) {
-              child.material.userData.originalColor = child.material.color.clone();
-              child.material.userData.originalEmissive = child.material.emissive ? child.material.emissive.clone() : null;
-              child.material.userData.originalEmissiveIntensity = child.material.emissiveIntensity || 0;
-            }
-            
-            // Apply brightness multiplier
-            const originalColor = child.material.userData.originalColor;
-            child.material.color.r = Math.min(originalColor.r * roomMaterialBrightness, 1);
-            child.material.color.g = Math.min(originalColor.g * roomMaterialBrightness, 1);
-            child.material.color.b = Math.min(originalColor.b * roomMaterialBrightness, 1);
-            
-            // Also increase emissive for glow effect
-            if (child.material.emissive) {
-              const originalEmissive = child.material.userData.originalEmissive;
-              if (originalEmissive) {
-                child.material.emissive.copy(originalEmissive);
-              }
-              // Add brightness-based emissive glow
-              const glowIntensity = (roomMaterialBrightness - 1) * 0.5;
-              child.material.emissiveIntensity = child.material.userData.originalEmissiveIntensity + glowIntensity;
-            }
-            
-            child.material.needsUpdate = true;
-          }
-        } else {
-          // Furniture casts and receives shadows
-          child.castShadow = true;
-          child.receiveShadow = true;
-        }
-      }
+    applyMaterialAppearance(clonedScene, {
+      variant: materialVariant,
+      overrides: materialOverrides,
+      brightness: isRoom ? roomMaterialBrightness : 1,
     });
-    
-    // NEW: If this is the room, calculate its bounds
-    if (isRoom) {
-      const bounds = calculateRoomBounds(scene);
-      setRoomBounds(bounds);
-    }
-    
-    return () => {
-      // Clean up room bounds when room is removed
-      if (isRoom) {
-        setRoomBounds(null);
+  }, [clonedScene, materialVariant, materialOverrides, isRoom, roomMaterialBrightness]);
+  useEffect(() => () => releaseMaterialAppearance(clonedScene), [clonedScene]);
+
+  useEffect(() => {
+    clonedScene.traverse((child) => {
+      if (child.isMesh && !child.userData.lightHelper) {
+        // Rooms only receive shadows; light fixtures would block their own light,
+        // so only furniture and decor cast them
+        child.castShadow = !isRoom && role !== 'light-fixture';
+        child.receiveShadow = true;
       }
-    };
-  }, [scene, isRoom, setRoomBounds, roomMaterialBrightness]);
+    });
+  }, [clonedScene, isRoom, role]);
 
+  // Rooms publish their world-space bounds (after this item's transform) and probed
+  // floor plan for RoomLights
   useEffect(() => {
-    if (transform.current) {
-      const controls = transform.current;
-      const handleDragEnd = () => {
-        const object = controls.object;
-        if (object) {
-          updateItem(id, {
-            position: [object.position.x, object.position.y, object.position.z],
-            rotation: [object.rotation.x, object.rotation.y, object.rotation.z],
-            scale: [object.scale.x, object.scale.y, object.scale.z],
-          });
-        }
-      };
-      controls.addEventListener('mouseUp', handleDragEnd);
-      return () => controls.removeEventListener('mouseUp', handleDragEnd);
-    }
-  }, [transform, id, updateItem]);
+    if (!isRoom) return;
+    clonedScene.updateWorldMatrix(true, true);
+    setRoomBounds(id, { ...calculateRoomBounds(clonedScene), geometry: describeRoom(clonedScene) });
+    return () => setRoomBounds(id, null);
+  }, [clonedScene, isRoom, id, setRoomBounds, position, rotation, scale]);
 
-  const clonedScene = React.useMemo(() => scene.clone(), [scene]);
-  const isSelected = useStore((state) => state.selectedItem === id);
+  // Expose the rendered object to the selection gizmo and other scene tools
+  useEffect(() => {
+    registerItemObject(id, clonedScene);
+    return () => unregisterItemObject(id, clonedScene);
+  }, [id, clonedScene]);
+
+  // Click selects the item (and its group); Shift/Ctrl toggles, Alt picks a single grouped item.
+  // Clicks on hidden items go through to whatever is behind them
+  const handleClick = (e) => {
+    if (!isShown(e.object)) return;
+    e.stopPropagation();
+    pickItem(id, { single: e.altKey, additive: e.shiftKey || e.ctrlKey || e.metaKey });
+  };
 
   return (
-    <TransformControls ref={transform} object={clonedScene} enabled={isSelected} showX={isSelected} showY={isSelected} showZ={isSelected} mode={transformMode}>
-      <primitive
-        object={clonedScene}
-        position={position}
-        rotation={rotation}
-        scale={scale}
-        onClick={(e) => { e.stopPropagation(); setSelectedItem(id); }}
-      />
-    </TransformControls>
+    <primitive
+      object={clonedScene}
+      position={position}
+      rotation={rotation}
+      scale={scale}
+      visible={!hidden}
+      userData={{ itemId: id }}
+      onClick={handleClick}
+    >
+      {children}
+    </primitive>
   );
 }
 
-function FurnitureItems() {
+// `shadowBudget` (see allocateShadows) decides which placed lights keep their shadows.
+// Unmodified copies of one model are drawn together by InstancedModels (see instancing.js);
+// attached items are rendered inside their parent model (see sceneTree.js)
+function FurnitureItems({ shadowBudget }) {
   const items = useStore((state) => state.items);
+  const models = items.filter((item) => !isLightItem(item));
+  const { batches } = partitionInstances(models, items);
+  const batched = new Set(batches.flatMap((batch) => batch.items.map((item) => item.id)));
+  const shadowMapFor = (light) => (shadowBudget.itemIds.has(light.id) ? shadowBudget.mapSize : 0);
+  const renderItem = (item) => (isLightItem(item)
+    ? <LightItem key={item.id} item={item} maxShadowMapSize={shadowMapFor(item)} />
+    : (
+      <Suspense key={item.id} fallback={<Html center><div>Loading...</div></Html>}>
+        <FurnitureModel {...item}>
+          {items.filter((child) => child.attachedTo === item.id).map(renderItem)}
+        </FurnitureModel>
+      </Suspense>
+    ));
+  const isRoot = (item) => !models.some((model) => model.id === item.attachedTo);
   return (
     <>
-      {items.map((item) => (
-        <Suspense key={item.id} fallback={<Html center><div>Loading...</div></Html>}>
-          <FurnitureModel {...item} />
+      {batches.map((batch) => (
+        <Suspense key={batch.key} fallback={<Html center><div>Loading...</div></Html>}>
+          <InstancedModels url={batch.url} role={batch.role} items={batch.items} />
         </Suspense>
       ))}
+      {items.filter((item) => !batched.has(item.id) && isRoot(item)).map(renderItem)}
     </>
   );
 }
@@ -261,6 +243,40 @@ function Scene() {
   const roomBounds = useStore((state) => state.roomBounds);
   const roomLightIntensity = useStore((state) => state.roomLightIntensity);
   const furnitureLightIntensity = useStore((state) => state.furnitureLightIntensity);
+  const snapSettings = useStore((state) => state.snapSettings);
+  const customLightingPresets = useStore((state) => state.customLightingPresets);
+  const sunSettings = useStore((state) => state.sunSettings);
+  const sunLight = React.useMemo(() => (sunSettings.enabled ? getSunLight(sunSettings) : null), [sunSettings]);
+  const items = useStore((state) => state.items);
+  const shadowSettings = useStore((state) => state.shadowSettings);
+  const measuring = useStore((state) => state.measuring);
+  const cameraMode = useStore((state) => state.cameraMode);
+  const scene = useThree((state) => state.scene);
+
+  // Automatic layouts are worked out from the room's floor plan, so only redo them when something changed
+  const roomConfigs = React.useMemo(
+    () => Object.entries(roomBounds).map(([roomId, bounds]) => [
+      roomId,
+      roomLightingPreset === ROOM_LIGHTING_OFF ? null : getRoomLightingConfig(roomLightingPreset, bounds, customLightingPresets),
+    ]),
+    [roomBounds, roomLightingPreset, customLightingPresets]
+  );
+  // Hidden lights are off, so they leave their shadows to others
+  const shadowBudget = React.useMemo(
+    () => {
+      const hidden = hiddenItemIds(items);
+      return allocateShadows(shadowSettings.quality, items.filter((item) => !hidden.has(item.id)), roomConfigs);
+    },
+    [shadowSettings.quality, items, roomConfigs]
+  );
+
+  // Materials compile the shadow filtering into their shaders, so rebuild them when it changes
+  useEffect(() => {
+    scene.traverse((child) => {
+      if (!child.material) return;
+      (Array.isArray(child.material) ? child.material : [child.material]).forEach((material) => { material.needsUpdate = true; });
+    });
+  }, [scene, shadowSettings.type]);
   
   const { floorColor, floorSize } = useControls('Floor', {
       floorColor: '#888888',
@@ -270,81 +286,1080 @@ function Scene() {
   return (
     <>
       {/* NEW: Use FurnitureLights component instead of hardcoded lights */}
-      <FurnitureLights preset={furnitureLightingPreset} intensityMultiplier={furnitureLightIntensity} />
+      <FurnitureLights
+        preset={furnitureLightingPreset}
+        customPresets={customLightingPresets}
+        intensityMultiplier={furnitureLightIntensity}
+        sunLight={sunLight}
+        floorSize={floorSize}
+        shadowMapSize={shadowBudget.mainMapSize}
+      />
       
-      {/* NEW: Add RoomLights if room exists */}
-      {roomBounds && <RoomLights preset={roomLightingPreset} roomBounds={roomBounds} intensityMultiplier={roomLightIntensity} />}
+      {/* NEW: One set of RoomLights per room shell */}
+      {roomConfigs.map(([roomId, config]) => config && (
+        <RoomLights
+          key={roomId}
+          config={config}
+          intensityMultiplier={roomLightIntensity}
+          shadowLimit={shadowBudget.roomLimits[roomId]}
+          shadowMapSize={shadowBudget.mapSize}
+        />
+      ))}
       
-      <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, 0, 0]} receiveShadow onClick={() => setSelectedItem(null)}>
+      <mesh name="floor" rotation={[-Math.PI / 2, 0, 0]} position={[0, 0, 0]} receiveShadow onClick={() => setSelectedItem(null)}>
         <planeGeometry args={[floorSize, floorSize]} />
         <meshStandardMaterial color={floorColor} />
       </mesh>
-      <gridHelper args={[floorSize, floorSize]} />
-      <FurnitureItems />
-      <OrbitControls makeDefault />
-      <Environment preset={environment} />
+      <gridHelper args={[floorSize, snapSettings.gridDivisions]} />
+      <FurnitureItems shadowBudget={shadowBudget} />
+      <SelectionBoxes />
+      <ArrayPreview />
+      <SelectionGizmo floorSize={floorSize} />
+      <OverlapMonitor />
+      <OverlapHighlights />
+      <SelectionDimensions />
+      <Measurements />
+      {measuring && <MeasureTool />}
+      {cameraMode === 'walk' ? <WalkControls floorSize={floorSize} /> : <OrbitControls makeDefault />}
+      <CameraRig />
+      {/* In sun mode the sky follows the sun and the environment dims after sunset */}
+      {sunLight && <Sky distance={450} sunPosition={sunLight.direction} />}
+      <Environment preset={environment} environmentIntensity={sunLight ? sunLight.daylight : 1} />
     </>
   );
 }
 
-function InfoPanel() {
-  const { items, selectedItem: selectedId, deleteItem } = useStore();
-  const selectedItem = items.find(item => item.id === selectedId);
+// Value shared by every array on one axis, or null when they differ ("mixed")
+function sharedAxisValue(vectors, axis) {
+  const first = vectors[0][axis];
+  return vectors.every((vector) => Math.abs(vector[axis] - first) < 1e-6) ? first : null;
+}
 
-  if (!selectedItem) return null;
+// Numeric input that commits on Enter or blur; shows a placeholder for mixed values.
+// Only edited text is committed: the shown value is rounded, so writing it back
+// unchanged would move the value
+function NumberField({ value, onCommit, step = 0.1, precision = 2 }) {
+  const format = (v) => (v === null ? '' : v.toFixed(precision));
+  const [text, setText] = useState(format(value));
 
-  const rotationDeg = selectedItem.rotation.map(rad => (rad * 180 / Math.PI).toFixed(1));
-  const scaleFactor = selectedItem.scale.map(s => s.toFixed(2)).join(', ');
-  
-  const handleDelete = () => {
-    deleteItem(selectedId);
+  useEffect(() => {
+    setText(value === null ? '' : value.toFixed(precision));
+  }, [value, precision]);
+
+  const commit = () => {
+    const parsed = parseFloat(text);
+    if (Number.isFinite(parsed) && text !== format(value) && parsed !== value) {
+      onCommit(parsed);
+    } else {
+      setText(format(value));
+    }
+  };
+
+  return (
+    <input
+      type="number"
+      step={step}
+      value={text}
+      placeholder="mixed"
+      onChange={(e) => setText(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => { if (e.key === 'Enter') e.currentTarget.blur(); }}
+      style={styles.numberInput}
+    />
+  );
+}
+
+const identity = (v) => v;
+
+// Transform rows of the Properties panel; position is shown in the scene's length
+// unit and rotation in the chosen angle unit. Converted values are rounded for
+// display, so they go back through fromDisplay only once a field is edited
+function getTransformFields(angleUnit, lengthUnit) {
+  const inDegrees = angleUnit === 'deg';
+  const length = getLengthUnit(lengthUnit);
+  return [
+    {
+      key: 'position',
+      label: `Position (${length.symbol})`,
+      step: length.step,
+      precision: length.precision,
+      reset: [0, 0, 0],
+      toDisplay: (v) => toLengthUnit(v, lengthUnit),
+      fromDisplay: (v) => fromLengthUnit(v, lengthUnit),
+    },
+    {
+      key: 'rotation',
+      label: inDegrees ? 'Rotation (°)' : 'Rotation (rad)',
+      step: inDegrees ? 5 : 0.05,
+      precision: inDegrees ? 1 : 3,
+      reset: [0, 0, 0],
+      toDisplay: inDegrees ? THREE.MathUtils.radToDeg : identity,
+      fromDisplay: inDegrees ? THREE.MathUtils.degToRad : identity,
+    },
+    { key: 'scale', label: 'Scale', step: 0.1, precision: 2, reset: [1, 1, 1], toDisplay: identity, fromDisplay: identity },
+  ];
+}
+
+// Decimal places that show a step size, e.g. 0.05 -> 2
+const stepPrecision = (step) => Math.max(0, -Math.floor(Math.log10(step)));
+
+// Save the scene as a package download. Everything that undo/redo tracks is part of the saved
+// document; the local library is shared by all scenes, so only models placed in this one are packed.
+async function saveScene() {
+  const snapshot = snapshotDocument(useStore.getState());
+  const sceneData = {
+    schemaVersion: SCHEMA_VERSION,
+    ...snapshot,
+    library: snapshot.library.filter((entry) => snapshot.items.some((item) => item.url === entry.url)),
+  };
+  try {
+    const blob = await packScene(sceneData);
+    downloadBlob(blob, `scene${PACKAGE_EXTENSION}`);
+  } catch (err) {
+    alert(`Error saving scene: ${err.message}`);
+  }
+}
+
+// Fly the orbit camera so the selected items (every shown item when nothing is selected)
+// fill the view, looking from the same direction as now
+function frameItems(three) {
+  const { items, selectedIds, flyTo } = useStore.getState();
+  if (!three?.controls) return;
+  const hidden = hiddenItemIds(items);
+  const ids = selectedIds.length > 0 ? selectedIds : items.filter((item) => !hidden.has(item.id)).map((item) => item.id);
+  const box = new THREE.Box3();
+  ids.map(getItemObject).filter(Boolean).forEach((object) => box.expandByObject(object));
+  if (box.isEmpty()) return;
+
+  const { camera, controls } = three;
+  const sphere = box.getBoundingSphere(new THREE.Sphere());
+  // Distance at which the bounding sphere fits the vertical field of view, with some margin
+  const distance = Math.max(sphere.radius, 0.1) / Math.sin(THREE.MathUtils.degToRad(camera.fov) / 2) * 1.2;
+  const direction = camera.position.clone().sub(controls.target).normalize();
+  flyTo({
+    position: sphere.center.clone().addScaledVector(direction, distance).toArray(),
+    target: sphere.center.toArray(),
+    fov: camera.fov,
+  });
+}
+
+// Duplicate the selected items a little off their place and select the duplicates
+function duplicateSelection() {
+  const { items, selectedIds, addItems, setSelection } = useStore.getState();
+  if (selectedIds.length === 0) return;
+  const copies = placeCopies(items, collectCopies(items, selectedIds), [new THREE.Matrix4().makeTranslation(...DUPLICATE_OFFSET)]);
+  addItems(copies);
+  setSelection(copyRootIds(copies));
+}
+
+// Clipboard text for the selected items (see itemCopies.js), or null when nothing is selected
+function copySelectionText() {
+  const { items, library, selectedIds } = useStore.getState();
+  return selectedIds.length > 0 ? writeCopiesText(collectCopies(items, selectedIds), library) : null;
+}
+
+// Paste copied items and select them; resolves false when the text is not a copy of items
+async function pasteCopiesText(text) {
+  const copy = await readCopiesText(text, useStore.getState().library);
+  if (!copy) return false;
+  if (copy.errors.length > 0) {
+    alert(`Could not paste the copied items:\n- ${copy.errors.join('\n- ')}`);
+    return true;
+  }
+  const { items, addItems, setSelection } = useStore.getState();
+  const copies = placeCopies(items, copy.sources, [copy.offset]);
+  if (copies.length > 0) {
+    addItems(copies, copy.library);
+    setSelection(copyRootIds(copies));
   }
+  if (copy.warnings.length > 0) {
+    alert(`Pasted with ${copy.warnings.length} repair(s):\n- ${copy.warnings.join('\n- ')}`);
+  }
+  return true;
+}
+
+// Array tool of the Properties panel: copies of the selection in a line, a grid or
+// around a circle, outlined in the scene (see ArrayPreview) until they are created
+function ArrayControls({ selectedIds, lengthUnit, onClose }) {
+  const items = useStore((state) => state.items);
+  const setArrayPreview = useStore((state) => state.setArrayPreview);
+  const [options, setOptions] = useState(DEFAULT_ARRAY_OPTIONS);
+  // Circles start around the model the selection is attached to, or else the nearest one (a chair's table)
+  const [aroundId, setAroundId] = useState(() => {
+    const { items: current } = useStore.getState();
+    const first = current.find((item) => item.id === selectedIds[0]);
+    if (first?.attachedTo) return first.attachedTo;
+    const boxCenter = (id) => {
+      const object = getItemObject(id);
+      return object ? new THREE.Box3().setFromObject(object).getCenter(new THREE.Vector3()) : null;
+    };
+    const origin = first && boxCenter(first.id);
+    if (!origin) return null;
+    const candidates = current
+      .filter((item) => !isLightItem(item) && !isRoomItem(item) && !selectedIds.includes(item.id))
+      .map((item) => ({ id: item.id, center: boxCenter(item.id) }))
+      .filter(({ center }) => center)
+      .sort((a, b) => a.center.distanceTo(origin) - b.center.distanceTo(origin));
+    return candidates[0]?.id ?? null;
+  });
+  const length = getLengthUnit(lengthUnit);
+  const smallButton = {...styles.button, padding: '4px 8px', fontSize: '0.8em'};
+
+  // Models a circle can turn around: any placed model outside the selection
+  const centers = items.filter((item) => !isLightItem(item) && !selectedIds.includes(item.id));
+  const center = React.useMemo(() => {
+    const object = aroundId && getItemObject(aroundId);
+    return object ? new THREE.Box3().setFromObject(object).getCenter(new THREE.Vector3()).toArray() : [0, 0, 0];
+  }, [aroundId]);
+
+  const transforms = React.useMemo(() => arrayTransforms({ ...options, center }), [options, center]);
+
+  useEffect(() => {
+    const roots = copyRootIds(collectCopies(useStore.getState().items, selectedIds));
+    setArrayPreview({ ids: roots, transforms: transforms.map((transform) => transform.toArray()) });
+    return () => setArrayPreview(null);
+  }, [selectedIds, transforms, setArrayPreview]);
+
+  const setOption = (key, value) => setOptions({ ...options, [key]: value });
+  const setInteger = (key, min) => (value) => setOption(key, Math.max(min, Math.round(value)));
+  const setVectorAxis = (key, axis) => (value) => {
+    const vector = [...options[key]];
+    vector[axis] = fromLengthUnit(value, lengthUnit);
+    setOption(key, vector);
+  };
+  const lengthField = (key, axis) => (
+    <NumberField
+      value={toLengthUnit(options[key][axis], lengthUnit)}
+      step={length.step}
+      precision={length.precision}
+      onCommit={setVectorAxis(key, axis)}
+    />
+  );
+
+  const handleCreate = () => {
+    const { items: current, addItems, setSelection } = useStore.getState();
+    const copies = placeCopies(current, collectCopies(current, selectedIds), transforms);
+    addItems(copies);
+    setSelection([...selectedIds, ...copyRootIds(copies)]);
+    onClose();
+  };
+
+  return (
+    <div style={{ marginTop: '10px', paddingTop: '8px', borderTop: '1px solid #52525b', fontSize: '0.85em' }}>
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '6px' }}>
+        <strong>Array:</strong>
+        <select value={options.pattern} onChange={(e) => setOption('pattern', e.target.value)} style={{...styles.select, padding: '2px', flex: 1}}>
+          {ARRAY_PATTERNS.map((pattern) => <option key={pattern.value} value={pattern.value}>{pattern.label}</option>)}
+        </select>
+      </div>
+      {options.pattern !== 'grid' && (
+        <div style={{ display: 'flex', gap: '4px', alignItems: 'center', marginBottom: '6px' }}>
+          <span style={{ width: '70px' }}>Count:</span>
+          <NumberField value={options.count} step={1} precision={0} onCommit={setInteger('count', 2)} />
+        </div>
+      )}
+      {options.pattern === 'line' && (
+        <div style={{ marginBottom: '6px' }}>
+          <span>Step ({length.symbol}):</span>
+          <div style={{ display: 'flex', gap: '4px' }}>{[0, 1, 2].map((axis) => <React.Fragment key={axis}>{lengthField('step', axis)}</React.Fragment>)}</div>
+        </div>
+      )}
+      {options.pattern === 'grid' && (
+        <>
+          <div style={{ display: 'flex', gap: '4px', alignItems: 'center', marginBottom: '6px' }}>
+            <span style={{ width: '70px' }}>Columns:</span>
+            <NumberField value={options.columns} step={1} precision={0} onCommit={setInteger('columns', 1)} />
+            <span>Rows:</span>
+            <NumberField value={options.rows} step={1} precision={0} onCommit={setInteger('rows', 1)} />
+          </div>
+          <div style={{ marginBottom: '6px' }}>
+            <span>Spacing X / Z ({length.symbol}):</span>
+            <div style={{ display: 'flex', gap: '4px' }}>{lengthField('spacing', 0)}{lengthField('spacing', 1)}</div>
+          </div>
+        </>
+      )}
+      {options.pattern === 'circle' && (
+        <>
+          <div style={{ display: 'flex', gap: '4px', alignItems: 'center', marginBottom: '6px' }}>
+            <span style={{ width: '70px' }}>Around:</span>
+            <select
+              value={aroundId ?? ''}
+              onChange={(e) => setAroundId(e.target.value || null)}
+              title="Copies turn around the center of this model"
+              style={{...styles.select, padding: '2px', flex: 1, minWidth: 0}}>
+              <option value="">Scene origin</option>
+              {centers.map((item) => <option key={item.id} value={item.id}>{itemDisplayName(item)} ({item.id.substring(0, 4)})</option>)}
+            </select>
+          </div>
+          <div style={{ display: 'flex', gap: '4px', alignItems: 'center', marginBottom: '6px' }}>
+            <span style={{ width: '70px' }}>Sweep (°):</span>
+            <NumberField value={options.sweep} step={15} precision={0} onCommit={(value) => setOption('sweep', THREE.MathUtils.clamp(value, 1, 360))} />
+          </div>
+        </>
+      )}
+      <div style={{ display: 'flex', gap: '5px' }}>
+        <button onClick={handleCreate} disabled={transforms.length === 0} style={{...smallButton, flex: 1}}>
+          Create {transforms.length} {transforms.length === 1 ? 'Copy' : 'Copies'}
+        </button>
+        <button onClick={onClose} style={{...smallButton, backgroundColor: '#52525b'}}>Cancel</button>
+      </div>
+      {transforms.length >= MAX_ARRAY_COPIES && <p style={{ color: '#fbbf24', marginTop: '4px' }}>Limited to {MAX_ARRAY_COPIES} copies.</p>}
+    </div>
+  );
+}
+
+// Settings of the selected lights (all of one type); edits apply to every one of them
+function LightProperties({ lights, angleUnit, lengthUnit, onUpdate }) {
+  const type = lights[0].light.type;
+  const inDegrees = angleUnit === 'deg';
+  const length = getLengthUnit(lengthUnit);
+
+  const setValue = (field, value, coalesceKey) => {
+    if (!isValidLightValue(field, value)) return;
+    const updates = {};
+    lights.forEach((item) => { updates[item.id] = { light: { ...item.light, [field.key]: value } }; });
+    onUpdate(updates, coalesceKey);
+  };
+
+  const renderInput = (field) => {
+    const values = lights.map((item) => item.light[field.key]);
+    const shared = values.every((value) => value === values[0]) ? values[0] : null;
+    switch (field.input) {
+      case 'color':
+        // Dragging in the color picker is coalesced into one history entry
+        return <input type="color" value={lights[0].light.color} onChange={(e) => setValue(field, e.target.value, `lightColor:${lights.map((item) => item.id).join()}`)} />;
+      case 'checkbox':
+        return <input type="checkbox" checked={shared ?? false} onChange={(e) => setValue(field, e.target.checked)} />;
+      case 'select':
+        return (
+          <select value={shared ?? ''} onChange={(e) => setValue(field, parseInt(e.target.value, 10))} style={{...styles.select, padding: '2px'}}>
+            <option value="" disabled>mixed</option>
+            {field.options.map((option) => <option key={option} value={option}>{option}</option>)}
+          </select>
+        );
+      default: {
+        const isAngle = field.input === 'angle' && inDegrees;
+        const isLength = field.input === 'length';
+        let toDisplay = identity;
+        let fromDisplay = identity;
+        let step = field.step;
+        let precision = stepPrecision(field.step);
+        if (isAngle) {
+          toDisplay = THREE.MathUtils.radToDeg;
+          fromDisplay = THREE.MathUtils.degToRad;
+          step = 5;
+          precision = 1;
+        } else if (isLength) {
+          toDisplay = (v) => toLengthUnit(v, lengthUnit);
+          fromDisplay = (v) => fromLengthUnit(v, lengthUnit);
+          step = length.step;
+          precision = length.precision;
+        }
+        return (
+          <NumberField
+            value={shared === null ? null : toDisplay(shared)}
+            step={step}
+            precision={precision}
+            onCommit={(v) => setValue(field, THREE.MathUtils.clamp(fromDisplay(v), field.min ?? -Infinity, field.max ?? Infinity))}
+          />
+        );
+      }
+    }
+  };
+
+  // Unit and note after the label, e.g. "Distance (m, 0 = infinite)"
+  const fieldLabel = (field) => {
+    const unit = { angle: inDegrees ? '°' : 'rad', length: length.symbol }[field.input];
+    const extras = [unit, field.note].filter(Boolean);
+    return extras.length > 0 ? `${field.label} (${extras.join(', ')})` : field.label;
+  };
+
+  return (
+    <div style={{ marginBottom: '6px' }}>
+      <strong>{lightTypeLabel(type)} Light:</strong>
+      {getLightFields(type).map((field) => (
+        <div key={field.key} style={{ display: 'flex', gap: '6px', alignItems: 'center', justifyContent: 'space-between', marginTop: '4px', fontSize: '0.85em' }}>
+          <span style={{ flexShrink: 0 }}>{fieldLabel(field)}</span>
+          <div style={{ width: '50%', display: 'flex', justifyContent: 'flex-end' }}>{renderInput(field)}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Material panel of a single model: variant choice and per-material overrides for this item only
+function MaterialProperties({ item, onUpdate }) {
+  const [open, setOpen] = useState(false);
+  const [textureKey, setTextureKey] = useState(null);
+  const textureInputRef = useRef(null);
+  const object = getItemObject(item.id);
+  if (!object) return null;
+
+  const variants = getModelVariants(object);
+  const variant = variants.includes(item.materialVariant) ? item.materialVariant : null;
+  const materials = listMaterials(object, variant);
+  const overrides = item.materialOverrides ?? {};
+
+  // Merge changes into one material's overrides; `undefined` removes a setting
+  const setOverride = (key, changes, coalesceKey) => {
+    const next = { ...overrides[key], ...changes };
+    Object.keys(next).forEach((field) => { if (next[field] === undefined) delete next[field]; });
+    const materialOverrides = { ...overrides, [key]: next };
+    if (Object.keys(next).length === 0) delete materialOverrides[key];
+    onUpdate({ [item.id]: { materialOverrides } }, coalesceKey);
+  };
+
+  const handleTextureFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file || !textureKey) return;
+    setOverride(textureKey, { map: { name: file.name, url: URL.createObjectURL(file) } });
+  };
+
+  const smallButton = {...styles.button, padding: '2px 6px', fontSize: '0.8em'};
+
+  return (
+    <div style={{ marginBottom: '6px' }}>
+      <button onClick={() => setOpen(!open)} style={{...smallButton, width: '100%', backgroundColor: '#52525b'}}>
+        {open ? 'Hide' : 'Show'} Materials ({materials.length})
+      </button>
+      {open && (
+        <div style={{ maxHeight: '240px', overflowY: 'auto', marginTop: '6px', fontSize: '0.85em' }}>
+          {variants.length > 0 && (
+            <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '6px' }}>
+              <strong>Variant:</strong>
+              <select
+                value={variant ?? ''}
+                onChange={(e) => onUpdate({ [item.id]: { materialVariant: e.target.value || null } })}
+                style={{...styles.select, padding: '2px', flex: 1, minWidth: 0}}
+              >
+                <option value="">Default</option>
+                {variants.map((name) => <option key={name} value={name}>{name}</option>)}
+              </select>
+            </div>
+          )}
+          {materials.map((material) => {
+            const override = overrides[material.key] ?? {};
+            return (
+              <div key={material.key} style={{ borderTop: '1px solid #3f3f46', padding: '4px 0' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '6px' }}>
+                  <strong style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{material.key}</strong>
+                  {overrides[material.key] && (
+                    <button onClick={() => setOverride(material.key, Object.fromEntries(Object.keys(override).map((key) => [key, undefined])))} style={{...smallButton, backgroundColor: '#52525b'}}>Reset</button>
+                  )}
+                </div>
+                {MATERIAL_FIELDS.filter((field) => material[field.key] !== undefined).map((field) => (
+                  <div key={field.key} style={{ display: 'flex', gap: '6px', alignItems: 'center', justifyContent: 'space-between', marginTop: '4px' }}>
+                    <span style={{ flexShrink: 0 }}>{field.label}{override[field.key] !== undefined && ' *'}</span>
+                    <div style={{ width: '50%', display: 'flex', justifyContent: 'flex-end' }}>
+                      {field.input === 'color' ? (
+                        // Dragging in the color picker is coalesced into one history entry
+                        <input
+                          type="color"
+                          value={override.color ?? material.color}
+                          onChange={(e) => setOverride(material.key, { color: e.target.value }, `materialColor:${item.id}:${material.key}`)}
+                        />
+                      ) : (
+                        <NumberField
+                          value={override[field.key] ?? material[field.key]}
+                          step={field.step}
+                          precision={stepPrecision(field.step)}
+                          onCommit={(v) => {
+                            const value = THREE.MathUtils.clamp(v, field.min, field.max);
+                            if (isValidMaterialValue(field, value)) setOverride(material.key, { [field.key]: value });
+                          }}
+                        />
+                      )}
+                    </div>
+                  </div>
+                ))}
+                <div style={{ display: 'flex', gap: '6px', alignItems: 'center', justifyContent: 'space-between', marginTop: '4px' }}>
+                  <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    Texture: {override.map ? `${override.map.name} *` : (material.hasMap ? 'original' : 'none')}
+                  </span>
+                  <div style={{ display: 'flex', gap: '4px', flexShrink: 0 }}>
+                    <button onClick={() => { setTextureKey(material.key); textureInputRef.current.click(); }} style={smallButton}>Replace</button>
+                    {override.map && <button onClick={() => setOverride(material.key, { map: undefined })} style={{...smallButton, backgroundColor: '#52525b'}}>Clear</button>}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+      <input type="file" accept="image/png,image/jpeg,image/webp" ref={textureInputRef} onChange={handleTextureFile} style={{ display: 'none' }} />
+    </div>
+  );
+}
+
+function InfoPanel() {
+  const {
+    items,
+    groups,
+    selectedIds,
+    selectedItem: activeId,
+    deleteItems,
+    updateItem,
+    updateItems,
+    createGroup,
+    renameGroup,
+    ungroup,
+    angleUnit,
+    setAngleUnit,
+    uniformScale,
+    setUniformScale,
+    transformClipboard,
+    setTransformClipboard,
+    lengthUnit,
+    renameItem,
+    attachItem,
+    shortcutBindings,
+  } = useStore();
+  const selectedItems = items.filter(item => selectedIds.includes(item.id));
+  const [showArray, setShowArray] = useState(false);
+
+  if (selectedItems.length === 0) return null;
+
+  const activeItem = selectedItems.find(item => item.id === activeId) || selectedItems[0];
+  const isMulti = selectedItems.length > 1;
+  const hasLights = selectedItems.some(isLightItem);
+  // Light settings are shown when every selected item is a light of the same type
+  const lightType = selectedItems.every(isLightItem) && selectedItems.every(item => item.light.type === activeItem.light.type)
+    ? activeItem.light.type
+    : null;
+  // The group exactly matching the selection, if any
+  const selectedGroup = groups.find(group =>
+    group.itemIds.length === selectedItems.length && group.itemIds.every(id => selectedIds.includes(id))
+  );
+
+  // Apply per-item changes: a single item goes through updateItem, a selection through updateItems
+  const applyUpdates = (updates) => {
+    const ids = Object.keys(updates);
+    if (ids.length === 1) updateItem(ids[0], updates[ids[0]]);
+    else updateItems(updates);
+  };
+
+  // Set one axis of a transform on every selected item
+  const handleAxisCommit = (field, axis, displayValue) => {
+    const value = field.fromDisplay(displayValue);
+    const updates = {};
+    selectedItems.forEach((item) => {
+      let vector = [...item[field.key]];
+      if (field.key === 'scale' && uniformScale) {
+        // Keep proportions: scale every axis by the same factor as the edited one
+        const factor = vector[axis] !== 0 ? value / vector[axis] : null;
+        vector = factor === null ? [value, value, value] : vector.map(v => v * factor);
+      } else {
+        vector[axis] = value;
+      }
+      updates[item.id] = { [field.key]: vector };
+    });
+    applyUpdates(updates);
+  };
+
+  const handleReset = (field) => {
+    const updates = {};
+    selectedItems.forEach((item) => {
+      updates[item.id] = { [field.key]: [...field.reset] };
+    });
+    applyUpdates(updates);
+  };
+
+  const handleCopyTransform = () => {
+    setTransformClipboard({
+      position: [...activeItem.position],
+      rotation: [...activeItem.rotation],
+      scale: [...activeItem.scale],
+    });
+  };
+
+  const handlePasteTransform = () => {
+    if (!transformClipboard) return;
+    const updates = {};
+    selectedItems.forEach((item) => {
+      updates[item.id] = {
+        position: [...transformClipboard.position],
+        rotation: [...transformClipboard.rotation],
+        scale: [...transformClipboard.scale],
+      };
+    });
+    applyUpdates(updates);
+  };
+
+  const smallButton = {...styles.button, padding: '4px 8px', fontSize: '0.8em'};
+
+  // Paste falls back to this tab's last copy, so only other tabs miss out when the clipboard is out of reach
+  const handleCopyItems = async () => {
+    const text = copySelectionText();
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (err) {
+      alert(`Could not copy to the clipboard, the items can only be pasted in this tab.\n${err.message}`);
+    }
+  };
+
+  const handleGroup = () => {
+    const name = prompt('Group name:', `Group ${groups.length + 1}`);
+    if (name) createGroup(name, selectedIds);
+  };
 
   return (
     <div style={styles.infoPanel}>
       <h3 style={{ fontWeight: 'bold', fontSize: '1.1em', marginBottom: '10px' }}>Properties</h3>
       <div>
-        <p><strong>ID:</strong> {selectedItem.id.substring(0, 8)}</p>
-        <p><strong>Position (x,y,z):</strong> {selectedItem.position.map(p => p.toFixed(2)).join(', ')}</p>
-        <p><strong>Rotation (°):</strong> {rotationDeg.join(', ')}</p>
-        <p><strong>Scale:</strong> {scaleFactor}</p>
+        {isMulti
+          ? <p><strong>Selected:</strong> {selectedItems.length} items (active: {itemDisplayName(activeItem)})</p>
+          : (
+            <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '6px' }}>
+              <strong>Name:</strong>
+              <input
+                value={activeItem.displayName ?? ''}
+                placeholder={activeItem.name}
+                onChange={(e) => renameItem(activeItem.id, e.target.value)}
+                title={`Display name (model: ${activeItem.name}, id: ${activeItem.id.substring(0, 8)})`}
+                style={{ ...styles.numberInput, flex: 1, minWidth: 0 }}
+              />
+            </div>
+          )}
+        {lightType && <LightProperties lights={selectedItems} angleUnit={angleUnit} lengthUnit={lengthUnit} onUpdate={updateItems} />}
+        {!isMulti && !hasLights && <MaterialProperties key={activeItem.id} item={activeItem} onUpdate={updateItems} />}
+        {!isMulti && (
+          <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '6px' }}>
+            <strong>Attach to:</strong>
+            <select
+              value={activeItem.attachedTo ?? ''}
+              onChange={(e) => attachItem(activeItem.id, e.target.value || null)}
+              title="An item attached to a model moves with it"
+              style={{...styles.select, padding: '2px', flex: 1, minWidth: 0}}
+            >
+              <option value="">None</option>
+              {items.filter(item => canAttach(items, activeItem.id, item.id)).map((item) => (
+                <option key={item.id} value={item.id}>{itemDisplayName(item)} ({item.id.substring(0, 4)})</option>
+              ))}
+            </select>
+          </div>
+        )}
+        {!hasLights && (
+          <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '6px' }}>
+            <strong>Role:</strong>
+            <select
+              value={selectedItems.every(item => item.role === activeItem.role) ? activeItem.role : ''}
+              onChange={(e) => {
+                const updates = {};
+                selectedItems.forEach((item) => { updates[item.id] = { role: e.target.value }; });
+                applyUpdates(updates);
+              }}
+              style={{...styles.select, padding: '2px', flex: 1}}
+            >
+              <option value="" disabled>mixed</option>
+              {ITEM_ROLES.map((role) => <option key={role.value} value={role.value}>{role.label}</option>)}
+            </select>
+          </div>
+        )}
+        {!isMulti && !hasLights && (
+          <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '6px' }}>
+            <strong>Plan label:</strong>
+            <input
+              value={activeItem.label ?? ''}
+              placeholder={activeItem.name}
+              onChange={(e) => updateItems({ [activeItem.id]: { label: e.target.value } }, `label:${activeItem.id}`)}
+              title="Name shown on floor plans"
+              style={{ ...styles.numberInput, flex: 1, minWidth: 0 }}
+            />
+          </div>
+        )}
+        <div style={{ display: 'flex', gap: '10px', marginBottom: '6px', fontSize: '0.85em' }}>
+          <label>
+            <input type="checkbox" checked={uniformScale} onChange={(e) => setUniformScale(e.target.checked)} /> Lock scale
+          </label>
+          <select value={angleUnit} onChange={(e) => setAngleUnit(e.target.value)} style={{...styles.select, padding: '2px'}}>
+            <option value="deg">Degrees</option>
+            <option value="rad">Radians</option>
+          </select>
+        </div>
+        {getTransformFields(angleUnit, lengthUnit).map((field) => {
+          const vectors = selectedItems.map(item => item[field.key]);
+          return (
+            <div key={field.key} style={{ marginBottom: '6px' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <strong>{field.label}:</strong>
+                <button onClick={() => handleReset(field)} title={`Reset ${field.key}`} style={{...smallButton, backgroundColor: '#52525b', padding: '2px 6px'}}>Reset</button>
+              </div>
+              <div style={{ display: 'flex', gap: '4px' }}>
+                {[0, 1, 2].map((axis) => {
+                  const shared = sharedAxisValue(vectors, axis);
+                  return (
+                    <NumberField
+                      key={axis}
+                      value={shared === null ? null : field.toDisplay(shared)}
+                      step={field.step}
+                      precision={field.precision}
+                      onCommit={(v) => handleAxisCommit(field, axis, v)}
+                    />
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })}
+        <div style={{ display: 'flex', gap: '5px', marginTop: '8px' }}>
+          <button onClick={handleCopyTransform} title="Copy the active item's transform" style={{...smallButton, flex: 1}}>Copy Transform</button>
+          <button
+            onClick={handlePasteTransform}
+            disabled={!transformClipboard}
+            title="Apply the copied transform to the selection"
+            style={{...smallButton, flex: 1, ...(!transformClipboard && styles.disabledButton)}}>
+            Paste Transform
+          </button>
+        </div>
       </div>
-      <button onClick={handleDelete} style={{...styles.button, backgroundColor: '#ef4444', marginTop: '16px', width: '100%'}}>Delete Selected Item</button>
+      <div style={{ display: 'flex', gap: '5px', marginTop: '10px' }}>
+        <button onClick={duplicateSelection} title={`Duplicate next to the originals (${shortcutLabel(shortcutBindings, 'duplicate') || 'no shortcut'})`} style={{...smallButton, flex: 1}}>Duplicate</button>
+        <button onClick={handleCopyItems} title="Copy to the clipboard, to paste here or in another tab (Ctrl+C)" style={{...smallButton, flex: 1}}>Copy</button>
+        <button
+          onClick={() => setShowArray(!showArray)}
+          title="Place copies in a line, a grid or around a circle"
+          style={{...smallButton, flex: 1, ...(showArray && styles.activeButton)}}>
+          Array
+        </button>
+      </div>
+      {showArray && <ArrayControls selectedIds={selectedIds} lengthUnit={lengthUnit} onClose={() => setShowArray(false)} />}
+      {selectedGroup && (
+        <div style={{ display: 'flex', gap: '5px', marginTop: '10px' }}>
+          <input
+            value={selectedGroup.name}
+            onChange={(e) => renameGroup(selectedGroup.id, e.target.value)}
+            style={{ ...styles.numberInput, flex: 1 }}
+          />
+          <button onClick={() => ungroup(selectedGroup.id)} style={{...styles.button, padding: '4px 8px', fontSize: '0.8em'}}>Ungroup</button>
+        </div>
+      )}
+      {isMulti && !selectedGroup && (
+        <button onClick={handleGroup} style={{...styles.button, marginTop: '10px', width: '100%'}}>Group Selection</button>
+      )}
+      <button onClick={() => deleteItems(selectedIds)} style={{...styles.button, backgroundColor: '#ef4444', marginTop: '16px', width: '100%'}}>
+        {isMulti ? `Delete ${selectedItems.length} Selected Items` : 'Delete Selected Item'}
+      </button>
     </div>
   );
 }
 
-function LibraryPanel() {
-  const { library, removeLibraryItem, addItem } = useStore();
+// Files dropped on the Library panel are imported like picked ones
+function LibraryPanel({ threeRef, onDropFiles }) {
+  const {
+    library,
+    removeLibraryItem,
+    removeLibraryItems,
+    storageUsage,
+    librarySyncError,
+    updateLibraryItem,
+    addItem,
+    groups,
+    setSelection,
+    ungroup,
+    items,
+    overlaps,
+    showOverlaps,
+    setShowOverlaps,
+  } = useStore();
+  const [dropActive, setDropActive] = useState(false);
+
+  // Rest the new item on the floor at a free spot near the camera target
+  const handleAddItemToScene = async (libraryItem) => {
+    let position = [0, 1, 0];
+    try {
+      const bounds = await loadModelBounds(libraryItem.url);
+      const three = threeRef.current?.();
+      const target = three?.controls?.target ?? new THREE.Vector3();
+      const placed = useStore.getState().items
+        .map((item) => ({ item, object: getItemObject(item.id) }))
+        .filter(({ object }) => object);
+      position = findFreePosition({
+        bounds,
+        target,
+        obstacles: placed.filter(({ item }) => !isRoomItem(item) && !isLightItem(item)).map(({ object }) => new THREE.Box3().setFromObject(object)),
+        surfaces: placed.filter(({ item }) => isRoomItem(item)).map(({ object }) => object),
+      });
+    } catch (err) {
+      useStore.getState().addModelWarning(libraryItem.url, `Could not be measured for placement, placed at the default position: ${err.message}`);
+    }
 
-  const handleAddItemToScene = (libraryItem) => {
     const newItem = {
       ...libraryItem,
       id: uuidv4(),
-      position: [0, 1, 0],
+      position,
       rotation: [0, 0, 0],
       scale: [1, 1, 1],
     };
     addItem(newItem);
   };
 
+  // Models not placed in the current scene
+  const unusedUrls = library
+    .filter((entry) => !items.some((item) => item.url === entry.url))
+    .map((entry) => entry.url);
+
+  const handlePurgeUnused = () => {
+    if (window.confirm(`Remove ${unusedUrls.length} unused model(s) from the local library? Other saved scenes that use them will need their package files to reload them.`)) {
+      removeLibraryItems(unusedUrls);
+    }
+  };
+
+  const isFileDrag = (event) => [...event.dataTransfer.types].includes('Files');
+
+  const handleDragOver = (event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+    setDropActive(true);
+  };
+
+  const handleDrop = (event) => {
+    if (!isFileDrag(event)) return;
+    event.preventDefault();
+    setDropActive(false);
+    onDropFiles([...event.dataTransfer.files]);
+  };
+
   return (
-    <div style={styles.libraryPanel}>
+    <div
+      style={{...styles.libraryPanel, ...(dropActive ? { outline: '2px dashed #22c55e' } : {})}}
+      onDragOver={handleDragOver}
+      onDragLeave={(event) => { if (!event.currentTarget.contains(event.relatedTarget)) setDropActive(false); }}
+      onDrop={handleDrop}
+    >
       <h3 style={{ fontWeight: 'bold', fontSize: '1.1em', marginBottom: '10px' }}>Library</h3>
-      {library.length === 0 && <p style={{fontSize: '0.9em', color: '#a1a1aa'}}>Upload a .glb file to add items.</p>}
+      {library.length === 0 && <p style={{fontSize: '0.9em', color: '#a1a1aa'}}>Add or drop a model (.glb, .gltf, .obj, .fbx or .stl) to get started.</p>}
+      {storageUsage && (
+        <div style={{fontSize: '0.8em', color: '#a1a1aa', marginBottom: '8px'}}>
+          Stored locally: {formatBytes(storageUsage.libraryBytes)} in {storageUsage.assetCount} model(s)
+          {storageUsage.quota !== null && ` (${formatBytes(storageUsage.usage)} of ${formatBytes(storageUsage.quota)} used)`}
+        </div>
+      )}
+      {librarySyncError && <div style={{fontSize: '0.8em', color: '#ef4444', marginBottom: '8px'}}>{librarySyncError}</div>}
+      {unusedUrls.length > 0 && (
+        <button onClick={handlePurgeUnused} style={{...styles.button, backgroundColor: '#7f1d1d', padding: '4px 8px', fontSize: '0.8em', width: '100%', marginBottom: '8px'}}>
+          Purge {unusedUrls.length} Unused Model(s)
+        </button>
+      )}
       {library.map((libItem) => (
         <div key={libItem.url} style={styles.libraryItem}>
-          <span style={{flex: 1, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis'}}>{libItem.name}</span>
+          <div style={{flex: 1, minWidth: 0}}>
+            <div style={{whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis'}}>{libItem.name}</div>
+            <select
+              value={libItem.role}
+              onChange={(e) => updateLibraryItem(libItem.url, { role: e.target.value })}
+              title="Role given to new placements of this model"
+              style={{...styles.select, padding: '2px', fontWeight: 'normal', fontSize: '0.8em'}}
+            >
+              {ITEM_ROLES.map((role) => <option key={role.value} value={role.value}>{role.label}</option>)}
+            </select>
+            <ModelInspector url={libItem.url} />
+          </div>
           <div style={{display: 'flex', gap: '5px', marginLeft: '10px'}}>
             <button onClick={() => handleAddItemToScene(libItem)} style={{...styles.button, padding: '4px 8px', fontSize: '0.8em'}}>Add</button>
-            <button onClick={() => removeLibraryItem(libItem.url)} style={{...styles.button, backgroundColor: '#7f1d1d', padding: '4px 8px', fontSize: '0.8em'}}>X</button>
+            <button onClick={() => removeLibraryItem(libItem.url)} title="Remove from the local library and the scene" style={{...styles.button, backgroundColor: '#7f1d1d', padding: '4px 8px', fontSize: '0.8em'}}>X</button>
           </div>
         </div>
       ))}
+      {groups.length > 0 && (
+        <>
+          <h3 style={{ fontWeight: 'bold', fontSize: '1.1em', margin: '16px 0 10px' }}>Groups</h3>
+          {groups.map((group) => (
+            <div key={group.id} style={styles.libraryItem}>
+              <span style={{flex: 1, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis'}}>{group.name} ({group.itemIds.length})</span>
+              <div style={{display: 'flex', gap: '5px', marginLeft: '10px'}}>
+                <button onClick={() => setSelection(group.itemIds)} style={{...styles.button, padding: '4px 8px', fontSize: '0.8em'}}>Select</button>
+                <button onClick={() => ungroup(group.id)} style={{...styles.button, backgroundColor: '#7f1d1d', padding: '4px 8px', fontSize: '0.8em'}}>X</button>
+              </div>
+            </div>
+          ))}
+        </>
+      )}
+      <h3 style={{ fontWeight: 'bold', fontSize: '1.1em', margin: '16px 0 10px' }}>Outliner ({items.length})</h3>
+      <SceneOutliner />
+      <h3 style={{ fontWeight: 'bold', fontSize: '1.1em', margin: '16px 0 10px' }}>Overlaps ({overlaps.length})</h3>
+      <label style={{fontSize: '0.9em'}}>
+        <input type="checkbox" checked={showOverlaps} onChange={(e) => setShowOverlaps(e.target.checked)} /> Highlight in scene
+      </label>
+      {overlaps.length === 0 && <p style={{fontSize: '0.9em', color: '#a1a1aa'}}>No overlapping items.</p>}
+      {overlaps.map(([idA, idB]) => {
+        const label = (id) => {
+          const item = items.find((candidate) => candidate.id === id);
+          return item ? `${itemDisplayName(item)} (${id.substring(0, 4)})` : id.substring(0, 8);
+        };
+        return (
+          <div key={`${idA}:${idB}`} style={styles.libraryItem}>
+            <span style={{flex: 1, fontSize: '0.85em', color: '#fca5a5'}}>{label(idA)} ↔ {label(idB)}</span>
+            <button onClick={() => setSelection([idA, idB])} style={{...styles.button, padding: '4px 8px', fontSize: '0.8em', marginLeft: '10px'}}>Select</button>
+          </div>
+        );
+      })}
     </div>
   );
 }
 
+// Location fields of the sun controls, shown once sun mode is on
+const SUN_LOCATION_FIELDS = [
+  { key: 'latitude', label: 'Lat', precision: 4 },
+  { key: 'longitude', label: 'Lon', precision: 4 },
+  { key: 'utcOffset', label: 'UTC', precision: 2 },
+  { key: 'northOffset', label: 'North (°)', precision: 0 },
+  { key: 'intensity', label: 'Intensity', precision: 1 },
+];
+
+// Toolbar rows for sun mode: on/off, time of day slider, date and location
+function SunControls() {
+  const sunSettings = useStore((state) => state.sunSettings);
+  const updateSunSettings = useStore((state) => state.updateSunSettings);
+  const sunLight = React.useMemo(() => (sunSettings.enabled ? getSunLight(sunSettings) : null), [sunSettings]);
+
+  const setValue = (key, value) => {
+    if (isValidSunValue(key, value)) updateSunSettings({ [key]: value });
+  };
+
+  return (
+    <>
+      <div style={styles.buttonGroup}>
+        <label style={{alignSelf: 'center'}}>
+          <input type="checkbox" checked={sunSettings.enabled} onChange={(e) => setValue('enabled', e.target.checked)} /> Sun
+        </label>
+        <input
+          type="date"
+          value={sunSettings.date}
+          onChange={(e) => setValue('date', e.target.value)}
+          disabled={!sunSettings.enabled}
+          style={styles.select}
+        />
+        <input
+          type="range"
+          aria-label="Time of day"
+          min={SUN_FIELDS.time.min}
+          max={SUN_FIELDS.time.max}
+          step={SUN_FIELDS.time.step}
+          value={sunSettings.time}
+          onChange={(e) => setValue('time', parseInt(e.target.value, 10))}
+          disabled={!sunSettings.enabled}
+          style={{flex: 1, cursor: sunSettings.enabled ? 'pointer' : 'not-allowed'}}
+        />
+        <span style={{alignSelf: 'center', minWidth: '40px'}}>{formatTime(sunSettings.time)}</span>
+      </div>
+      {sunLight && (
+        <div style={{...styles.buttonGroup, alignItems: 'center', fontSize: '0.85em'}}>
+          {SUN_LOCATION_FIELDS.map((field) => (
+            <label key={field.key} style={{display: 'flex', alignItems: 'center', gap: '4px'}}>
+              {field.label}
+              <span style={{width: '72px'}}>
+                <NumberField
+                  value={sunSettings[field.key]}
+                  step={SUN_FIELDS[field.key].step}
+                  precision={field.precision}
+                  onCommit={(v) => setValue(field.key, THREE.MathUtils.clamp(v, SUN_FIELDS[field.key].min, SUN_FIELDS[field.key].max))}
+                />
+              </span>
+            </label>
+          ))}
+          <span>
+            {sunLight.altitude > 0
+              ? `Sun ${sunLight.altitude.toFixed(0)}° up, azimuth ${sunLight.azimuth.toFixed(0)}°, ${Math.round(sunLight.kelvin)} K`
+              : 'Sun below the horizon'}
+          </span>
+        </div>
+      )}
+    </>
+  );
+}
+
+// Toolbar rows for navigation: orbit or walk mode, field of view and the scene's camera bookmarks
+function CameraControls({ threeRef }) {
+  const cameraMode = useStore((state) => state.cameraMode);
+  const setCameraMode = useStore((state) => state.setCameraMode);
+  const cameraFov = useStore((state) => state.cameraFov);
+  const setCameraFov = useStore((state) => state.setCameraFov);
+  const flyTo = useStore((state) => state.flyTo);
+  const cameraBookmarks = useStore((state) => state.cameraBookmarks);
+  const addCameraBookmark = useStore((state) => state.addCameraBookmark);
+  const updateCameraBookmark = useStore((state) => state.updateCameraBookmark);
+  const deleteCameraBookmark = useStore((state) => state.deleteCameraBookmark);
+
+  // The view on screen; in walk mode the target is a point in front of the eye
+  const currentView = () => {
+    const { camera, controls } = threeRef.current();
+    if (cameraMode === 'walk' || !controls) return orbitViewFrom(camera);
+    return { position: camera.position.toArray(), target: controls.target.toArray(), fov: camera.fov };
+  };
+
+  const handleOrbit = () => {
+    if (cameraMode === 'walk' && threeRef.current) flyTo(orbitViewFrom(threeRef.current().camera));
+  };
+
+  const handleSaveView = () => {
+    if (!threeRef.current) return;
+    const name = prompt('View name:', `View ${cameraBookmarks.length + 1}`);
+    if (name) addCameraBookmark(createCameraBookmark(name, currentView()));
+  };
+
+  const handleRename = (bookmark) => {
+    const name = prompt('View name:', bookmark.name);
+    if (name) updateCameraBookmark(bookmark.id, { name });
+  };
+
+  const smallButton = {...styles.button, padding: '4px 8px', fontSize: '0.8em'};
+
+  return (
+    <>
+      <div style={styles.buttonGroup}>
+        <button
+          style={{...styles.button, ...(cameraMode === 'orbit' && styles.activeButton)}}
+          onClick={handleOrbit}>
+          Orbit
+        </button>
+        <button
+          style={{...styles.button, ...(cameraMode === 'walk' && styles.activeButton)}}
+          onClick={() => setCameraMode('walk')}
+          title="Walk at eye height: WASD or arrow keys to move (Shift to hurry), drag to look, Esc to stop">
+          Walk
+        </button>
+        <button style={styles.button} onClick={() => flyTo(DEFAULT_VIEW)} title="Fly back to the starting view">Home</button>
+        <label htmlFor="camera-fov" style={{alignSelf: 'center', minWidth: '70px'}}>FOV: {Math.round(cameraFov)}°</label>
+        <input
+          id="camera-fov"
+          type="range"
+          min={FOV_RANGE.min}
+          max={FOV_RANGE.max}
+          step="1"
+          value={cameraFov}
+          onChange={(e) => setCameraFov(parseFloat(e.target.value))}
+          style={{flex: 1, cursor: 'pointer'}}
+        />
+      </div>
+      <div style={{...styles.buttonGroup, alignItems: 'center'}}>
+        <span>Views:</span>
+        {cameraBookmarks.map((bookmark) => (
+          <span key={bookmark.id} style={{display: 'flex'}}>
+            <button
+              style={{...smallButton, borderTopRightRadius: 0, borderBottomRightRadius: 0}}
+              onClick={() => flyTo(bookmark)}
+              onDoubleClick={() => handleRename(bookmark)}
+              title="Go to this view (double-click to rename)">
+              {bookmark.name}
+            </button>
+            <button
+              style={{...smallButton, backgroundColor: '#52525b', borderTopLeftRadius: 0, borderBottomLeftRadius: 0}}
+              onClick={() => deleteCameraBookmark(bookmark.id)}
+              title="Delete this view">
+              ×
+            </button>
+          </span>
+        ))}
+        <button style={{...smallButton, backgroundColor: '#10b981'}} onClick={handleSaveView} title="Save the current view with the scene">
+          Save View
+        </button>
+      </div>
+    </>
+  );
+}
+
 export default function App() {
   const { 
     addLibraryItem, 
@@ -365,71 +1380,211 @@ export default function App() {
     furnitureLightIntensity,
     setFurnitureLightIntensity,
     roomMaterialBrightness,
-    setRoomMaterialBrightness
+    setRoomMaterialBrightness,
+    undo,
+    redo,
+    past,
+    future,
+    pivotMode,
+    setPivotMode,
+    snapSettings,
+    updateSnapSettings,
+    shadowSettings,
+    updateShadowSettings,
+    customLightingPresets,
+    addItem,
+    setSelection,
+    measuring,
+    setMeasuring,
+    showDimensions,
+    setShowDimensions,
+    lengthUnit,
+    setLengthUnit,
+    measurements,
+    clearMeasurements,
+    shortcutBindings,
   } = useStore();
   
   const fileInputRef = useRef();
   const sceneInputRef = useRef();
+  const hasRoom = Object.keys(roomBounds).length > 0;
+  // Getter for the Canvas state (scene, camera, controls), used by export and placement tools
+  const threeRef = useRef();
+  const [marqueeActive, setMarqueeActive] = useState(false);
+  const [exportBinary, setExportBinary] = useState(true);
+  const [exportFloor, setExportFloor] = useState(true);
+  const [planOptions, setPlanOptions] = useState(DEFAULT_PLAN_OPTIONS);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  // Tooltip text with the keys currently bound to an action
+  const withShortcut = (text, actionId) => {
+    const keys = shortcutLabel(shortcutBindings, actionId);
+    return keys ? `${text} (${keys})` : text;
+  };
+  // Kind of preset shown in the lighting preset editor, or null while it is closed
+  const [presetEditorKind, setPresetEditorKind] = useState(null);
 
-  const handleFileChange = (event) => {
-    const file = event.target.files[0];
-    if (file && file.name.endsWith('.glb')) {
-      const isDuplicate = library.some(item => item.name === file.name);
-      if (isDuplicate) {
-        alert(`${file.name} is already in the library.`);
+  // Keyboard shortcuts (see shortcuts.js), and copy/paste of items through the
+  // system clipboard (Ctrl+C / Ctrl+V). Nothing fires while typing in a field.
+  useEffect(() => {
+    const runShortcut = (actionId) => {
+      const state = useStore.getState();
+      const action = SHORTCUT_ACTIONS.find((entry) => entry.id === actionId);
+      if (action.view !== undefined) {
+        const bookmark = state.cameraBookmarks[action.view];
+        if (bookmark) state.flyTo(bookmark);
         return;
       }
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        addLibraryItem({ name: file.name, url: e.target.result });
-      };
-      reader.readAsDataURL(file);
-    } else {
-      alert('Please select a .glb file.');
-    }
-    if (fileInputRef.current) {
-      fileInputRef.current.value = "";
+      switch (actionId) {
+        case 'translateMode': state.setTransformMode('translate'); break;
+        case 'rotateMode': state.setTransformMode('rotate'); break;
+        case 'scaleMode': state.setTransformMode('scale'); break;
+        case 'undo': state.undo(); break;
+        case 'redo': state.redo(); break;
+        case 'duplicate': duplicateSelection(); break;
+        case 'deleteSelection':
+          if (state.selectedIds.length > 0) state.deleteItems(state.selectedIds);
+          break;
+        // While measuring, Escape drops the measurement instead (see MeasureTools.jsx)
+        case 'deselect':
+          if (!state.measuring) state.setSelection([]);
+          break;
+        case 'frameSelection': frameItems(threeRef.current?.()); break;
+        case 'save': saveScene(); break;
+        case 'showShortcuts': setShowShortcuts(true); break;
+        default: break;
+      }
+    };
+
+    const handleKeyDown = (event) => {
+      if (isTyping(event.target)) return;
+      const combo = comboFromEvent(event);
+      const actionId = combo && actionForCombo(shortcutBindings, combo);
+      if (!actionId) return;
+      // Walk mode moves with plain keys and leaves with Escape (see CameraTools.jsx)
+      if (useStore.getState().cameraMode === 'walk' && !(event.ctrlKey || event.metaKey)) return;
+      event.preventDefault();
+      runShortcut(actionId);
+    };
+    // Copying selected page text keeps working as usual
+    const handleCopy = (event) => {
+      if (isTyping(event.target) || !window.getSelection().isCollapsed) return;
+      const text = copySelectionText();
+      if (!text) return;
+      event.preventDefault();
+      event.clipboardData.setData('text/plain', text);
+    };
+    const handlePaste = (event) => {
+      if (isTyping(event.target)) return;
+      event.preventDefault();
+      pasteCopiesText(event.clipboardData.getData('text/plain'));
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('copy', handleCopy);
+    window.addEventListener('paste', handlePaste);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('copy', handleCopy);
+      window.removeEventListener('paste', handlePaste);
+    };
+  }, [shortcutBindings]);
+
+  // Keep the library in IndexedDB so it survives reloads and is shared between scenes
+  useEffect(() => startLibrarySync(), []);
+
+  // Models are normalized to GLB (see modelImport.js); companion files such as
+  // .bin, .mtl and textures can be selected or dropped together with their model
+  const importFiles = async (files) => {
+    if (files.length === 0) return;
+
+    const { models, errors } = await importModelFiles(files);
+    const problems = [...errors];
+    for (const { name, bytes } of models) {
+      const { library } = useStore.getState();
+      if (library.some(item => item.name === name)) {
+        problems.push(`${name} is already in the library.`);
+        continue;
+      }
+      const entry = await createLibraryEntry(name, bytes, { role: guessRole(name) });
+      const existing = library.find((item) => item.assetId === entry.assetId);
+      if (existing) {
+        URL.revokeObjectURL(entry.url);
+        problems.push(`${name} is already in the library as ${existing.name}.`);
+        continue;
+      }
+      addLibraryItem(entry);
+
+      // Point out likely problems right away, before the model is placed anywhere
+      try {
+        const { warnings } = await inspectModel(entry.url);
+        if (warnings.length > 0) problems.push(`${name} may need fixing before use:\n- ${warnings.join('\n- ')}`);
+      } catch (err) {
+        problems.push(`${name} could not be read: ${err.message}`);
+      }
     }
+    if (problems.length > 0) alert(problems.join('\n\n'));
+  };
+
+  const handleFileChange = (event) => {
+    const files = [...event.target.files];
+    if (fileInputRef.current) fileInputRef.current.value = "";
+    importFiles(files);
   };
 
-  const handleSceneLoad = (event) => {
+  const handleSceneLoad = async (event) => {
     const file = event.target.files[0];
-    if (file && file.name.endsWith('.json')) {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        try {
-          const sceneData = JSON.parse(e.target.result);
-          loadScene(sceneData);
-        } catch (err) {
-          alert('Error loading scene file. It may be corrupted.');
-        }
-      };
-      reader.readAsText(file);
-    }
     if (sceneInputRef.current) sceneInputRef.current.value = "";
+    if (!file) return;
+
+    try {
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      // Packaged scenes are zip archives; anything else is read as a legacy scene.json
+      const sceneData = isScenePackage(bytes)
+        ? await unpackScene(bytes)
+        : JSON.parse(new TextDecoder().decode(bytes));
+
+      // Models missing from a package can still come from the local library
+      const storedUrls = new Map(library.map((entry) => [entry.assetId, entry.url]));
+      [...(sceneData.library ?? []), ...(sceneData.items ?? [])].forEach((entry) => {
+        if (entry && !entry.url && storedUrls.has(entry.assetId)) entry.url = storedUrls.get(entry.assetId);
+      });
+
+      const { scene, errors, warnings } = prepareScene(sceneData);
+      if (errors.length > 0) {
+        alert(`Could not load ${file.name}:\n- ${errors.join('\n- ')}`);
+        return;
+      }
+      loadScene(await internSceneAssets(scene, useStore.getState().library));
+      // Scenes open at their first camera bookmark
+      const [firstView] = useStore.getState().cameraBookmarks;
+      if (firstView) useStore.getState().flyTo(firstView);
+      if (warnings.length > 0) {
+        alert(`${file.name} loaded with ${warnings.length} repair(s):\n- ${warnings.join('\n- ')}`);
+      }
+    } catch (err) {
+      alert(`Error loading scene file. It may be corrupted.\n${err.message}`);
+    }
   };
   
-  const handleSave = () => {
-    const state = useStore.getState();
-    const sceneData = {
-      library: state.library,
-      items: state.items,
-      environment: state.environment,
-      // NEW: Save lighting presets
-      roomLightingPreset: state.roomLightingPreset,
-      furnitureLightingPreset: state.furnitureLightingPreset,
-      roomLightIntensity: state.roomLightIntensity,
-      furnitureLightIntensity: state.furnitureLightIntensity,
-      roomMaterialBrightness: state.roomMaterialBrightness,
-    };
-    const sceneString = JSON.stringify(sceneData, null, 2);
-    const blob = new Blob([sceneString], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'scene.json';
-    a.click();
-    URL.revokeObjectURL(url);
+  // The system clipboard may not be readable (permissions, browser support); fall back to this tab's last copy
+  const handlePaste = async () => {
+    let text = null;
+    try {
+      text = await navigator.clipboard.readText();
+    } catch {
+      // Not readable here; the last copy below is used instead
+    }
+    if (text && await pasteCopiesText(text)) return;
+    const lastCopy = getLastCopyText();
+    if (lastCopy) await pasteCopiesText(lastCopy);
+  };
+
+  // New lights hang above the camera target and are selected right away
+  const handleAddLight = (type) => {
+    const target = threeRef.current?.().controls?.target ?? new THREE.Vector3();
+    const height = LIGHT_TYPES.find((entry) => entry.value === type).height;
+    const light = createLightItem(type, [target.x, height, target.z]);
+    addItem(light);
+    setSelection([light.id]);
   };
 
   const handleExportInfo = () => {
@@ -438,30 +1593,72 @@ export default function App() {
     const itemsInfo = state.items.map(item => ({
       id: item.id,
       name: item.name,
+      role: item.role,
+      ...(item.displayName && { displayName: item.displayName }),
+      ...(item.label && { label: item.label }),
+      ...(item.hidden && { hidden: true }),
+      ...(item.locked && { locked: true }),
+      // Transforms of attached items are relative to the model they are attached to
+      attachedTo: item.attachedTo ?? null,
       position: item.position,
       rotation: item.rotation,
       scale: item.scale,
+      // Placed lights carry their settings
+      ...(isLightItem(item) && { light: item.light }),
+      // Model looks: override textures are listed by file name, since their blob URLs only live in this session
+      ...(item.materialVariant && { materialVariant: item.materialVariant }),
+      ...(item.materialOverrides && Object.keys(item.materialOverrides).length > 0 && {
+        materialOverrides: Object.fromEntries(Object.entries(item.materialOverrides).map(([key, override]) => (
+          [key, override.map ? { ...override, map: override.map.name } : override]
+        ))),
+      }),
     }));
     
     const infoData = {
       environment: state.environment,
       items: itemsInfo,
+      groups: state.groups,
       // NEW: Export lighting presets
       roomLightingPreset: state.roomLightingPreset,
       furnitureLightingPreset: state.furnitureLightingPreset,
       roomLightIntensity: state.roomLightIntensity,
       furnitureLightIntensity: state.furnitureLightIntensity,
       roomMaterialBrightness: state.roomMaterialBrightness,
+      // Definitions for any custom preset ids referenced above
+      customLightingPresets: state.customLightingPresets,
+      sunSettings: state.sunSettings,
+      shadowSettings: state.shadowSettings,
+      // Positions and lengths are always in meters; the unit is the one chosen for display
+      lengthUnit: state.lengthUnit,
+      measurements: state.measurements.map((measurement) => ({ ...measurement, length: measurementLength(measurement) })),
+      cameraBookmarks: state.cameraBookmarks,
     };
     
     const infoString = JSON.stringify(infoData, null, 2);
-    const blob = new Blob([infoString], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'scene_info.json';
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadBlob(new Blob([infoString], { type: 'application/json' }), 'scene_info.json');
+  };
+
+  const handleExportGLTF = async () => {
+    if (!threeRef.current) return;
+    try {
+      const { blob, filename } = await exportSceneGLTF(threeRef.current().scene, useStore.getState().items, {
+        binary: exportBinary,
+        includeFloor: exportFloor,
+      });
+      downloadBlob(blob, filename);
+    } catch (err) {
+      alert(`Error exporting scene: ${err.message}`);
+    }
+  };
+
+  // Item outlines come from the loaded models; placement from the same transforms as Export Info
+  const handleExportFloorPlan = () => {
+    try {
+      const { blob, filename } = exportFloorPlan(useStore.getState(), planOptions);
+      downloadBlob(blob, filename);
+    } catch (err) {
+      alert(`Error exporting floor plan: ${err.message}`);
+    }
   };
 
   return (
@@ -473,26 +1670,157 @@ export default function App() {
           <button style={styles.button} onClick={() => fileInputRef.current.click()}>
             Add to Library
           </button>
-          <button style={{...styles.button, backgroundColor: '#10b981'}} onClick={handleSave}>Save Scene</button>
+          <button style={{...styles.button, backgroundColor: '#10b981'}} onClick={saveScene} title={withShortcut('Save the scene package', 'save')}>Save Scene</button>
           <button style={{...styles.button, backgroundColor: '#0ea5e9'}} onClick={() => sceneInputRef.current.click()}>Load Scene</button>
           <button style={{...styles.button, backgroundColor: '#f59e0b'}} onClick={handleExportInfo}>Export Info</button>
+          <button style={{...styles.button, backgroundColor: '#8b5cf6'}} onClick={handleExportGLTF}>Export GLB</button>
+          <button style={{...styles.button, backgroundColor: '#14b8a6'}} onClick={handleExportFloorPlan}>Floor Plan</button>
+        </div>
+        <div style={styles.buttonGroup}>
+          <label htmlFor="export-format" style={{alignSelf: 'center'}}>Export Format:</label>
+          <select id="export-format" value={exportBinary ? 'glb' : 'gltf'} onChange={(e) => setExportBinary(e.target.value === 'glb')} style={styles.select}>
+            <option value="glb">Binary (.glb)</option>
+            <option value="gltf">JSON + bin (.gltf)</option>
+          </select>
+          <label style={{alignSelf: 'center'}}>
+            <input type="checkbox" checked={exportFloor} onChange={(e) => setExportFloor(e.target.checked)} /> Include floor
+          </label>
+        </div>
+        <div style={styles.buttonGroup}>
+          <label htmlFor="plan-format" style={{alignSelf: 'center'}}>Floor Plan:</label>
+          <select id="plan-format" value={planOptions.format} onChange={(e) => setPlanOptions({ ...planOptions, format: e.target.value })} style={styles.select}>
+            {PLAN_FORMATS.map((format) => <option key={format.value} value={format.value}>{format.label}</option>)}
+          </select>
+          <select
+            value={planOptions.scale}
+            onChange={(e) => setPlanOptions({ ...planOptions, scale: e.target.value === 'auto' ? 'auto' : Number(e.target.value) })}
+            title="Drawing scale; Auto picks the largest that fits one sheet"
+            style={styles.select}>
+            <option value="auto">Auto scale</option>
+            {PLAN_SCALES.map((scale) => <option key={scale} value={scale}>1:{scale}</option>)}
+          </select>
+          <select value={planOptions.paper} onChange={(e) => setPlanOptions({ ...planOptions, paper: e.target.value })} title="Sheet size" style={styles.select}>
+            {PAPER_SIZES.map((paper) => <option key={paper.value} value={paper.value}>{paper.label}</option>)}
+          </select>
         </div>
         <div style={styles.buttonGroup}>
           <button 
             style={{...styles.button, ...(transformMode === 'translate' && styles.activeButton)}} 
-            onClick={() => setTransformMode('translate')}>
+            onClick={() => setTransformMode('translate')}
+            title={withShortcut('Move tool', 'translateMode')}>
             Move
           </button>
           <button 
             style={{...styles.button, ...(transformMode === 'rotate' && styles.activeButton)}} 
-            onClick={() => setTransformMode('rotate')}>
+            onClick={() => setTransformMode('rotate')}
+            title={withShortcut('Rotate tool', 'rotateMode')}>
             Rotate
           </button>
           <button 
             style={{...styles.button, ...(transformMode === 'scale' && styles.activeButton)}} 
-            onClick={() => setTransformMode('scale')}>
+            onClick={() => setTransformMode('scale')}
+            title={withShortcut('Scale tool', 'scaleMode')}>
             Scale
           </button>
+          <button
+            style={{...styles.button, ...(past.length === 0 && styles.disabledButton)}}
+            onClick={undo}
+            disabled={past.length === 0}
+            title={withShortcut('Undo', 'undo')}>
+            Undo
+          </button>
+          <button
+            style={{...styles.button, ...(future.length === 0 && styles.disabledButton)}}
+            onClick={redo}
+            disabled={future.length === 0}
+            title={withShortcut('Redo', 'redo')}>
+            Redo
+          </button>
+          <button style={styles.button} onClick={handlePaste} title="Paste copied items (Ctrl+V)">
+            Paste
+          </button>
+          <button style={styles.button} onClick={() => setShowShortcuts(true)} title={withShortcut('Show and change keyboard shortcuts', 'showShortcuts')}>
+            Shortcuts
+          </button>
+        </div>
+        <div style={styles.buttonGroup}>
+          <button
+            style={{...styles.button, ...(marqueeActive && styles.activeButton)}}
+            onClick={() => setMarqueeActive(!marqueeActive)}
+            title="Drag a rectangle to select items (hold Shift to add)">
+            Box Select
+          </button>
+          <label htmlFor="pivot-select" style={{alignSelf: 'center'}}>Pivot:</label>
+          <select id="pivot-select" value={pivotMode} onChange={(e) => setPivotMode(e.target.value)} style={styles.select}>
+            <option value="centroid">Selection Center</option>
+            <option value="active">Active Item</option>
+          </select>
+        </div>
+
+        {/* Placeable lights */}
+        <div style={styles.buttonGroup}>
+          <span style={{alignSelf: 'center'}}>Add Light:</span>
+          {LIGHT_TYPES.map((type) => (
+            <button key={type.value} style={styles.button} onClick={() => handleAddLight(type.value)}>{type.label}</button>
+          ))}
+        </div>
+
+        {/* Snapping */}
+        <div style={styles.buttonGroup}>
+          <label style={{alignSelf: 'center'}}>
+            <input type="checkbox" checked={snapSettings.translation} onChange={(e) => updateSnapSettings({ translation: e.target.checked })} /> Grid
+          </label>
+          <input
+            type="number"
+            min="1"
+            max="200"
+            value={snapSettings.gridDivisions}
+            onChange={(e) => {
+              const divisions = parseInt(e.target.value, 10);
+              if (divisions >= 1) updateSnapSettings({ gridDivisions: divisions });
+            }}
+            title="Grid divisions across the floor"
+            style={{...styles.numberInput, width: '60px'}}
+          />
+          <label style={{alignSelf: 'center'}}>
+            <input type="checkbox" checked={snapSettings.rotation} onChange={(e) => updateSnapSettings({ rotation: e.target.checked })} /> Angle
+          </label>
+          <select value={snapSettings.rotationStep} onChange={(e) => updateSnapSettings({ rotationStep: parseFloat(e.target.value) })} style={styles.select}>
+            {ROTATION_STEPS.map((step) => <option key={step} value={step}>{step}°</option>)}
+          </select>
+          <label style={{alignSelf: 'center'}}>
+            <input type="checkbox" checked={snapSettings.scale} onChange={(e) => updateSnapSettings({ scale: e.target.checked })} /> Scale
+          </label>
+          <select value={snapSettings.scaleStep} onChange={(e) => updateSnapSettings({ scaleStep: parseFloat(e.target.value) })} style={styles.select}>
+            {SCALE_STEPS.map((step) => <option key={step} value={step}>{step}</option>)}
+          </select>
+          <label style={{alignSelf: 'center'}}>
+            <input type="checkbox" checked={snapSettings.surface} onChange={(e) => updateSnapSettings({ surface: e.target.checked })} /> Surface
+          </label>
+        </div>
+        
+        {/* Measuring and units */}
+        <div style={styles.buttonGroup}>
+          <button
+            style={{...styles.button, ...(measuring && styles.activeButton)}}
+            onClick={() => setMeasuring(!measuring)}
+            title="Click two points to measure between them (Esc cancels)">
+            Measure
+          </button>
+          <label style={{alignSelf: 'center'}}>
+            <input type="checkbox" checked={showDimensions} onChange={(e) => setShowDimensions(e.target.checked)} /> Dimensions
+          </label>
+          <label htmlFor="unit-select" style={{alignSelf: 'center'}}>Units:</label>
+          <select id="unit-select" value={lengthUnit} onChange={(e) => setLengthUnit(e.target.value)} style={styles.select}>
+            {LENGTH_UNITS.map((unit) => <option key={unit.value} value={unit.value}>{unit.label}</option>)}
+          </select>
+          <button
+            style={{...styles.button, ...(measurements.length === 0 && styles.disabledButton)}}
+            onClick={clearMeasurements}
+            disabled={measurements.length === 0}
+            title="Delete every kept measurement">
+            Clear Measurements
+          </button>
         </div>
         
         {/* Environment selector */}
@@ -515,15 +1843,14 @@ export default function App() {
             value={roomLightingPreset} 
             onChange={(e) => setRoomLightingPreset(e.target.value)} 
             style={styles.select}
-            disabled={!roomBounds}
+            disabled={!hasRoom}
           >
-            <option value="off">Off</option>
-            <option value="warm-evening">Warm Evening</option>
-            <option value="bright-day">Bright Day</option>
-            <option value="cozy-night">Cozy Night</option>
-            <option value="studio-neutral">Studio Neutral</option>
-            <option value="sunset">Sunset</option>
+            <option value={ROOM_LIGHTING_OFF}>Off</option>
+            {getLightingPresets('room', customLightingPresets).map((preset) => (
+              <option key={preset.id} value={preset.id}>{preset.name}</option>
+            ))}
           </select>
+          <button style={styles.button} onClick={() => setPresetEditorKind('room')}>Edit Presets</button>
         </div>
         
         {/* NEW: Furniture Lighting selector */}
@@ -535,13 +1862,41 @@ export default function App() {
             onChange={(e) => setFurnitureLightingPreset(e.target.value)} 
             style={styles.select}
           >
-            <option value="default">Default</option>
-            <option value="bright">Bright</option>
-            <option value="soft">Soft</option>
-            <option value="dramatic">Dramatic</option>
+            {getLightingPresets('furniture', customLightingPresets).map((preset) => (
+              <option key={preset.id} value={preset.id}>{preset.name}</option>
+            ))}
           </select>
+          <button style={styles.button} onClick={() => setPresetEditorKind('furniture')}>Edit Presets</button>
         </div>
         
+        {/* Shadow quality and filtering */}
+        <div style={styles.buttonGroup}>
+          <label htmlFor="shadow-quality-select" style={{alignSelf: 'center'}}>Shadows:</label>
+          <select
+            id="shadow-quality-select"
+            value={shadowSettings.quality}
+            onChange={(e) => updateShadowSettings({ quality: e.target.value })}
+            style={styles.select}
+          >
+            {SHADOW_QUALITIES.map((quality) => <option key={quality.value} value={quality.value}>{quality.label}</option>)}
+          </select>
+          <select
+            aria-label="Shadow filtering"
+            value={shadowSettings.type}
+            onChange={(e) => updateShadowSettings({ type: e.target.value })}
+            disabled={shadowSettings.quality === 'off'}
+            style={styles.select}
+          >
+            {SHADOW_TYPES.map((type) => <option key={type.value} value={type.value}>{type.label}</option>)}
+          </select>
+        </div>
+        
+        {/* Sun simulation */}
+        <SunControls />
+        
+        {/* Camera navigation and bookmarks */}
+        <CameraControls threeRef={threeRef} />
+        
         {/* NEW: Room Light Intensity Slider */}
         <div style={styles.buttonGroup}>
           <label htmlFor="room-intensity" style={{alignSelf: 'center', minWidth: '120px'}}>
@@ -555,8 +1910,8 @@ export default function App() {
             step="0.1" 
             value={roomLightIntensity}
             onChange={(e) => setRoomLightIntensity(parseFloat(e.target.value))}
-            disabled={!roomBounds}
-            style={{flex: 1, cursor: roomBounds ? 'pointer' : 'not-allowed'}}
+            disabled={!hasRoom}
+            style={{flex: 1, cursor: hasRoom ? 'pointer' : 'not-allowed'}}
           />
         </div>
         
@@ -590,21 +1945,24 @@ export default function App() {
             step="0.1" 
             value={roomMaterialBrightness}
             onChange={(e) => setRoomMaterialBrightness(parseFloat(e.target.value))}
-            disabled={!roomBounds}
-            style={{flex: 1, cursor: roomBounds ? 'pointer' : 'not-allowed'}}
+            disabled={!hasRoom}
+            style={{flex: 1, cursor: hasRoom ? 'pointer' : 'not-allowed'}}
           />
         </div>
       </div>
       
-      <input type="file" accept=".glb" ref={fileInputRef} onChange={handleFileChange} style={{ display: 'none' }} />
-      <input type="file" accept=".json" ref={sceneInputRef} onChange={handleSceneLoad} style={{ display: 'none' }} />
+      <input type="file" accept={[...MODEL_EXTENSIONS, ...COMPANION_EXTENSIONS].join(',')} multiple ref={fileInputRef} onChange={handleFileChange} style={{ display: 'none' }} />
+      <input type="file" accept=".json,.zip" ref={sceneInputRef} onChange={handleSceneLoad} style={{ display: 'none' }} />
 
-      <Canvas shadows camera={{ position: [8, 8, 8], fov: 50 }}>
+      <Canvas shadows={shadowSettings.quality === 'off' ? false : shadowSettings.type} camera={{ position: DEFAULT_VIEW.position, fov: DEFAULT_VIEW.fov }} onCreated={({ get, gl }) => { threeRef.current = get; setModelRenderer(gl); }}>
         <Scene />
       </Canvas>
       
+      {marqueeActive && <MarqueeSelect threeRef={threeRef} onDone={() => setMarqueeActive(false)} />}
       <InfoPanel />
-      <LibraryPanel />
+      <LibraryPanel threeRef={threeRef} onDropFiles={importFiles} />
+      {presetEditorKind && <LightingPresetEditor initialKind={presetEditorKind} onClose={() => setPresetEditorKind(null)} />}
+      {showShortcuts && <ShortcutHelp onClose={() => setShowShortcuts(false)} />}
     </div>
   );
 }
\ No newline at end of file
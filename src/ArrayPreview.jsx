@@ -0,0 +1,50 @@
+import React, { useEffect, useMemo } from 'react';
+import * as THREE from 'three';
+import { useFrame } from '@react-three/fiber';
+import { useStore } from './store';
+import { getItemObject } from './itemObjects';
+
+const PREVIEW_COLOR = '#f59e0b';
+
+/**
+ * ArrayPreview Component - Outlines where the copies of an array would go
+ * (see arrayPreview in store.js): the current bounding box of every copied
+ * item, moved by each copy's world transform. Follows the originals live, so
+ * the preview stays right while they are dragged.
+ */
+export function ArrayPreview() {
+  const arrayPreview = useStore((state) => state.arrayPreview);
+
+  const boxes = useMemo(() => (arrayPreview
+    ? arrayPreview.transforms.flatMap((transform) => arrayPreview.ids.map((id) => ({
+      id,
+      matrix: new THREE.Matrix4().fromArray(transform),
+      helper: new THREE.Box3Helper(new THREE.Box3(), PREVIEW_COLOR),
+    })))
+    : []), [arrayPreview]);
+
+  useEffect(() => () => boxes.forEach(({ helper }) => helper.dispose()), [boxes]);
+
+  useFrame(() => {
+    const bounds = new Map();
+    boxes.forEach(({ id, helper }) => {
+      if (!bounds.has(id)) {
+        const object = getItemObject(id);
+        bounds.set(id, object ? new THREE.Box3().setFromObject(object) : null);
+      }
+      const box = bounds.get(id);
+      helper.visible = Boolean(box);
+      if (box) helper.box.copy(box);
+    });
+  });
+
+  return (
+    <>
+      {boxes.map(({ id, matrix, helper }, index) => (
+        <group key={`${index}:${id}`} matrixAutoUpdate={false} matrix={matrix}>
+          <primitive object={helper} />
+        </group>
+      ))}
+    </>
+  );
+}
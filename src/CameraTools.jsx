@@ -0,0 +1,173 @@
+import { useEffect, useMemo, useRef } from 'react';
+import * as THREE from 'three';
+import { useFrame, useThree } from '@react-three/fiber';
+import { useStore } from './store';
+import { getItemObject } from './itemObjects';
+import { isTyping } from './shortcuts';
+import { FLIGHT_DURATION, EYE_HEIGHT, WALK_SPEED, RUN_FACTOR, easeInOut, createWalkArea, orbitViewFrom } from './cameraViews';
+
+// Radians of turn per pixel of mouse drag in walk mode
+const LOOK_SPEED = 0.004;
+// Walk mode pitch limit, short of straight up or down
+const MAX_PITCH = THREE.MathUtils.degToRad(85);
+
+const MOVE_KEYS = {
+  KeyW: [0, 1], ArrowUp: [0, 1],
+  KeyS: [0, -1], ArrowDown: [0, -1],
+  KeyA: [-1, 0], ArrowLeft: [-1, 0],
+  KeyD: [1, 0], ArrowRight: [1, 0],
+};
+
+/**
+ * CameraRig Component - Applies the field of view from the store and flies the
+ * orbit camera to requested views (see flyTo in store.js). Orbiting is paused
+ * during a flight; a flight requested in walk mode starts once orbit controls are back.
+ */
+export function CameraRig() {
+  const camera = useThree((state) => state.camera);
+  const controls = useThree((state) => state.controls);
+  const cameraFov = useStore((state) => state.cameraFov);
+  const cameraFlight = useStore((state) => state.cameraFlight);
+  const flight = useRef(null);
+
+  useEffect(() => {
+    camera.fov = cameraFov;
+    camera.updateProjectionMatrix();
+  }, [camera, cameraFov]);
+
+  useEffect(() => {
+    if (!cameraFlight || !controls) return;
+    flight.current = {
+      from: { position: camera.position.clone(), target: controls.target.clone(), fov: camera.fov },
+      to: {
+        position: new THREE.Vector3().fromArray(cameraFlight.position),
+        target: new THREE.Vector3().fromArray(cameraFlight.target),
+        fov: cameraFlight.fov,
+      },
+      duration: cameraFlight.instant ? 0 : FLIGHT_DURATION,
+      elapsed: 0,
+    };
+    controls.enabled = false;
+  }, [cameraFlight, controls, camera]);
+
+  useFrame((_, delta) => {
+    const current = flight.current;
+    if (!current || !controls) return;
+    current.elapsed += delta;
+    const t = current.duration > 0 ? Math.min(current.elapsed / current.duration, 1) : 1;
+    const k = easeInOut(t);
+    camera.position.lerpVectors(current.from.position, current.to.position, k);
+    controls.target.lerpVectors(current.from.target, current.to.target, k);
+    camera.fov = THREE.MathUtils.lerp(current.from.fov, current.to.fov, k);
+    camera.updateProjectionMatrix();
+    controls.update();
+    if (t < 1) return;
+    flight.current = null;
+    controls.enabled = true;
+    useStore.getState().finishCameraFlight(current.to.fov);
+  });
+
+  return null;
+}
+
+/**
+ * WalkControls Component - First-person walkthrough at eye height. WASD or the
+ * arrow keys walk (Shift to hurry), dragging looks around, and Escape returns
+ * to orbiting around the spot in front of the eye. Walking stays inside the
+ * room shells' floor plans (the whole floor when there is no room) and stops
+ * at their walls, interior partitions included.
+ * @param {object} props
+ * @param {number} props.floorSize - Floor size in meters
+ */
+export function WalkControls({ floorSize }) {
+  const camera = useThree((state) => state.camera);
+  const gl = useThree((state) => state.gl);
+  const roomBounds = useStore((state) => state.roomBounds);
+  const area = useMemo(() => createWalkArea(
+    Object.values(roomBounds),
+    floorSize,
+    Object.keys(roomBounds).map(getItemObject).filter(Boolean)
+  ), [roomBounds, floorSize]);
+  const walker = useRef(null);
+  const pressed = useRef(new Set());
+
+  useEffect(() => {
+    const canvas = gl.domElement;
+    const keys = pressed.current;
+    let dragging = false;
+
+    const handleKeyDown = (event) => {
+      if (isTyping(event.target) || event.ctrlKey || event.metaKey) return;
+      if (event.code === 'Escape') {
+        useStore.getState().flyTo(orbitViewFrom(camera));
+        return;
+      }
+      if (MOVE_KEYS[event.code]) event.preventDefault();
+      keys.add(event.code);
+    };
+    const handleKeyUp = (event) => keys.delete(event.code);
+    const handleBlur = () => keys.clear();
+    const handlePointerDown = () => { dragging = true; };
+    const handlePointerUp = () => { dragging = false; };
+    const handlePointerMove = (event) => {
+      if (!dragging || !walker.current) return;
+      walker.current.yaw -= event.movementX * LOOK_SPEED;
+      walker.current.pitch = THREE.MathUtils.clamp(walker.current.pitch - event.movementY * LOOK_SPEED, -MAX_PITCH, MAX_PITCH);
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    window.addEventListener('pointerup', handlePointerUp);
+    window.addEventListener('pointermove', handlePointerMove);
+    return () => {
+      keys.clear();
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', handleBlur);
+      canvas.removeEventListener('pointerdown', handlePointerDown);
+      window.removeEventListener('pointerup', handlePointerUp);
+      window.removeEventListener('pointermove', handlePointerMove);
+    };
+  }, [gl, camera]);
+
+  useFrame((_, delta) => {
+    // Start where the camera was looking, facing the same way
+    if (!walker.current) {
+      const direction = camera.getWorldDirection(new THREE.Vector3());
+      const onFloor = direction.y < -1e-3
+        ? camera.position.clone().addScaledVector(direction, -camera.position.y / direction.y)
+        : camera.position.clone();
+      walker.current = {
+        position: area.nearest(onFloor.x, onFloor.z),
+        yaw: Math.atan2(-direction.x, -direction.z),
+        pitch: 0,
+      };
+    }
+    const state = walker.current;
+    const keys = pressed.current;
+    let right = 0;
+    let forward = 0;
+    keys.forEach((code) => {
+      if (!MOVE_KEYS[code]) return;
+      right += MOVE_KEYS[code][0];
+      forward += MOVE_KEYS[code][1];
+    });
+    const length = Math.hypot(right, forward);
+    if (length > 0) {
+      const speed = WALK_SPEED * (keys.has('ShiftLeft') || keys.has('ShiftRight') ? RUN_FACTOR : 1) * Math.min(delta, 0.1);
+      const sin = Math.sin(state.yaw);
+      const cos = Math.cos(state.yaw);
+      // Yaw 0 looks down -Z; right is +X
+      const moveX = ((right * cos) - (forward * sin)) / length * speed;
+      const moveZ = ((-right * sin) - (forward * cos)) / length * speed;
+      state.position = area.step(state.position, [moveX, moveZ]);
+    }
+    const [x, z] = state.position;
+    camera.position.set(x, area.floorHeight(x, z) + EYE_HEIGHT, z);
+    camera.rotation.set(state.pitch, state.yaw, 0, 'YXZ');
+  });
+
+  return null;
+}
@@ -0,0 +1,121 @@
+import React, { useEffect, useMemo } from 'react';
+import * as THREE from 'three';
+import { useFrame, useThree } from '@react-three/fiber';
+import { useGLTF } from '@react-three/drei';
+import { useStore } from './store';
+import { registerItemObject, unregisterItemObject, getItemObject } from './itemObjects';
+import { configureGLTFLoader } from './modelLoader';
+import { linkModelClone } from './materialOverrides';
+
+// Instance matrix for a copy whose stand-in is not mounted yet
+const HIDDEN = new THREE.Matrix4().makeScale(0, 0, 0);
+
+// Meshes of a model or a stand-in cloned from it, in the same (scene) order
+const meshLists = new WeakMap();
+function modelMeshes(root) {
+  if (!meshLists.has(root)) {
+    const meshes = [];
+    root.traverse((child) => {
+      if (child.isMesh) meshes.push(child);
+    });
+    meshLists.set(root, meshes);
+  }
+  return meshLists.get(root);
+}
+
+/**
+ * InstanceStandIn Component - Invisible copy of the model at the item's
+ * transform. It is what tools see as the item: it is registered as the item's
+ * object, takes clicks, and its meshes give bounds, snapping surfaces and the
+ * instance matrices. Marked with `instanceStandIn` so exports make it visible.
+ * @param {object} props
+ * @param {object} props.item - Model item from the store
+ * @param {THREE.Object3D} props.source - Loaded model scene
+ */
+function InstanceStandIn({ item, source }) {
+  const pickItem = useStore((state) => state.pickItem);
+  const standIn = useMemo(() => {
+    const clone = source.clone();
+    clone.traverse((child) => {
+      if (!child.isMesh) return;
+      child.visible = false;
+      child.userData.instanceStandIn = true;
+    });
+    // Lets the material panel list the model's materials and variants
+    linkModelClone(clone, source);
+    return clone;
+  }, [source]);
+
+  useEffect(() => {
+    registerItemObject(item.id, standIn);
+    return () => unregisterItemObject(item.id, standIn);
+  }, [item.id, standIn]);
+
+  const handleClick = (e) => {
+    e.stopPropagation();
+    pickItem(item.id, { single: e.altKey, additive: e.shiftKey || e.ctrlKey || e.metaKey });
+  };
+
+  return (
+    <primitive
+      object={standIn}
+      position={item.position}
+      rotation={item.rotation}
+      scale={item.scale}
+      userData={{ itemId: item.id }}
+      onClick={handleClick}
+    />
+  );
+}
+
+/**
+ * InstancedModels Component - Draws unmodified copies of one library model
+ * with one InstancedMesh per mesh of the model (see instancing.js)
+ * @param {object} props
+ * @param {string} props.url - Model URL
+ * @param {string} props.role - Role shared by the copies
+ * @param {Array} props.items - The copies
+ */
+export function InstancedModels({ url, role, items }) {
+  const gl = useThree((state) => state.gl);
+  const { scene } = useGLTF(url, false, false, (loader) => configureGLTFLoader(loader, gl));
+
+  // Geometry and materials stay shared with the cached model
+  const instancedMeshes = useMemo(() => modelMeshes(scene).map((mesh) => {
+    const instanced = new THREE.InstancedMesh(mesh.geometry, mesh.material, items.length);
+    instanced.name = mesh.name;
+    // Copies move independently of the bounds computed at creation
+    instanced.frustumCulled = false;
+    return instanced;
+  }), [scene, items.length]);
+
+  useEffect(() => () => instancedMeshes.forEach((instanced) => instanced.dispose()), [instancedMeshes]);
+
+  useEffect(() => {
+    instancedMeshes.forEach((instanced) => {
+      // Light fixtures would block their own light, so only furniture and decor cast shadows
+      instanced.castShadow = role !== 'light-fixture';
+      instanced.receiveShadow = true;
+    });
+  }, [instancedMeshes, role]);
+
+  // Follow the stand-ins every frame, so gizmo drags show before they are committed
+  useFrame(() => {
+    items.forEach((item, index) => {
+      const standIn = getItemObject(item.id);
+      const meshes = standIn?.userData.itemId === item.id ? modelMeshes(standIn) : null;
+      if (meshes) standIn.updateMatrixWorld();
+      instancedMeshes.forEach((instanced, meshIndex) => {
+        instanced.setMatrixAt(index, meshes ? meshes[meshIndex].matrixWorld : HIDDEN);
+      });
+    });
+    instancedMeshes.forEach((instanced) => { instanced.instanceMatrix.needsUpdate = true; });
+  });
+
+  return (
+    <>
+      {instancedMeshes.map((instanced) => <primitive key={instanced.uuid} object={instanced} />)}
+      {items.map((item) => <InstanceStandIn key={item.id} item={item} source={scene} />)}
+    </>
+  );
+}
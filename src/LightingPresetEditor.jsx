@@ -0,0 +1,474 @@
+import React, { useRef, useState } from 'react';
+import { useStore } from './store';
+import { downloadBlob } from './download';
+import {
+  getLightingPresets,
+  findLightingPreset,
+  copyLightingPreset,
+  serializeLightingPresets,
+  parseLightingPresets,
+  HEMISPHERE_LIGHT_TEMPLATE,
+  POINT_LIGHT_TEMPLATE,
+  AUTO_LAYOUT_TEMPLATE,
+} from './lightingPresets';
+
+const SHADOW_MAP_SIZES = [512, 1024, 2048, 4096];
+
+const editorStyles = {
+  overlay: {
+    position: 'fixed',
+    inset: 0,
+    zIndex: 20,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  dialog: {
+    backgroundColor: '#18181b',
+    color: 'white',
+    borderRadius: '8px',
+    padding: '16px',
+    width: '760px',
+    maxWidth: 'calc(100vw - 40px)',
+    maxHeight: 'calc(100vh - 40px)',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '12px',
+  },
+  body: {
+    display: 'flex',
+    gap: '16px',
+    minHeight: 0,
+    overflow: 'hidden',
+  },
+  list: {
+    width: '200px',
+    flexShrink: 0,
+    overflowY: 'auto',
+  },
+  listItem: {
+    padding: '6px 8px',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontSize: '0.9em',
+  },
+  form: {
+    flex: 1,
+    overflowY: 'auto',
+    fontSize: '0.85em',
+  },
+  section: {
+    fontWeight: 'bold',
+    margin: '12px 0 6px',
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    flexWrap: 'wrap',
+    marginBottom: '6px',
+  },
+  input: {
+    backgroundColor: '#3f3f46',
+    color: 'white',
+    border: '1px solid #52525b',
+    borderRadius: '4px',
+    padding: '2px 4px',
+    width: '56px',
+  },
+  button: {
+    backgroundColor: '#4f46e5',
+    color: 'white',
+    fontWeight: 'bold',
+    padding: '4px 10px',
+    borderRadius: '6px',
+    border: 'none',
+    cursor: 'pointer',
+    fontSize: '0.85em',
+  },
+  activeButton: {
+    backgroundColor: '#22c55e',
+  },
+  dangerButton: {
+    backgroundColor: '#7f1d1d',
+  },
+  disabledButton: {
+    backgroundColor: '#52525b',
+    cursor: 'not-allowed',
+  },
+};
+
+// Copy of `object` with the value at `path` replaced
+function setIn(object, path, value) {
+  if (path.length === 0) return value;
+  const [key, ...rest] = path;
+  const copy = Array.isArray(object) ? [...object] : { ...object };
+  copy[key] = setIn(object[key], rest, value);
+  return copy;
+}
+
+function NumberInput({ value, onChange, step = 0.1, min }) {
+  return (
+    <input
+      type="number"
+      value={value}
+      step={step}
+      min={min}
+      onChange={(e) => {
+        const parsed = parseFloat(e.target.value);
+        if (Number.isFinite(parsed)) onChange(min === undefined ? parsed : Math.max(min, parsed));
+      }}
+      style={editorStyles.input}
+    />
+  );
+}
+
+function ColorInput({ value, onChange }) {
+  return <input type="color" value={value} onChange={(e) => onChange(e.target.value)} />;
+}
+
+function EditorButton({ onClick, disabled, active, danger, title, children }) {
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      title={title}
+      style={{
+        ...editorStyles.button,
+        ...(active && editorStyles.activeButton),
+        ...(danger && editorStyles.dangerButton),
+        ...(disabled && editorStyles.disabledButton),
+      }}
+    >
+      {children}
+    </button>
+  );
+}
+
+/**
+ * Form fields for one preset. Room presets generate ceiling lights from the
+ * room's floor plan and place extra point lights relative to the room bounds
+ * (see lightingPresets.js).
+ */
+function PresetForm({ draft, update }) {
+  const { ambientLight, hemisphereLight, autoLayout, pointLights, directionalLight } = draft;
+
+  return (
+    <>
+      <div style={editorStyles.row}>
+        Name
+        <input
+          value={draft.name}
+          onChange={(e) => update(['name'], e.target.value)}
+          style={{ ...editorStyles.input, width: '200px' }}
+        />
+      </div>
+
+      <div style={editorStyles.section}>Ambient Light</div>
+      <div style={editorStyles.row}>
+        <ColorInput value={ambientLight.color} onChange={(value) => update(['ambientLight', 'color'], value)} />
+        Intensity
+        <NumberInput value={ambientLight.intensity} min={0} onChange={(value) => update(['ambientLight', 'intensity'], value)} />
+      </div>
+
+      {draft.kind === 'room' && (
+        <>
+          <div style={editorStyles.section}>
+            <label>
+              <input
+                type="checkbox"
+                checked={Boolean(hemisphereLight)}
+                onChange={(e) => update(['hemisphereLight'], e.target.checked ? { ...HEMISPHERE_LIGHT_TEMPLATE } : null)}
+              /> Hemisphere Light
+            </label>
+          </div>
+          {hemisphereLight && (
+            <div style={editorStyles.row}>
+              Sky <ColorInput value={hemisphereLight.skyColor} onChange={(value) => update(['hemisphereLight', 'skyColor'], value)} />
+              Ground <ColorInput value={hemisphereLight.groundColor} onChange={(value) => update(['hemisphereLight', 'groundColor'], value)} />
+              Intensity
+              <NumberInput value={hemisphereLight.intensity} min={0} onChange={(value) => update(['hemisphereLight', 'intensity'], value)} />
+            </div>
+          )}
+
+          <div style={editorStyles.section}>
+            <label>
+              <input
+                type="checkbox"
+                checked={Boolean(autoLayout)}
+                onChange={(e) => update(['autoLayout'], e.target.checked ? { ...AUTO_LAYOUT_TEMPLATE } : null)}
+              /> Automatic Ceiling Lights
+            </label>
+          </div>
+          {autoLayout && (
+            <>
+              <p style={{ color: '#a1a1aa', margin: '0 0 6px' }}>
+                Lights are spread over the room's floor plan below the actual ceiling; their number follows the floor area and brightness.
+              </p>
+              <div style={editorStyles.row}>
+                <ColorInput value={autoLayout.color} onChange={(value) => update(['autoLayout', 'color'], value)} />
+                Brightness
+                <NumberInput value={autoLayout.brightness} min={0} step={0.05} onChange={(value) => update(['autoLayout', 'brightness'], value)} />
+                Max intensity
+                <NumberInput value={autoLayout.maxIntensity} min={0} step={1} onChange={(value) => update(['autoLayout', 'maxIntensity'], value)} />
+              </div>
+              <div style={editorStyles.row}>
+                Below ceiling
+                <NumberInput value={autoLayout.ceilingOffset} min={0} step={0.05} onChange={(value) => update(['autoLayout', 'ceilingOffset'], value)} /> m
+                Max spacing
+                <NumberInput value={autoLayout.maxSpacing} min={0.5} step={0.25} onChange={(value) => update(['autoLayout', 'maxSpacing'], value)} /> m
+              </div>
+              <div style={editorStyles.row}>
+                <label>
+                  <input type="checkbox" checked={autoLayout.useFixtures} onChange={(e) => update(['autoLayout', 'useFixtures'], e.target.checked)} /> Use the room's light fixtures
+                </label>
+                <label>
+                  <input type="checkbox" checked={autoLayout.castShadow} onChange={(e) => update(['autoLayout', 'castShadow'], e.target.checked)} /> Shadows
+                </label>
+              </div>
+            </>
+          )}
+
+          <div style={editorStyles.section}>Point Lights ({pointLights.length})</div>
+          <p style={{ color: '#a1a1aa', margin: '0 0 6px' }}>
+            Added to the automatic lights. X/Z: -1 to 1 from wall to wall. Height: fraction of the room height, plus an offset in meters. Range: fraction of the room size.
+          </p>
+          {pointLights.map((light, index) => (
+            <div key={index} style={{ ...editorStyles.row, borderBottom: '1px solid #3f3f46', paddingBottom: '6px' }}>
+              X <NumberInput value={light.position[0]} onChange={(value) => update(['pointLights', index, 'position', 0], value)} />
+              Z <NumberInput value={light.position[2]} onChange={(value) => update(['pointLights', index, 'position', 2], value)} />
+              Height <NumberInput value={light.position[1]} onChange={(value) => update(['pointLights', index, 'position', 1], value)} />
+              + <NumberInput value={light.heightOffset} onChange={(value) => update(['pointLights', index, 'heightOffset'], value)} /> m
+              <ColorInput value={light.color} onChange={(value) => update(['pointLights', index, 'color'], value)} />
+              Intensity <NumberInput value={light.intensity} min={0} onChange={(value) => update(['pointLights', index, 'intensity'], value)} />
+              Range <NumberInput value={light.distance} min={0} onChange={(value) => update(['pointLights', index, 'distance'], value)} />
+              Decay <NumberInput value={light.decay} min={0} onChange={(value) => update(['pointLights', index, 'decay'], value)} />
+              <label>
+                <input type="checkbox" checked={light.castShadow} onChange={(e) => update(['pointLights', index, 'castShadow'], e.target.checked)} /> Shadows
+              </label>
+              <EditorButton danger onClick={() => update(['pointLights'], pointLights.filter((_, i) => i !== index))}>X</EditorButton>
+            </div>
+          ))}
+          <EditorButton onClick={() => update(['pointLights'], [...pointLights, structuredClone(POINT_LIGHT_TEMPLATE)])}>Add Point Light</EditorButton>
+        </>
+      )}
+
+      {draft.kind === 'furniture' && (
+        <>
+          <div style={editorStyles.section}>Directional Light</div>
+          <div style={editorStyles.row}>
+            <ColorInput value={directionalLight.color} onChange={(value) => update(['directionalLight', 'color'], value)} />
+            Intensity
+            <NumberInput value={directionalLight.intensity} min={0} onChange={(value) => update(['directionalLight', 'intensity'], value)} />
+          </div>
+          <div style={editorStyles.row}>
+            Position
+            {[0, 1, 2].map((axis) => (
+              <NumberInput
+                key={axis}
+                value={directionalLight.position[axis]}
+                step={0.5}
+                onChange={(value) => update(['directionalLight', 'position', axis], value)}
+              />
+            ))}
+          </div>
+          <div style={editorStyles.row}>
+            <label>
+              <input
+                type="checkbox"
+                checked={directionalLight.castShadow}
+                onChange={(e) => update(['directionalLight', 'castShadow'], e.target.checked)}
+              /> Shadows
+            </label>
+            Shadow map
+            <select
+              value={directionalLight.shadowMapSize[0]}
+              onChange={(e) => {
+                const size = parseInt(e.target.value, 10);
+                update(['directionalLight', 'shadowMapSize'], [size, size]);
+              }}
+              style={{ ...editorStyles.input, width: 'auto' }}
+            >
+              {SHADOW_MAP_SIZES.map((size) => <option key={size} value={size}>{size}px</option>)}
+            </select>
+          </div>
+        </>
+      )}
+    </>
+  );
+}
+
+/**
+ * LightingPresetEditor Component - Dialog for creating, duplicating, editing,
+ * deleting, importing and exporting lighting presets. Built-in presets are
+ * read-only; duplicate one to change it. Edits apply when saved.
+ * @param {object} props
+ * @param {'room'|'furniture'} props.initialKind - Preset kind shown first
+ * @param {function} props.onClose - Called when the dialog is closed
+ */
+export function LightingPresetEditor({ initialKind, onClose }) {
+  const customPresets = useStore((state) => state.customLightingPresets);
+  const roomLightingPreset = useStore((state) => state.roomLightingPreset);
+  const furnitureLightingPreset = useStore((state) => state.furnitureLightingPreset);
+  const saveLightingPresets = useStore((state) => state.saveLightingPresets);
+  const deleteLightingPreset = useStore((state) => state.deleteLightingPreset);
+  const setRoomLightingPreset = useStore((state) => state.setRoomLightingPreset);
+  const setFurnitureLightingPreset = useStore((state) => state.setFurnitureLightingPreset);
+
+  const activeIds = { room: roomLightingPreset, furniture: furnitureLightingPreset };
+  const [kind, setKind] = useState(initialKind);
+  const [selectedId, setSelectedId] = useState(activeIds[initialKind]);
+  const [draft, setDraft] = useState(null);
+  const importInputRef = useRef();
+
+  const presets = getLightingPresets(kind, customPresets);
+  const selected = findLightingPreset(kind, selectedId, customPresets) || presets[0];
+  const current = draft && draft.id === selected.id ? draft : selected;
+  const dirty = current !== selected;
+
+  const confirmDiscard = () => !dirty || window.confirm(`Discard unsaved changes to "${current.name}"?`);
+
+  const select = (nextKind, id) => {
+    if (!confirmDiscard()) return;
+    setDraft(null);
+    setKind(nextKind);
+    setSelectedId(id);
+  };
+
+  const update = (path, value) => setDraft(setIn(current, path, value));
+
+  const addPreset = (preset) => {
+    saveLightingPresets([preset]);
+    setDraft(null);
+    setSelectedId(preset.id);
+  };
+
+  const handleNew = () => {
+    if (!confirmDiscard()) return;
+    addPreset(copyLightingPreset(presets[0], 'New Preset'));
+  };
+
+  const handleDuplicate = () => {
+    if (!confirmDiscard()) return;
+    addPreset(copyLightingPreset(selected));
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete the preset "${selected.name}"?`)) return;
+    deleteLightingPreset(selected.id);
+    setDraft(null);
+    setSelectedId(presets[0].id);
+  };
+
+  const handleSave = () => {
+    saveLightingPresets([current]);
+    setDraft(null);
+  };
+
+  const handleUse = () => {
+    if (kind === 'room') setRoomLightingPreset(selected.id);
+    else setFurnitureLightingPreset(selected.id);
+  };
+
+  const handleClose = () => {
+    if (confirmDiscard()) onClose();
+  };
+
+  const exportPresets = (list, filename) => {
+    downloadBlob(new Blob([serializeLightingPresets(list)], { type: 'application/json' }), filename);
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    if (importInputRef.current) importInputRef.current.value = '';
+    if (!file) return;
+    try {
+      const { presets: imported, warnings } = parseLightingPresets(await file.text());
+      if (imported.length === 0) {
+        alert(`${file.name} contains no presets.`);
+        return;
+      }
+      // Presets with the id of an existing custom preset replace it
+      saveLightingPresets(imported);
+      const first = imported[0];
+      setDraft(null);
+      setKind(first.kind);
+      setSelectedId(first.id);
+      if (warnings.length > 0) {
+        alert(`${file.name} imported with ${warnings.length} repair(s):\n- ${warnings.join('\n- ')}`);
+      }
+    } catch (err) {
+      alert(`Could not import ${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div style={editorStyles.overlay} onClick={handleClose}>
+      <div style={editorStyles.dialog} onClick={(e) => e.stopPropagation()}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <h3 style={{ fontWeight: 'bold', fontSize: '1.1em', margin: 0, flex: 1 }}>Lighting Presets</h3>
+          {['room', 'furniture'].map((option) => (
+            <EditorButton key={option} active={option === kind} onClick={() => option !== kind && select(option, activeIds[option])}>
+              {option === 'room' ? 'Room' : 'Furniture'}
+            </EditorButton>
+          ))}
+          <EditorButton onClick={handleClose}>Close</EditorButton>
+        </div>
+
+        <div style={editorStyles.body}>
+          <div style={editorStyles.list}>
+            {presets.map((preset) => (
+              <div
+                key={preset.id}
+                onClick={() => preset.id !== selected.id && select(kind, preset.id)}
+                style={{
+                  ...editorStyles.listItem,
+                  backgroundColor: preset.id === selected.id ? '#3f3f46' : 'transparent',
+                }}
+              >
+                {preset.name}
+                {preset.builtIn && <span style={{ color: '#a1a1aa' }}> (built-in)</span>}
+                {preset.id === activeIds[kind] && <span style={{ color: '#22c55e' }}> ●</span>}
+              </div>
+            ))}
+            <div style={{ ...editorStyles.row, marginTop: '10px' }}>
+              <EditorButton onClick={handleNew}>New</EditorButton>
+              <EditorButton onClick={handleDuplicate}>Duplicate</EditorButton>
+              <EditorButton danger onClick={handleDelete} disabled={selected.builtIn}>Delete</EditorButton>
+            </div>
+            <div style={editorStyles.row}>
+              <EditorButton onClick={() => importInputRef.current.click()}>Import...</EditorButton>
+              <EditorButton onClick={() => exportPresets([selected], `${selected.name}.lighting.json`)}>Export</EditorButton>
+              <EditorButton
+                onClick={() => exportPresets(customPresets, 'lighting-presets.json')}
+                disabled={customPresets.length === 0}
+                title="Export every custom preset of this scene"
+              >
+                Export All
+              </EditorButton>
+            </div>
+          </div>
+
+          <div style={editorStyles.form}>
+            {selected.builtIn && (
+              <p style={{ color: '#a1a1aa', marginTop: 0 }}>Built-in presets are read-only. Duplicate this preset to change it.</p>
+            )}
+            <fieldset disabled={selected.builtIn} style={{ border: 'none', padding: 0, margin: 0 }}>
+              <PresetForm draft={current} update={update} />
+            </fieldset>
+            <div style={{ ...editorStyles.row, marginTop: '12px' }}>
+              <EditorButton onClick={handleSave} disabled={!dirty}>Save</EditorButton>
+              <EditorButton onClick={() => setDraft(null)} disabled={!dirty}>Revert</EditorButton>
+              <EditorButton onClick={handleUse} disabled={dirty || selected.id === activeIds[kind]}>
+                Use for {kind === 'room' ? 'Room' : 'Furniture'} Lighting
+              </EditorButton>
+            </div>
+          </div>
+        </div>
+
+        <input type="file" accept=".json" ref={importInputRef} onChange={handleImport} style={{ display: 'none' }} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,259 @@
+import React, { useEffect, useRef, useState } from 'react';
+import * as THREE from 'three';
+import { useFrame, useThree } from '@react-three/fiber';
+import { Html, Line } from '@react-three/drei';
+import { useStore } from './store';
+import { getItemObject } from './itemObjects';
+import { isLightItem } from './lightItems';
+import { createMeasurement, measurementLength, pickSurfacePoint, getLocalBounds } from './measurements';
+import { formatLength } from './units';
+
+// Pointer travel (pixels) above which a click is a camera drag, not a measuring click
+const DRAG_THRESHOLD = 4;
+// Measurements draw on top of the models they measure
+const OVERLAY_ORDER = 999;
+
+const measureStyles = {
+  label: {
+    display: 'flex',
+    gap: '4px',
+    alignItems: 'center',
+    padding: '2px 6px',
+    borderRadius: '4px',
+    backgroundColor: 'rgba(24, 24, 27, 0.85)',
+    color: 'white',
+    fontSize: '12px',
+    whiteSpace: 'nowrap',
+    userSelect: 'none',
+  },
+  button: {
+    padding: '0 4px',
+    border: 'none',
+    borderRadius: '3px',
+    backgroundColor: '#4f46e5',
+    color: 'white',
+    fontSize: '11px',
+    cursor: 'pointer',
+  },
+};
+
+/**
+ * MeasurementLine Component - A measured span with end points and a label at its middle
+ * @param {object} props
+ * @param {number[]} props.start - World position [x, y, z]
+ * @param {number[]} props.end - World position [x, y, z]
+ * @param {string} props.color - Line color
+ * @param {React.ReactNode} props.children - Label contents
+ */
+function MeasurementLine({ start, end, color, children }) {
+  const middle = start.map((value, axis) => (value + end[axis]) / 2);
+  return (
+    <group>
+      <Line points={[start, end]} color={color} lineWidth={2} depthTest={false} renderOrder={OVERLAY_ORDER} />
+      {[start, end].map((point, index) => (
+        <mesh key={index} position={point} renderOrder={OVERLAY_ORDER}>
+          <sphereGeometry args={[0.03, 12, 8]} />
+          <meshBasicMaterial color={color} depthTest={false} />
+        </mesh>
+      ))}
+      <Html position={middle} center>
+        <div style={measureStyles.label}>{children}</div>
+      </Html>
+    </group>
+  );
+}
+
+/**
+ * MeasureTool Component - Tape measure: click two points on any model or the
+ * floor to measure the distance between them, then keep it as an annotation.
+ * Clicks are caught before the Canvas sees them, so measuring never changes the
+ * selection; dragging still orbits the camera. Escape drops the current
+ * measurement, or leaves the tool when there is none.
+ */
+export function MeasureTool() {
+  const gl = useThree((state) => state.gl);
+  const camera = useThree((state) => state.camera);
+  const scene = useThree((state) => state.scene);
+  const lengthUnit = useStore((state) => state.lengthUnit);
+  const addMeasurement = useStore((state) => state.addMeasurement);
+  const setMeasuring = useStore((state) => state.setMeasuring);
+  // { start, end, done }; `end` follows the pointer until the second click
+  const [draft, setDraft] = useState(null);
+  const draftRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = gl.domElement;
+    let pressed = null;
+    const update = (next) => {
+      draftRef.current = next;
+      setDraft(next);
+    };
+
+    const pick = (event) => {
+      const rect = canvas.getBoundingClientRect();
+      const ndc = {
+        x: ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        y: -((event.clientY - rect.top) / rect.height) * 2 + 1,
+      };
+      const targets = useStore.getState().items.map((item) => getItemObject(item.id)).filter(Boolean);
+      const floor = scene.getObjectByName('floor');
+      if (floor) targets.push(floor);
+      return pickSurfacePoint(ndc, camera, targets)?.toArray() ?? null;
+    };
+
+    const handlePointerDown = (event) => {
+      pressed = { x: event.clientX, y: event.clientY };
+    };
+    const handleClick = (event) => {
+      if (event.target !== canvas) return;
+      event.stopPropagation();
+      const moved = !pressed || Math.hypot(event.clientX - pressed.x, event.clientY - pressed.y) > DRAG_THRESHOLD;
+      pressed = null;
+      if (moved) return;
+      const point = pick(event);
+      if (!point) return;
+      const current = draftRef.current;
+      update(current && !current.done ? { ...current, end: point, done: true } : { start: point, end: point, done: false });
+    };
+    const handlePointerMove = (event) => {
+      const current = draftRef.current;
+      if (!current || current.done || event.buttons !== 0 || event.target !== canvas) return;
+      const point = pick(event);
+      if (point) update({ ...current, end: point });
+    };
+    const handleKeyDown = (event) => {
+      if (event.key !== 'Escape') return;
+      if (draftRef.current) update(null);
+      else setMeasuring(false);
+    };
+
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointermove', handlePointerMove);
+    // Capture phase on the window runs before the Canvas' own click handling
+    window.addEventListener('click', handleClick, true);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => {
+      canvas.removeEventListener('pointerdown', handlePointerDown);
+      canvas.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('click', handleClick, true);
+      window.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [gl, camera, scene, setMeasuring]);
+
+  if (!draft) return null;
+
+  const handleKeep = (event) => {
+    // Labels sit over the canvas; keep the click from reaching the models behind them
+    event.stopPropagation();
+    addMeasurement(createMeasurement(draft.start, draft.end));
+    draftRef.current = null;
+    setDraft(null);
+  };
+
+  return (
+    <MeasurementLine start={draft.start} end={draft.end} color="#facc15">
+      {formatLength(measurementLength(draft), lengthUnit)}
+      {draft.done && <button onClick={handleKeep} title="Save this measurement with the scene" style={measureStyles.button}>Keep</button>}
+    </MeasurementLine>
+  );
+}
+
+/**
+ * Measurements Component - The measurements kept with the scene
+ */
+export function Measurements() {
+  const measurements = useStore((state) => state.measurements);
+  const lengthUnit = useStore((state) => state.lengthUnit);
+  const deleteMeasurement = useStore((state) => state.deleteMeasurement);
+  return (
+    <>
+      {measurements.map((measurement) => (
+        <MeasurementLine key={measurement.id} start={measurement.start} end={measurement.end} color="#38bdf8">
+          {formatLength(measurementLength(measurement), lengthUnit)}
+          <button
+            onClick={(event) => {
+              event.stopPropagation();
+              deleteMeasurement(measurement.id);
+            }}
+            title="Delete measurement"
+            style={{ ...measureStyles.button, backgroundColor: '#52525b' }}>
+            ×
+          </button>
+        </MeasurementLine>
+      ))}
+    </>
+  );
+}
+
+/**
+ * ItemDimensions Component - Width, depth and height of an item along its own
+ * axes, drawn on the edges of its bounds and following it every frame
+ * @param {object} props
+ * @param {string} props.id - Item id
+ * @param {string} props.unit - Length unit (see units.js)
+ */
+function ItemDimensions({ id, unit }) {
+  const group = useRef();
+  const [box, setBox] = useState(null);
+  const [labels, setLabels] = useState(null);
+  const scale = useRef(new THREE.Vector3());
+  const size = useRef(new THREE.Vector3());
+
+  useFrame(() => {
+    const object = getItemObject(id);
+    const bounds = object ? getLocalBounds(object) : null;
+    if (!group.current) return;
+    group.current.visible = Boolean(bounds);
+    if (!bounds) return;
+    if (bounds !== box) setBox(bounds);
+
+    object.updateWorldMatrix(true, false);
+    group.current.matrix.copy(object.matrixWorld);
+    object.getWorldScale(scale.current);
+    bounds.getSize(size.current).multiply(scale.current);
+    const next = size.current.toArray().map((length) => formatLength(Math.abs(length), unit));
+    if (!labels || next.some((label, axis) => label !== labels[axis])) setLabels(next);
+  });
+
+  const { min, max } = box ?? new THREE.Box3(new THREE.Vector3(), new THREE.Vector3());
+  // The three edges meeting at the front bottom left corner
+  const corner = [min.x, min.y, max.z];
+  const edges = [
+    { name: 'W', end: [max.x, min.y, max.z] },
+    { name: 'H', end: [min.x, max.y, max.z] },
+    { name: 'D', end: [min.x, min.y, min.z] },
+  ];
+
+  return (
+    <group ref={group} matrixAutoUpdate={false} visible={false}>
+      {box && labels && edges.map(({ name, end }, axis) => (
+        <group key={name}>
+          <Line points={[corner, end]} color="#facc15" lineWidth={2} depthTest={false} renderOrder={OVERLAY_ORDER} />
+          <Html position={corner.map((value, index) => (value + end[index]) / 2)} center>
+            <div style={measureStyles.label}>{name} {labels[axis]}</div>
+          </Html>
+        </group>
+      ))}
+    </group>
+  );
+}
+
+/**
+ * SelectionDimensions Component - Dimension overlays on the selected models,
+ * shown while dimensions are switched on
+ */
+export function SelectionDimensions() {
+  const items = useStore((state) => state.items);
+  const selectedIds = useStore((state) => state.selectedIds);
+  const showDimensions = useStore((state) => state.showDimensions);
+  const lengthUnit = useStore((state) => state.lengthUnit);
+  if (!showDimensions) return null;
+
+  return (
+    <>
+      {items.filter((item) => selectedIds.includes(item.id) && !isLightItem(item)).map((item) => (
+        <ItemDimensions key={item.id} id={item.id} unit={lengthUnit} />
+      ))}
+    </>
+  );
+}
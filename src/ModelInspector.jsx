@@ -0,0 +1,96 @@
+import React, { useEffect, useState } from 'react';
+import { inspectModel, formatBytes } from './modelStats';
+import { useStore } from './store';
+import { formatLength } from './units';
+
+const inspectorStyles = {
+  summary: {
+    fontSize: '0.75em',
+    color: '#a1a1aa',
+    marginTop: '2px',
+  },
+  warningBadge: {
+    color: '#fbbf24',
+    marginLeft: '6px',
+  },
+  toggle: {
+    background: 'none',
+    border: 'none',
+    color: '#818cf8',
+    cursor: 'pointer',
+    padding: 0,
+    marginLeft: '6px',
+    fontSize: '1em',
+  },
+  details: {
+    fontSize: '0.75em',
+    color: '#d4d4d8',
+    margin: '4px 0 0',
+    paddingLeft: '14px',
+  },
+  warning: {
+    color: '#fbbf24',
+  },
+};
+
+/**
+ * ModelInspector Component - One-line summary of a library model (size and
+ * triangle count) that expands into full geometry, material and texture stats.
+ * Warnings include problems met while placing the model (modelWarnings in store.js).
+ * @param {object} props
+ * @param {string} props.url - Model URL
+ */
+export function ModelInspector({ url }) {
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState(false);
+  const lengthUnit = useStore((state) => state.lengthUnit);
+  const usageWarnings = useStore((state) => state.modelWarnings[url]);
+
+  useEffect(() => {
+    let cancelled = false;
+    inspectModel(url)
+      .then((result) => { if (!cancelled) setStats(result); })
+      .catch((err) => { if (!cancelled) setError(err.message); });
+    return () => { cancelled = true; };
+  }, [url]);
+
+  if (error) return <div style={{ ...inspectorStyles.summary, ...inspectorStyles.warning }}>Could not inspect: {error}</div>;
+  if (!stats) return <div style={inspectorStyles.summary}>Inspecting...</div>;
+
+  const [width, height, depth] = stats.dimensions;
+  const warnings = [...stats.warnings, ...(usageWarnings ?? [])];
+  return (
+    <div style={inspectorStyles.summary}>
+      {[width, height, depth].map((length) => formatLength(length, lengthUnit)).join(' × ')} · {stats.triangles.toLocaleString()} tris
+      {warnings.length > 0 && (
+        <span style={inspectorStyles.warningBadge} title={warnings.join('\n')}>⚠ {warnings.length}</span>
+      )}
+      <button style={inspectorStyles.toggle} onClick={() => setExpanded(!expanded)}>
+        {expanded ? 'Less' : 'Details'}
+      </button>
+      {expanded && (
+        <ul style={inspectorStyles.details}>
+          <li>File size: {formatBytes(stats.fileSize)}</li>
+          <li>Vertices: {stats.vertices.toLocaleString()}</li>
+          <li>Meshes: {stats.meshes} · Materials: {stats.materials}</li>
+          <li>
+            Textures: {stats.textures.length}
+            {stats.textures.map((texture, index) => (
+              <div key={index}>{texture.name}: {texture.width}×{texture.height}</div>
+            ))}
+          </li>
+          <li>
+            Animations: {stats.animations.length === 0 ? 'none' : stats.animations.length}
+            {stats.animations.map((clip, index) => (
+              <div key={index}>{clip.name} ({clip.duration.toFixed(2)} s)</div>
+            ))}
+          </li>
+          {warnings.map((warning) => (
+            <li key={warning} style={inspectorStyles.warning}>{warning}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
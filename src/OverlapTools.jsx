@@ -0,0 +1,63 @@
+import React, { useRef } from 'react';
+import * as THREE from 'three';
+import { useFrame } from '@react-three/fiber';
+import { useStore } from './store';
+import { getItemObject } from './itemObjects';
+import { findOverlaps } from './placement';
+import { isRoomItem } from './itemRoles';
+import { isLightItem } from './lightItems';
+import { ItemBox } from './SelectionTools';
+import { hiddenItemIds } from './sceneTree';
+
+// Seconds between overlap checks
+const CHECK_INTERVAL = 0.25;
+
+const pairsKey = (pairs) => pairs.map((pair) => pair.join(':')).join('|');
+
+/**
+ * OverlapMonitor Component - Periodically compares the world bounding boxes of
+ * all placed items (room shells, lights and hidden items excluded) and publishes overlapping
+ * pairs to the store. An item attached to another is meant to touch it, so that pair is not reported.
+ * Runs from the render loop, so overlaps update live while a gizmo is dragged.
+ */
+export function OverlapMonitor() {
+  const elapsed = useRef(0);
+
+  useFrame((_, delta) => {
+    elapsed.current += delta;
+    if (elapsed.current < CHECK_INTERVAL) return;
+    elapsed.current = 0;
+
+    const { items, overlaps, setOverlaps } = useStore.getState();
+    const hidden = hiddenItemIds(items);
+    const entries = items
+      .filter((item) => !isRoomItem(item) && !isLightItem(item) && !hidden.has(item.id))
+      .map((item) => ({ id: item.id, object: getItemObject(item.id) }))
+      .filter(({ object }) => object)
+      .map(({ id, object }) => ({ id, box: new THREE.Box3().setFromObject(object) }));
+
+    const parentOf = new Map(items.map((item) => [item.id, item.attachedTo]));
+    const next = findOverlaps(entries).filter(([idA, idB]) => parentOf.get(idA) !== idB && parentOf.get(idB) !== idA);
+    if (pairsKey(next) !== pairsKey(overlaps)) setOverlaps(next);
+  });
+
+  return null;
+}
+
+/**
+ * OverlapHighlights Component - Red outline around every overlapping item
+ */
+export function OverlapHighlights() {
+  const overlaps = useStore((state) => state.overlaps);
+  const showOverlaps = useStore((state) => state.showOverlaps);
+  if (!showOverlaps) return null;
+
+  const ids = [...new Set(overlaps.flat())];
+  return (
+    <>
+      {ids.map((id) => (
+        <ItemBox key={id} id={id} color="#ef4444" />
+      ))}
+    </>
+  );
+}
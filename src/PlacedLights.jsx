@@ -0,0 +1,173 @@
+import React, { useEffect, useMemo, useRef } from 'react';
+import * as THREE from 'three';
+import { RectAreaLightUniformsLib } from 'three/examples/jsm/lights/RectAreaLightUniformsLib.js';
+import { useStore } from './store';
+import { registerItemObject, unregisterItemObject, isShown } from './itemObjects';
+
+// Rect-area lights need their lookup tables in the shader library before the first render
+RectAreaLightUniformsLib.init();
+
+// Size of the clickable marker drawn at each light (meters)
+const HELPER_SIZE = 0.08;
+
+/**
+ * LightHelper Component - Small unlit marker in the light's color that makes the
+ * light visible and clickable. Marked as `lightHelper`, so it neither casts shadows
+ * nor counts as a surface or obstacle.
+ */
+function LightHelper({ light }) {
+  const material = <meshBasicMaterial color={light.color} toneMapped={false} side={THREE.DoubleSide} />;
+
+  switch (light.type) {
+    case 'spot':
+      // Cone opening downwards, along the light direction
+      return (
+        <mesh userData={{ lightHelper: true }}>
+          <coneGeometry args={[HELPER_SIZE, HELPER_SIZE * 2, 16]} />
+          {material}
+        </mesh>
+      );
+    case 'directional':
+      return (
+        <group>
+          <mesh userData={{ lightHelper: true }}>
+            <sphereGeometry args={[HELPER_SIZE * 1.5, 16, 8]} />
+            {material}
+          </mesh>
+          <mesh position={[0, -HELPER_SIZE * 4, 0]} userData={{ lightHelper: true }}>
+            <cylinderGeometry args={[HELPER_SIZE / 6, HELPER_SIZE / 6, HELPER_SIZE * 5, 8]} />
+            {material}
+          </mesh>
+        </group>
+      );
+    case 'rectArea':
+      return (
+        <mesh rotation={[-Math.PI / 2, 0, 0]} userData={{ lightHelper: true }}>
+          <planeGeometry args={[light.width, light.height]} />
+          {material}
+        </mesh>
+      );
+    default:
+      return (
+        <mesh userData={{ lightHelper: true }}>
+          <sphereGeometry args={[HELPER_SIZE, 16, 8]} />
+          {material}
+        </mesh>
+      );
+  }
+}
+
+/**
+ * LightSource Component - The three.js light for a light item's settings
+ * @param {object} props
+ * @param {object} props.light - Light settings
+ * @param {number} props.maxShadowMapSize - Shadow budget of the light (0 = no shadows)
+ */
+function LightSource({ light, maxShadowMapSize }) {
+  // Spot and directional lights aim at a target one meter below them. They default
+  // to a position of (0, 1, 0), so both are pinned to the item's origin.
+  const target = useMemo(() => new THREE.Object3D(), []);
+  const shadowMapSize = Math.min(light.shadowMapSize, maxShadowMapSize);
+  const shadowProps = light.castShadow && shadowMapSize > 0
+    ? {
+      castShadow: true,
+      'shadow-mapSize-width': shadowMapSize,
+      'shadow-mapSize-height': shadowMapSize,
+      'shadow-bias': light.shadowBias,
+    }
+    : { castShadow: false };
+
+  switch (light.type) {
+    case 'spot':
+      return (
+        <>
+          {/* Keyed by shadow map size: three.js only allocates the shadow map once per light */}
+          <spotLight
+            key={shadowMapSize}
+            position={[0, 0, 0]}
+            color={light.color}
+            intensity={light.intensity}
+            distance={light.distance}
+            decay={light.decay}
+            angle={light.angle}
+            penumbra={light.penumbra}
+            target={target}
+            {...shadowProps}
+          />
+          <primitive object={target} position={[0, -1, 0]} />
+        </>
+      );
+    case 'directional':
+      return (
+        <>
+          <directionalLight
+            key={shadowMapSize}
+            position={[0, 0, 0]}
+            color={light.color}
+            intensity={light.intensity}
+            target={target}
+            {...shadowProps}
+          />
+          <primitive object={target} position={[0, -1, 0]} />
+        </>
+      );
+    case 'rectArea':
+      // RectAreaLight shines down its -Z axis; turn it to face down -Y
+      return (
+        <group rotation={[-Math.PI / 2, 0, 0]}>
+          <rectAreaLight color={light.color} intensity={light.intensity} width={light.width} height={light.height} />
+        </group>
+      );
+    default:
+      return (
+        <pointLight
+          key={shadowMapSize}
+          color={light.color}
+          intensity={light.intensity}
+          distance={light.distance}
+          decay={light.decay}
+          {...shadowProps}
+        />
+      );
+  }
+}
+
+/**
+ * LightItem Component - A light placed as a scene item. Rendered at the scene
+ * root, or inside its model's object when attached, so it follows the model.
+ * @param {object} props
+ * @param {object} props.item - Light item from the store (see lightItems.js)
+ * @param {number} props.maxShadowMapSize - Largest shadow map the shadow budget allows it (0 = no shadows)
+ */
+export function LightItem({ item, maxShadowMapSize }) {
+  const group = useRef();
+  const pickItem = useStore((state) => state.pickItem);
+
+  // Expose the rendered object to the selection gizmo and other scene tools
+  useEffect(() => {
+    const object = group.current;
+    registerItemObject(item.id, object);
+    return () => unregisterItemObject(item.id, object);
+  }, [item.id]);
+
+  const handleClick = (e) => {
+    if (!isShown(e.object)) return;
+    e.stopPropagation();
+    pickItem(item.id, { single: e.altKey, additive: e.shiftKey || e.ctrlKey || e.metaKey });
+  };
+
+  return (
+    <group
+      ref={group}
+      position={item.position}
+      rotation={item.rotation}
+      scale={item.scale}
+      visible={!item.hidden}
+      userData={{ itemId: item.id }}
+      onClick={handleClick}
+    >
+      <LightHelper light={item.light} />
+      <LightSource light={item.light} maxShadowMapSize={maxShadowMapSize} />
+    </group>
+  );
+}
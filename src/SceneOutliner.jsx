@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import { useStore } from './store';
+import { itemDisplayName, treeRows, canAttach, hiddenItemIds } from './sceneTree';
+import { isLightItem } from './lightItems';
+
+const outlinerStyles = {
+  list: {
+    fontSize: '0.85em',
+    minHeight: '24px',
+    paddingBottom: '8px',
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px',
+    padding: '3px 4px',
+    borderRadius: '4px',
+    cursor: 'pointer',
+  },
+  selected: {
+    backgroundColor: 'rgba(79, 70, 229, 0.6)',
+  },
+  dropTarget: {
+    outline: '1px dashed #22c55e',
+  },
+  name: {
+    flex: 1,
+    minWidth: 0,
+    whiteSpace: 'nowrap',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+  },
+  input: {
+    flex: 1,
+    minWidth: 0,
+    fontSize: '1em',
+    padding: '0 2px',
+  },
+  toggle: {
+    background: 'none',
+    border: '1px solid #52525b',
+    borderRadius: '4px',
+    color: '#d4d4d8',
+    cursor: 'pointer',
+    padding: '0 4px',
+    fontSize: '0.85em',
+  },
+  toggleOn: {
+    borderColor: '#fbbf24',
+    color: '#fbbf24',
+  },
+  hint: {
+    fontSize: '0.75em',
+    color: '#a1a1aa',
+    margin: '4px 0 0',
+  },
+};
+
+/**
+ * SceneOutliner Component - Every placed item as a tree, with what is attached
+ * to an item indented under it. Click selects (Shift/Ctrl to add, Alt for a
+ * single group member), double-click renames, and the H/L toggles hide or lock
+ * an item. Dragging a row onto a model attaches it there; dropping it on empty
+ * space in the list detaches it.
+ */
+export function SceneOutliner() {
+  const items = useStore((state) => state.items);
+  const selectedIds = useStore((state) => state.selectedIds);
+  const pickItem = useStore((state) => state.pickItem);
+  const renameItem = useStore((state) => state.renameItem);
+  const setItemHidden = useStore((state) => state.setItemHidden);
+  const setItemLocked = useStore((state) => state.setItemLocked);
+  const attachItem = useStore((state) => state.attachItem);
+  const [editing, setEditing] = useState(null);
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropId, setDropId] = useState(null);
+
+  const rows = treeRows(items);
+  const hidden = hiddenItemIds(items);
+
+  const finishRename = (id, value) => {
+    if (editing?.id !== id) return;
+    setEditing(null);
+    const item = items.find((candidate) => candidate.id === id);
+    if (item && value.trim() !== (item.displayName ?? '')) renameItem(id, value.trim());
+  };
+
+  const handleDrop = (event, parentId) => {
+    event.preventDefault();
+    event.stopPropagation();
+    setDropId(null);
+    if (draggedId && canAttach(items, draggedId, parentId)) attachItem(draggedId, parentId);
+    setDraggedId(null);
+  };
+
+  if (items.length === 0) return <p style={{ fontSize: '0.9em', color: '#a1a1aa' }}>No items placed.</p>;
+
+  return (
+    <div
+      style={outlinerStyles.list}
+      onDragOver={(event) => { if (draggedId) event.preventDefault(); }}
+      onDrop={(event) => handleDrop(event, null)}
+    >
+      {rows.map(({ item, depth }) => {
+        const isSelected = selectedIds.includes(item.id);
+        const canDrop = draggedId !== null && draggedId !== item.id && canAttach(items, draggedId, item.id);
+        return (
+          <div
+            key={item.id}
+            draggable={editing?.id !== item.id}
+            onDragStart={(event) => {
+              event.dataTransfer.effectAllowed = 'move';
+              event.dataTransfer.setData('text/plain', item.id);
+              setDraggedId(item.id);
+            }}
+            onDragEnd={() => { setDraggedId(null); setDropId(null); }}
+            onDragOver={(event) => {
+              if (!canDrop) return;
+              event.preventDefault();
+              event.stopPropagation();
+              if (dropId !== item.id) setDropId(item.id);
+            }}
+            onDragLeave={() => { if (dropId === item.id) setDropId(null); }}
+            onDrop={(event) => { if (canDrop) handleDrop(event, item.id); }}
+            onClick={(event) => pickItem(item.id, { single: event.altKey, additive: event.shiftKey || event.ctrlKey || event.metaKey })}
+            onDoubleClick={() => setEditing({ id: item.id, value: item.displayName ?? '' })}
+            title={`${item.name} (${item.id.substring(0, 8)})${item.attachedTo ? ' - drop on empty space to detach' : ''}`}
+            style={{
+              ...outlinerStyles.row,
+              paddingLeft: `${4 + depth * 14}px`,
+              opacity: hidden.has(item.id) || item.locked ? 0.5 : 1,
+              ...(isSelected ? outlinerStyles.selected : {}),
+              ...(dropId === item.id ? outlinerStyles.dropTarget : {}),
+            }}
+          >
+            {editing?.id === item.id ? (
+              <input
+                autoFocus
+                value={editing.value}
+                placeholder={item.name}
+                onChange={(event) => setEditing({ id: item.id, value: event.target.value })}
+                onClick={(event) => event.stopPropagation()}
+                onBlur={(event) => finishRename(item.id, event.target.value)}
+                onKeyDown={(event) => {
+                  if (event.key === 'Enter') finishRename(item.id, event.target.value);
+                  if (event.key === 'Escape') setEditing(null);
+                }}
+                style={outlinerStyles.input}
+              />
+            ) : (
+              <span style={outlinerStyles.name}>
+                {itemDisplayName(item)}
+                {isLightItem(item) && <span style={{ color: '#a1a1aa' }}> (light)</span>}
+              </span>
+            )}
+            <button
+              onClick={(event) => { event.stopPropagation(); setItemHidden(item.id, !item.hidden); }}
+              title={item.hidden ? 'Show' : 'Hide (with everything attached to it)'}
+              style={{ ...outlinerStyles.toggle, ...(item.hidden ? outlinerStyles.toggleOn : {}) }}
+            >
+              H
+            </button>
+            <button
+              onClick={(event) => { event.stopPropagation(); setItemLocked(item.id, !item.locked); }}
+              title={item.locked ? 'Unlock' : 'Lock against selection and editing'}
+              style={{ ...outlinerStyles.toggle, ...(item.locked ? outlinerStyles.toggleOn : {}) }}
+            >
+              L
+            </button>
+          </div>
+        );
+      })}
+      <p style={outlinerStyles.hint}>Drag an item onto a model to attach it; drop it here to detach.</p>
+    </div>
+  );
+}
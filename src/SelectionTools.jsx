@@ -0,0 +1,277 @@
+import React, { useRef, useMemo, useEffect, useLayoutEffect, useState } from 'react';
+import * as THREE from 'three';
+import { useFrame } from '@react-three/fiber';
+import { TransformControls } from '@react-three/drei';
+import { useStore, expandToGroups } from './store';
+import { getItemObject } from './itemObjects';
+import { getGizmoSnaps, getSurfaceSnapOffset } from './snapping';
+import { isLightItem } from './lightItems';
+import { descendantIds, hiddenItemIds } from './sceneTree';
+
+/**
+ * World transform of an item: from its rendered object, which includes the model
+ * an attached light hangs from, or from the store while it is still loading
+ * @param {object} item - Item from the store
+ * @returns {{ position: THREE.Vector3, quaternion: THREE.Quaternion }}
+ */
+function worldTransform(item) {
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  const object = getItemObject(item.id);
+  if (object) {
+    object.updateWorldMatrix(true, false);
+    object.matrixWorld.decompose(position, quaternion, new THREE.Vector3());
+  } else {
+    position.fromArray(item.position);
+    quaternion.setFromEuler(new THREE.Euler(item.rotation[0], item.rotation[1], item.rotation[2]));
+  }
+  return { position, quaternion };
+}
+
+/**
+ * SelectionGizmo Component - One TransformControls gizmo for the whole selection.
+ * The gizmo drives an invisible pivot; every drag step applies the pivot's change
+ * to each selected object in world space (attached items keep their model as
+ * parent), and the result is committed to the store on release as a single
+ * history entry.
+ * @param {object} props
+ * @param {number} props.floorSize - Floor size in meters, which sets the grid snap step
+ */
+export function SelectionGizmo({ floorSize }) {
+  const items = useStore((state) => state.items);
+  const selectedIds = useStore((state) => state.selectedIds);
+  const activeId = useStore((state) => state.selectedItem);
+  const transformMode = useStore((state) => state.transformMode);
+  const pivotMode = useStore((state) => state.pivotMode);
+  const updateItems = useStore((state) => state.updateItems);
+  const snapSettings = useStore((state) => state.snapSettings);
+
+  const pivot = useMemo(() => new THREE.Object3D(), []);
+  const drag = useRef(null);
+
+  const selectedItems = useMemo(
+    () => items.filter((item) => selectedIds.includes(item.id)),
+    [items, selectedIds]
+  );
+  const activeItem = selectedItems.find((item) => item.id === activeId) || selectedItems[selectedItems.length - 1];
+
+  // Move the pivot to the selection whenever it or its transforms change
+  useLayoutEffect(() => {
+    if (!activeItem || drag.current) return;
+    const active = worldTransform(activeItem);
+    if (pivotMode === 'active') {
+      pivot.position.copy(active.position);
+    } else {
+      pivot.position.set(0, 0, 0);
+      selectedItems.forEach((item) => pivot.position.add(worldTransform(item).position));
+      pivot.position.divideScalar(selectedItems.length);
+    }
+    pivot.quaternion.copy(active.quaternion);
+    pivot.scale.set(1, 1, 1);
+    pivot.updateMatrixWorld();
+  }, [pivot, activeItem, selectedItems, pivotMode]);
+
+  const handleMouseDown = () => {
+    pivot.updateMatrixWorld();
+    // Items attached to a selected model, however deep, already move with it
+    const carried = new Set(selectedIds.flatMap((id) => [...descendantIds(items, id)]));
+    drag.current = {
+      pivotInverse: pivot.matrix.clone().invert(),
+      carried,
+      targets: selectedItems
+        .filter((item) => !carried.has(item.id))
+        .map((item) => ({ item, object: getItemObject(item.id) }))
+        .filter(({ object }) => object)
+        .map(({ item, object }) => {
+          object.updateWorldMatrix(true, false);
+          return {
+            id: item.id,
+            object,
+            isModel: !isLightItem(item),
+            start: object.matrixWorld.clone(),
+            parentInverse: object.parent.matrixWorld.clone().invert(),
+          };
+        }),
+    };
+  };
+
+  const handleObjectChange = () => {
+    if (!drag.current) return;
+    pivot.updateMatrix();
+    const delta = pivot.matrix.clone().multiply(drag.current.pivotInverse);
+    drag.current.targets.forEach(({ object, start, parentInverse }) => {
+      parentInverse.clone().multiply(delta).multiply(start).decompose(object.position, object.quaternion, object.scale);
+    });
+
+    // Drop the selected models onto the floor or the top of the item below them;
+    // the rest of the selection moves with them
+    if (snapSettings.surface && transformMode === 'translate') {
+      const models = drag.current.targets.filter(({ isModel }) => isModel).map(({ object }) => object);
+      if (models.length === 0) return;
+      const hidden = hiddenItemIds(items);
+      const obstacles = items
+        .filter((item) => !selectedIds.includes(item.id) && !drag.current.carried.has(item.id) && !hidden.has(item.id) && !isLightItem(item))
+        .map((item) => getItemObject(item.id))
+        .filter(Boolean);
+      const offset = new THREE.Vector3(0, getSurfaceSnapOffset(models, obstacles), 0);
+      // Attached items are positioned in their model's space
+      drag.current.targets.forEach(({ object, parentInverse }) => {
+        object.position.add(offset.clone().applyMatrix3(new THREE.Matrix3().setFromMatrix4(parentInverse)));
+      });
+    }
+  };
+
+  const handleMouseUp = () => {
+    if (!drag.current) return;
+    const updates = {};
+    drag.current.targets.forEach(({ id, object }) => {
+      updates[id] = {
+        position: object.position.toArray(),
+        rotation: [object.rotation.x, object.rotation.y, object.rotation.z],
+        scale: object.scale.toArray(),
+      };
+    });
+    drag.current = null;
+    if (Object.keys(updates).length > 0) updateItems(updates);
+  };
+
+  if (!activeItem) return null;
+
+  return (
+    <>
+      <primitive object={pivot} />
+      <TransformControls
+        object={pivot}
+        mode={transformMode}
+        {...getGizmoSnaps(snapSettings, floorSize)}
+        onMouseDown={handleMouseDown}
+        onObjectChange={handleObjectChange}
+        onMouseUp={handleMouseUp}
+      />
+    </>
+  );
+}
+
+/**
+ * ItemBox Component - Bounding box outline that follows an item every frame
+ * @param {object} props
+ * @param {string} props.id - Item id
+ * @param {string} props.color - Outline color
+ */
+export function ItemBox({ id, color }) {
+  const helper = useMemo(() => new THREE.Box3Helper(new THREE.Box3(), color), [color]);
+
+  useEffect(() => () => helper.dispose(), [helper]);
+
+  useFrame(() => {
+    const object = getItemObject(id);
+    helper.visible = Boolean(object);
+    if (object) helper.box.setFromObject(object);
+  });
+
+  return <primitive object={helper} />;
+}
+
+/**
+ * SelectionBoxes Component - Outlines every selected item; the active item is green
+ */
+export function SelectionBoxes() {
+  const selectedIds = useStore((state) => state.selectedIds);
+  const activeId = useStore((state) => state.selectedItem);
+  return (
+    <>
+      {selectedIds.map((id) => (
+        <ItemBox key={id} id={id} color={id === activeId ? '#22c55e' : '#818cf8'} />
+      ))}
+    </>
+  );
+}
+
+const marqueeStyles = {
+  overlay: {
+    position: 'absolute',
+    inset: 0,
+    zIndex: 5,
+    cursor: 'crosshair',
+  },
+  rectangle: {
+    position: 'absolute',
+    border: '1px dashed #818cf8',
+    backgroundColor: 'rgba(79, 70, 229, 0.15)',
+    pointerEvents: 'none',
+  },
+};
+
+/**
+ * MarqueeSelect Component - Overlay for rubber-band selection over the canvas.
+ * Items whose bounding box center falls inside the rectangle are selected;
+ * holding Shift adds them to the current selection.
+ * @param {object} props
+ * @param {React.RefObject} props.threeRef - Holds the Canvas state getter
+ * @param {function} props.onDone - Called once the rectangle has been released
+ */
+export function MarqueeSelect({ threeRef, onDone }) {
+  const [rect, setRect] = useState(null);
+  const start = useRef(null);
+
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    start.current = { x: event.clientX, y: event.clientY };
+    setRect({ left: event.clientX, top: event.clientY, width: 0, height: 0 });
+  };
+
+  const handlePointerMove = (event) => {
+    if (!start.current) return;
+    setRect({
+      left: Math.min(start.current.x, event.clientX),
+      top: Math.min(start.current.y, event.clientY),
+      width: Math.abs(event.clientX - start.current.x),
+      height: Math.abs(event.clientY - start.current.y),
+    });
+  };
+
+  const handlePointerUp = (event) => {
+    const camera = threeRef.current?.().camera;
+    if (!start.current || !rect || !camera) {
+      start.current = null;
+      onDone();
+      return;
+    }
+
+    const bounds = event.currentTarget.getBoundingClientRect();
+    const { items, groups, selectedIds, setSelection } = useStore.getState();
+    const box = new THREE.Box3();
+    const point = new THREE.Vector3();
+
+    const hits = items
+      .filter((item) => {
+        const object = getItemObject(item.id);
+        if (!object) return false;
+        box.setFromObject(object).getCenter(point).project(camera);
+        if (point.z > 1) return false;
+        const x = bounds.left + ((point.x + 1) / 2) * bounds.width;
+        const y = bounds.top + ((1 - point.y) / 2) * bounds.height;
+        return x >= rect.left && x <= rect.left + rect.width && y >= rect.top && y <= rect.top + rect.height;
+      })
+      .map((item) => item.id);
+
+    const picked = expandToGroups(hits, groups);
+    const ids = event.shiftKey ? [...new Set([...selectedIds, ...picked])] : picked;
+    setSelection(ids);
+
+    start.current = null;
+    setRect(null);
+    onDone();
+  };
+
+  return (
+    <div
+      style={marqueeStyles.overlay}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+    >
+      {rect && <div style={{ ...marqueeStyles.rectangle, ...rect }} />}
+    </div>
+  );
+}
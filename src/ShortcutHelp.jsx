@@ -0,0 +1,195 @@
+import React, { useEffect, useState } from 'react';
+import { useStore } from './store';
+import {
+  SHORTCUT_ACTIONS,
+  RESERVED_COMBOS,
+  comboFromEvent,
+  bindShortcut,
+  resetShortcut,
+  defaultShortcutBindings,
+  isTyping,
+} from './shortcuts';
+
+const helpStyles = {
+  overlay: {
+    position: 'fixed',
+    inset: 0,
+    zIndex: 20,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  dialog: {
+    backgroundColor: '#18181b',
+    color: 'white',
+    borderRadius: '8px',
+    padding: '16px',
+    width: '520px',
+    maxWidth: 'calc(100vw - 40px)',
+    maxHeight: 'calc(100vh - 40px)',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '12px',
+  },
+  list: {
+    overflowY: 'auto',
+    fontSize: '0.85em',
+  },
+  section: {
+    fontWeight: 'bold',
+    margin: '12px 0 6px',
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    padding: '3px 0',
+  },
+  label: {
+    flex: 1,
+    minWidth: 0,
+  },
+  key: {
+    display: 'inline-block',
+    backgroundColor: '#3f3f46',
+    border: '1px solid #52525b',
+    borderRadius: '4px',
+    padding: '0 6px',
+    marginLeft: '4px',
+    fontFamily: 'monospace',
+  },
+  note: {
+    fontSize: '0.8em',
+    color: '#a1a1aa',
+  },
+  message: {
+    fontSize: '0.85em',
+    color: '#fbbf24',
+  },
+  button: {
+    backgroundColor: '#4f46e5',
+    color: 'white',
+    fontWeight: 'bold',
+    padding: '4px 10px',
+    borderRadius: '6px',
+    border: 'none',
+    cursor: 'pointer',
+    fontSize: '0.85em',
+  },
+  activeButton: {
+    backgroundColor: '#22c55e',
+  },
+  plainButton: {
+    backgroundColor: '#52525b',
+  },
+};
+
+const CATEGORIES = [...new Set(SHORTCUT_ACTIONS.map((action) => action.category))];
+
+const actionLabel = (actionId) => SHORTCUT_ACTIONS.find((action) => action.id === actionId)?.label ?? actionId;
+
+const SAVE_FAILED = 'Could not save the shortcuts in this browser; the change only lasts until the page is closed.';
+
+/**
+ * ShortcutHelp Component - Lists every keyboard shortcut and lets the user
+ * remap them: Change waits for the next key combination and binds it in place
+ * of the action's keys. While the dialog is open it takes all key presses, so
+ * no editor shortcut fires; Escape closes it unless a key is being recorded.
+ * @param {object} props
+ * @param {function} props.onClose - Called when the dialog is closed
+ */
+export function ShortcutHelp({ onClose }) {
+  const shortcutBindings = useStore((state) => state.shortcutBindings);
+  const setShortcutBindings = useStore((state) => state.setShortcutBindings);
+  const [recording, setRecording] = useState(null);
+  const [message, setMessage] = useState(null);
+  const defaults = defaultShortcutBindings();
+
+  useEffect(() => {
+    // Capture phase on the window runs before every other key listener of the editor
+    const handleKeyDown = (event) => {
+      if (isTyping(event.target)) return;
+      event.stopPropagation();
+      if (!recording) {
+        if (event.key === 'Escape') onClose();
+        return;
+      }
+      event.preventDefault();
+      const combo = comboFromEvent(event);
+      if (!combo) return;
+      if (RESERVED_COMBOS.includes(combo)) {
+        setMessage(`${combo} is kept for copying and pasting items.`);
+        return;
+      }
+      const { bindings, displaced } = bindShortcut(shortcutBindings, recording, combo);
+      const note = displaced.length > 0 ? `${combo} was taken from: ${displaced.map(actionLabel).join(', ')}.` : null;
+      setMessage(setShortcutBindings(bindings) ? note : SAVE_FAILED);
+      setRecording(null);
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [recording, shortcutBindings, setShortcutBindings, onClose]);
+
+  // Apply new bindings, telling the user when they could not be saved
+  const applyBindings = (bindings) => setMessage(setShortcutBindings(bindings) ? null : SAVE_FAILED);
+
+  const handleReset = (actionId) => applyBindings(resetShortcut(shortcutBindings, actionId));
+
+  const handleResetAll = () => {
+    applyBindings(defaults);
+    setRecording(null);
+  };
+
+  return (
+    <div style={helpStyles.overlay} onClick={onClose}>
+      <div style={helpStyles.dialog} onClick={(event) => event.stopPropagation()}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <h3 style={{ fontWeight: 'bold', fontSize: '1.1em' }}>Keyboard Shortcuts</h3>
+          <button onClick={onClose} style={{ ...helpStyles.button, ...helpStyles.plainButton }}>Close</button>
+        </div>
+        <div style={helpStyles.list}>
+          {CATEGORIES.map((category) => (
+            <div key={category}>
+              <div style={helpStyles.section}>{category}</div>
+              {SHORTCUT_ACTIONS.filter((action) => action.category === category).map((action) => {
+                const combos = shortcutBindings[action.id] ?? [];
+                const isDefault = combos.join() === defaults[action.id].join();
+                return (
+                  <div key={action.id} style={helpStyles.row}>
+                    <span style={helpStyles.label}>{action.label}</span>
+                    <span>
+                      {recording === action.id
+                        ? <em>Press a key...</em>
+                        : (combos.length > 0 ? combos.map((combo) => <kbd key={combo} style={helpStyles.key}>{combo}</kbd>) : <em style={helpStyles.note}>none</em>)}
+                    </span>
+                    <button
+                      onClick={() => { setRecording(recording === action.id ? null : action.id); setMessage(null); }}
+                      style={{ ...helpStyles.button, ...(recording === action.id && helpStyles.activeButton) }}>
+                      {recording === action.id ? 'Cancel' : 'Change'}
+                    </button>
+                    <button
+                      onClick={() => handleReset(action.id)}
+                      disabled={isDefault}
+                      title={`Back to ${defaults[action.id].join(' / ')}`}
+                      style={{ ...helpStyles.button, ...helpStyles.plainButton, visibility: isDefault ? 'hidden' : 'visible' }}>
+                      Reset
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+        {message && <div style={helpStyles.message}>{message}</div>}
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px' }}>
+          <span style={helpStyles.note}>
+            Ctrl+C / Ctrl+V copy and paste items. Shortcuts do not fire while typing in a field,
+            and plain keys are left to walk mode while walking. Changes are kept in this browser.
+          </span>
+          <button onClick={handleResetAll} style={{ ...helpStyles.button, ...helpStyles.plainButton, flexShrink: 0 }}>Reset All</button>
+        </div>
+      </div>
+    </div>
+  );
+}
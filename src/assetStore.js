@@ -0,0 +1,248 @@
+import { useStore } from './store';
+import { fetchBytes, hashBytes } from './scenePackage';
+
+// ============================================
+// PERSISTENT ASSET LIBRARY (IndexedDB)
+// ============================================
+//
+// The Library panel is backed by IndexedDB so uploaded models survive page
+// reloads and are shared by every scene opened in this browser. Models are
+// stored once as binary blobs keyed by their SHA-256 content hash (`assetId`),
+// the same id used inside scene packages.
+//
+// The store stays the source of truth: startLibrarySync() mirrors every change
+// of `library` (imports, removals, undo/redo, scene loads) into the database.
+
+const DB_NAME = 'mesh-platform';
+const DB_VERSION = 1;
+const ASSET_STORE = 'assets';
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(ASSET_STORE, { keyPath: 'assetId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// Run one request against the asset store and resolve with its result
+async function withAssetStore(mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(ASSET_STORE, mode);
+    const request = operation(transaction.objectStore(ASSET_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// ============================================
+// DATABASE ACCESS
+// ============================================
+
+/**
+ * @returns {Promise<Array>} Every stored record ({ assetId, name, role, blob, size, addedAt })
+ */
+export function getStoredAssets() {
+  return withAssetStore('readonly', (store) => store.getAll());
+}
+
+/**
+ * Store or replace an asset record
+ * @param {object} record - { assetId, name, role, blob, size }
+ */
+export function putStoredAsset(record) {
+  return withAssetStore('readwrite', (store) => store.put({ addedAt: Date.now(), ...record }));
+}
+
+/**
+ * @param {string} assetId - Content hash of the asset to remove
+ */
+export function deleteStoredAsset(assetId) {
+  return withAssetStore('readwrite', (store) => store.delete(assetId));
+}
+
+/**
+ * Storage used by the library and the browser's quota for this site
+ * @returns {Promise<{ libraryBytes: number, assetCount: number, usage: number|null, quota: number|null }>}
+ */
+export async function getStorageUsage() {
+  const records = await getStoredAssets();
+  const libraryBytes = records.reduce((total, record) => total + record.size, 0);
+  const estimate = navigator.storage?.estimate ? await navigator.storage.estimate() : {};
+  return {
+    libraryBytes,
+    assetCount: records.length,
+    usage: estimate.usage ?? null,
+    quota: estimate.quota ?? null,
+  };
+}
+
+// ============================================
+// ASSET IDENTITY
+// ============================================
+
+/**
+ * Turn an imported model into a library entry backed by a blob URL
+ * @param {string} name - Display name (the original file name)
+ * @param {Uint8Array} bytes - GLB contents
+ * @param {object} props - Extra entry fields (e.g. role)
+ * @returns {Promise<object>} Library entry { name, url, assetId, size, ...props }
+ */
+export async function createLibraryEntry(name, bytes, props = {}) {
+  return {
+    name,
+    url: URL.createObjectURL(new Blob([bytes], { type: 'model/gltf-binary' })),
+    assetId: await hashBytes(bytes),
+    size: bytes.byteLength,
+    ...props,
+  };
+}
+
+/**
+ * Give every model of a loaded scene an assetId and point it at the asset
+ * already in the library when the content matches. Data URLs from legacy
+ * scene.json files become blob URLs. The scene's library is merged into the
+ * current library instead of replacing it, since the library is shared.
+ * @param {object} scene - Validated scene data
+ * @param {Array} library - Current library from the store
+ * @returns {Promise<object>} Scene with canonical urls/assetIds and the merged library
+ */
+export async function internSceneAssets(scene, library) {
+  const byAssetId = new Map(library.filter((entry) => entry.assetId).map((entry) => [entry.assetId, entry]));
+  const resolved = new Map();
+  const added = [];
+
+  const resolve = async (entry) => {
+    if (!resolved.has(entry.url)) {
+      resolved.set(entry.url, (async () => {
+        let { assetId } = entry;
+        let bytes = null;
+        if (!assetId) {
+          bytes = await fetchBytes(entry.url);
+          assetId = await hashBytes(bytes);
+        }
+        const existing = byAssetId.get(assetId);
+        if (existing) {
+          // Drop the duplicate copy unpacked from the scene package
+          if (entry.url.startsWith('blob:') && entry.url !== existing.url) URL.revokeObjectURL(entry.url);
+          return { url: existing.url, assetId };
+        }
+
+        let url = entry.url;
+        if (url.startsWith('data:')) {
+          bytes = bytes ?? await fetchBytes(url);
+          url = URL.createObjectURL(new Blob([bytes], { type: 'model/gltf-binary' }));
+        }
+        const canonical = { ...entry, url, assetId };
+        byAssetId.set(assetId, canonical);
+        added.push(canonical);
+        return { url, assetId };
+      })());
+    }
+    return resolved.get(entry.url);
+  };
+
+  for (const entry of scene.library) await resolve(entry);
+  const items = [];
+  for (const item of scene.items) items.push(item.url ? { ...item, ...(await resolve(item)) } : item);
+
+  return { ...scene, library: [...library, ...added], items };
+}
+
+// ============================================
+// STORE SYNC
+// ============================================
+
+/**
+ * Load the persisted library into the store, then keep IndexedDB in sync with
+ * every later change of the store's library. Failures are reported through
+ * librarySyncError in the store, since those models will be gone after a reload.
+ * @returns {function} Stops syncing
+ */
+export function startLibrarySync() {
+  let stopped = false;
+  let unsubscribe = () => {};
+  const persisted = new Map(); // assetId -> library entry last written
+
+  const refreshUsage = () => getStorageUsage()
+    .then((usage) => { if (!stopped) useStore.getState().setStorageUsage(usage); })
+    .catch(() => {});
+
+  const sync = async (library) => {
+    const current = new Map(library.filter((entry) => entry.assetId).map((entry) => [entry.assetId, entry]));
+    const writes = [];
+
+    current.forEach((entry, assetId) => {
+      const previous = persisted.get(assetId);
+      if (previous === entry) return;
+      persisted.set(assetId, entry);
+      writes.push((async () => {
+        try {
+          const blob = await (await fetch(entry.url)).blob();
+          await putStoredAsset({ assetId, name: entry.name, role: entry.role, blob, size: blob.size });
+        } catch (err) {
+          // Tried again on the next change of the library
+          persisted.delete(assetId);
+          throw err;
+        }
+      })());
+    });
+    [...persisted.keys()].forEach((assetId) => {
+      if (current.has(assetId)) return;
+      persisted.delete(assetId);
+      writes.push(deleteStoredAsset(assetId));
+    });
+
+    if (writes.length === 0) return;
+    const failed = (await Promise.allSettled(writes)).filter((result) => result.status === 'rejected');
+    if (stopped) return;
+    useStore.getState().setLibrarySyncError(failed.length > 0
+      ? `Could not store ${failed.length} change(s) in this browser, so the library may differ after a reload: ${failed[0].reason?.message ?? failed[0].reason}`
+      : null);
+    refreshUsage();
+  };
+
+  getStoredAssets()
+    .then((records) => {
+      if (stopped) return;
+      const { library } = useStore.getState();
+      const known = new Set(library.map((entry) => entry.assetId));
+      const restored = records
+        .filter((record) => !known.has(record.assetId))
+        .sort((a, b) => a.addedAt - b.addedAt)
+        .map((record) => ({
+          name: record.name,
+          role: record.role,
+          assetId: record.assetId,
+          size: record.size,
+          url: URL.createObjectURL(record.blob),
+        }));
+      restored.forEach((entry) => persisted.set(entry.assetId, entry));
+
+      // Restoring the library is not an edit, so it bypasses undo history
+      useStore.setState({ library: [...restored, ...library] });
+      sync(useStore.getState().library);
+      refreshUsage();
+      unsubscribe = useStore.subscribe((state, previous) => {
+        if (state.library !== previous.library) sync(state.library);
+      });
+    })
+    .catch((err) => {
+      if (!stopped) useStore.getState().setLibrarySyncError(`Could not open the local model library, models will not be kept after a reload: ${err.message}`);
+    });
+
+  return () => {
+    stopped = true;
+    unsubscribe();
+  };
+}
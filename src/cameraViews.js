@@ -0,0 +1,240 @@
+import * as THREE from 'three';
+import { v4 as uuidv4 } from 'uuid';
+import { roomMeshes } from './roomLayout';
+
+// ============================================
+// CAMERA BOOKMARKS
+// ============================================
+//
+// A bookmark is a named orbit view saved with the scene:
+//   { id, name, position: [x, y, z], target: [x, y, z], fov }
+// Going to a bookmark flies the camera there (see CameraTools.jsx).
+
+// View the Canvas starts with
+export const DEFAULT_VIEW = { position: [8, 8, 8], target: [0, 0, 0], fov: 50 };
+
+// Field of view range (degrees, vertical)
+export const FOV_RANGE = { min: 20, max: 100 };
+
+// Seconds a flight to a bookmark takes
+export const FLIGHT_DURATION = 1.2;
+
+/**
+ * Create a bookmark of a view
+ * @param {string} name - Display name
+ * @param {{ position: number[], target: number[], fov: number }} view
+ * @returns {object} Bookmark ready for addCameraBookmark
+ */
+export function createCameraBookmark(name, { position, target, fov }) {
+  return { id: uuidv4(), name, position: [...position], target: [...target], fov };
+}
+
+/**
+ * Whether a value is a usable field of view
+ * @param {*} fov
+ * @returns {boolean}
+ */
+export function isValidFov(fov) {
+  return typeof fov === 'number' && Number.isFinite(fov) && fov >= FOV_RANGE.min && fov <= FOV_RANGE.max;
+}
+
+// Distance in front of the eye that orbiting turns around after a walk
+const ORBIT_DISTANCE = 3;
+
+/**
+ * Orbit view matching what a camera shows, turning around a point in front of it
+ * @param {THREE.PerspectiveCamera} camera
+ * @returns {object} View for flyTo that is applied at once
+ */
+export function orbitViewFrom(camera) {
+  const eye = camera.position.clone();
+  const forward = camera.getWorldDirection(new THREE.Vector3());
+  return {
+    position: eye.toArray(),
+    target: eye.addScaledVector(forward, ORBIT_DISTANCE).toArray(),
+    fov: camera.fov,
+    instant: true,
+  };
+}
+
+/**
+ * Smooth start and stop for flights
+ * @param {number} t - Progress, 0 to 1
+ * @returns {number} Eased progress
+ */
+export function easeInOut(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2;
+}
+
+// ============================================
+// WALK MODE
+// ============================================
+
+// Eye height above the floor and walking speed (meters, meters per second)
+export const EYE_HEIGHT = 1.6;
+export const WALK_SPEED = 1.4;
+// Holding Shift walks this much faster
+export const RUN_FACTOR = 2.5;
+// How close the eye may get to a wall
+const WALKER_RADIUS = 0.25;
+// Height above the floor at which walls are felt for; anything lower is stepped over
+const STEP_HEIGHT = 0.3;
+
+// Cell size of the wall triangle index (meters)
+const WALL_CELL = 1;
+// Triangles facing up or down more than this are floors and ceilings, not walls
+const MAX_WALL_NORMAL_Y = 0.7;
+
+const cellKey = (column, row) => `${column}:${row}`;
+
+/**
+ * Wall triangles of rendered rooms in world space, bucketed by floor cell, so
+ * a step only has to be tested against the walls near it
+ * @param {THREE.Object3D[]} rooms - Rendered rooms
+ * @returns {{ vertices: Float32Array, cells: Map<string, number[]> }} Nine
+ *   coordinates per triangle, and the triangles reaching into each cell
+ */
+function buildWallIndex(rooms) {
+  const vertices = [];
+  const cells = new Map();
+  const triangle = new THREE.Triangle();
+  const normal = new THREE.Vector3();
+  rooms.forEach((room) => room.updateWorldMatrix(true, true));
+  rooms.flatMap(roomMeshes).forEach((mesh) => {
+    const { index, attributes: { position } } = mesh.geometry;
+    const count = index ? index.count : position.count;
+    const corner = (point, i) => point.fromBufferAttribute(position, index ? index.getX(i) : i).applyMatrix4(mesh.matrixWorld);
+    for (let i = 0; i + 2 < count; i += 3) {
+      const { a, b, c } = triangle.set(corner(triangle.a, i), corner(triangle.b, i + 1), corner(triangle.c, i + 2));
+      if (Math.abs(triangle.getNormal(normal).y) > MAX_WALL_NORMAL_Y) continue;
+      const id = vertices.length / 9;
+      vertices.push(a.x, a.y, a.z, b.x, b.y, b.z, c.x, c.y, c.z);
+      const minColumn = Math.floor(Math.min(a.x, b.x, c.x) / WALL_CELL);
+      const maxColumn = Math.floor(Math.max(a.x, b.x, c.x) / WALL_CELL);
+      const minRow = Math.floor(Math.min(a.z, b.z, c.z) / WALL_CELL);
+      const maxRow = Math.floor(Math.max(a.z, b.z, c.z) / WALL_CELL);
+      for (let column = minColumn; column <= maxColumn; column += 1) {
+        for (let row = minRow; row <= maxRow; row += 1) {
+          const key = cellKey(column, row);
+          if (!cells.has(key)) cells.set(key, []);
+          cells.get(key).push(id);
+        }
+      }
+    }
+  });
+  return { vertices: new Float32Array(vertices), cells };
+}
+
+/**
+ * Area that can be walked in: the probed floor plans of the room shells (see
+ * roomLayout.js), or the whole floor when there is no room
+ * @param {Array} rooms - Room bounds from the store, each with its probed `geometry`
+ * @param {number} floorSize - Floor size in meters; the floor is centered on the origin
+ * @param {THREE.Object3D[]} [obstacles] - Rendered rooms whose walls are felt for, since
+ *   interior partitions stand on a continuous floor plan; indexed once, where they stand now
+ * @returns {{ floorHeight: function, nearest: function, step: function }}
+ *   floorHeight(x, z) is the world floor height at a point; nearest(x, z) is the
+ *   closest spot to stand at; step(position, move) moves a position by a
+ *   horizontal offset, sliding along walls instead of passing through them
+ */
+export function createWalkArea(rooms, floorSize, obstacles = []) {
+  const local = new THREE.Vector3();
+  const ray = new THREE.Ray();
+  const wall = new THREE.Triangle();
+  const hitPoint = new THREE.Vector3();
+  const walls = buildWallIndex(obstacles);
+  const zones = rooms
+    .map((bounds) => bounds.geometry)
+    .filter((geometry) => geometry && geometry.cells.length > 0)
+    .map(({ cellSize, cells, matrix }) => {
+      const toWorld = new THREE.Matrix4().fromArray(matrix);
+      const origin = cells[0];
+      const cellsByKey = new Map(cells.map((cell) => [
+        cellKey(Math.round((cell.x - origin.x) / cellSize), Math.round((cell.z - origin.z) / cellSize)),
+        cell,
+      ]));
+      return { toWorld, toLocal: toWorld.clone().invert(), cellSize, origin, cells, cellsByKey };
+    });
+
+  // The probed cell (and its room) under a world point, if any
+  const cellAt = (x, z) => {
+    for (const zone of zones) {
+      local.set(x, 0, z).applyMatrix4(zone.toLocal);
+      const cell = zone.cellsByKey.get(cellKey(
+        Math.round((local.x - zone.origin.x) / zone.cellSize),
+        Math.round((local.z - zone.origin.z) / zone.cellSize)
+      ));
+      if (cell) return { zone, cell };
+    }
+    return null;
+  };
+
+  const half = floorSize / 2;
+  const inside = zones.length > 0
+    ? (x, z) => cellAt(x, z) !== null
+    : (x, z) => Math.abs(x) <= half && Math.abs(z) <= half;
+  // The walker's whole footprint has to be inside
+  const isOpen = (x, z) => inside(x, z)
+    && inside(x + WALKER_RADIUS, z) && inside(x - WALKER_RADIUS, z)
+    && inside(x, z + WALKER_RADIUS) && inside(x, z - WALKER_RADIUS);
+
+  const floorHeight = (x, z) => {
+    const hit = cellAt(x, z);
+    return hit ? local.set(hit.cell.x, hit.cell.floorY, hit.cell.z).applyMatrix4(hit.zone.toWorld).y : 0;
+  };
+
+  const nearest = (x, z) => {
+    if (isOpen(x, z)) return [x, z];
+    if (zones.length === 0) return [THREE.MathUtils.clamp(x, WALKER_RADIUS - half, half - WALKER_RADIUS), THREE.MathUtils.clamp(z, WALKER_RADIUS - half, half - WALKER_RADIUS)];
+    const center = new THREE.Vector3();
+    let best = null;
+    let bestDistance = Infinity;
+    zones.forEach((zone) => zone.cells.forEach((cell) => {
+      center.set(cell.x, cell.floorY, cell.z).applyMatrix4(zone.toWorld);
+      const distance = Math.hypot(center.x - x, center.z - z);
+      // Prefer spots away from the walls
+      const penalty = isOpen(center.x, center.z) ? 0 : 1000;
+      if (distance + penalty < bestDistance) {
+        bestDistance = distance + penalty;
+        best = [center.x, center.z];
+      }
+    }));
+    return best;
+  };
+
+  // Whether a horizontal move at step height runs into a wall within the walker's radius
+  const isBlocked = (x, z, moveX, moveZ) => {
+    const distance = Math.hypot(moveX, moveZ);
+    if (walls.vertices.length === 0 || distance === 0) return false;
+    const reach = distance + WALKER_RADIUS;
+    const endX = x + (moveX / distance) * reach;
+    const endZ = z + (moveZ / distance) * reach;
+    ray.origin.set(x, floorHeight(x, z) + STEP_HEIGHT, z);
+    ray.direction.set(moveX / distance, 0, moveZ / distance);
+    const tested = new Set();
+    for (let column = Math.floor(Math.min(x, endX) / WALL_CELL); column <= Math.floor(Math.max(x, endX) / WALL_CELL); column += 1) {
+      for (let row = Math.floor(Math.min(z, endZ) / WALL_CELL); row <= Math.floor(Math.max(z, endZ) / WALL_CELL); row += 1) {
+        for (const id of walls.cells.get(cellKey(column, row)) ?? []) {
+          if (tested.has(id)) continue;
+          tested.add(id);
+          wall.a.fromArray(walls.vertices, id * 9);
+          wall.b.fromArray(walls.vertices, id * 9 + 3);
+          wall.c.fromArray(walls.vertices, id * 9 + 6);
+          if (ray.intersectTriangle(wall.a, wall.b, wall.c, false, hitPoint) && hitPoint.distanceTo(ray.origin) <= reach) return true;
+        }
+      }
+    }
+    return false;
+  };
+
+  const canMove = (x, z, moveX, moveZ) => isOpen(x + moveX, z + moveZ) && !isBlocked(x, z, moveX, moveZ);
+
+  const step = ([x, z], [moveX, moveZ]) => {
+    if (canMove(x, z, moveX, moveZ)) return [x + moveX, z + moveZ];
+    if (canMove(x, z, moveX, 0)) return [x + moveX, z];
+    if (canMove(x, z, 0, moveZ)) return [x, z + moveZ];
+    return [x, z];
+  };
+
+  return { floorHeight, nearest, step };
+}
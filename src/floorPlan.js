@@ -0,0 +1,496 @@
+import * as THREE from 'three';
+import { getItemObject } from './itemObjects';
+import { getLocalBounds } from './measurements';
+import { isLightItem } from './lightItems';
+import { isRoomItem } from './itemRoles';
+import { formatLength, getLengthUnit, toLengthUnit, fromLengthUnit } from './units';
+import { drawingToSVG, drawingsToPDF } from './planDocuments';
+import { itemDisplayName, itemWorldMatrix, hiddenItemIds } from './sceneTree';
+
+// ============================================
+// FLOOR PLAN
+// ============================================
+//
+// The plan is the scene seen from straight above at true scale: plan x is world
+// x and plan y is world z, so -Z is at the top. Items are placed with the
+// transforms kept in the store (the ones Export Info writes) and outlined by
+// their model's own bounds; room shells are drawn from their probed floor
+// plans (see roomLayout.js). Hidden items are left out. Plans are laid out as drawings (see planDocuments.js).
+
+// Drawing scales offered, as 1:n
+export const PLAN_SCALES = [20, 25, 50, 100, 200, 500];
+
+export const PLAN_FORMATS = [
+  { value: 'svg', label: 'SVG' },
+  { value: 'pdf', label: 'PDF (printable pages)' },
+];
+
+// Paper sizes in millimeters, landscape
+export const PAPER_SIZES = [
+  { value: 'a4', label: 'A4', width: 297, height: 210 },
+  { value: 'a3', label: 'A3', width: 420, height: 297 },
+  { value: 'letter', label: 'Letter', width: 279.4, height: 215.9 },
+];
+
+// `scale` is a 1:n scale from PLAN_SCALES, or 'auto' for the largest one that fits a single sheet
+export const DEFAULT_PLAN_OPTIONS = { format: 'svg', scale: 'auto', paper: 'a4' };
+
+// Side of the square drawn for an item whose model is not loaded (meters)
+const MISSING_FOOTPRINT = 0.5;
+
+/**
+ * Name shown for an item on the plan: its custom label, or its display name
+ * @param {object} item - Item from the store
+ * @returns {string}
+ */
+function planLabel(item) {
+  return (typeof item.label === 'string' && item.label.trim()) || itemDisplayName(item);
+}
+
+// Convex hull of 2D points, counter-clockwise (monotone chain)
+function convexHull(points) {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const half = (list) => list.reduce((hull, point) => {
+    while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) hull.pop();
+    hull.push(point);
+    return hull;
+  }, []);
+  const lower = half(sorted);
+  const upper = half([...sorted].reverse());
+  return [...lower.slice(0, -1), ...upper.slice(0, -1)];
+}
+
+const polygonArea = (points) => Math.abs(points.reduce((sum, [x, y], index) => {
+  const [nextX, nextY] = points[(index + 1) % points.length];
+  return sum + x * nextY - nextX * y;
+}, 0)) / 2;
+
+// Consecutive runs in a list of integers, as [first, last] pairs
+function runs(values) {
+  const sorted = [...new Set(values)].sort((a, b) => a - b);
+  const result = [];
+  sorted.forEach((value) => {
+    const last = result[result.length - 1];
+    if (last && value === last[1] + 1) last[1] = value;
+    else result.push([value, value]);
+  });
+  return result;
+}
+
+const pushTo = (map, key, value) => {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+};
+
+/**
+ * Floor and walls of a probed room, in the room's own space
+ * @param {{ cellSize: number, cells: Array }} geometry - Room geometry (see describeRoom)
+ * @returns {{ floor: Array, walls: Array, extent: object }} Floor rectangles and wall
+ *   segments as [x, z] points, and the { minX, maxX, minZ, maxZ } they cover
+ */
+function roomOutline({ cellSize, cells }) {
+  const origin = cells[0];
+  const indices = cells.map((cell) => [Math.round((cell.x - origin.x) / cellSize), Math.round((cell.z - origin.z) / cellSize)]);
+  const filled = new Set(indices.map(([column, row]) => `${column}:${row}`));
+  const has = (column, row) => filled.has(`${column}:${row}`);
+  // Grid line n runs along the near edge of column (or row) n
+  const lineX = (line) => origin.x + (line - 0.5) * cellSize;
+  const lineZ = (line) => origin.z + (line - 0.5) * cellSize;
+
+  const columnsByRow = new Map();
+  const rowEdges = new Map();
+  const columnEdges = new Map();
+  indices.forEach(([column, row]) => {
+    pushTo(columnsByRow, row, column);
+    // Walls are the cell edges with no floor on the other side
+    if (!has(column, row - 1)) pushTo(rowEdges, row, column);
+    if (!has(column, row + 1)) pushTo(rowEdges, row + 1, column);
+    if (!has(column - 1, row)) pushTo(columnEdges, column, row);
+    if (!has(column + 1, row)) pushTo(columnEdges, column + 1, row);
+  });
+
+  const floor = [];
+  columnsByRow.forEach((columns, row) => runs(columns).forEach(([first, last]) => floor.push([
+    [lineX(first), lineZ(row)], [lineX(last + 1), lineZ(row)], [lineX(last + 1), lineZ(row + 1)], [lineX(first), lineZ(row + 1)],
+  ])));
+  const walls = [];
+  rowEdges.forEach((columns, line) => runs(columns).forEach(([first, last]) => (
+    walls.push([[lineX(first), lineZ(line)], [lineX(last + 1), lineZ(line)]])
+  )));
+  columnEdges.forEach((rows, line) => runs(rows).forEach(([first, last]) => (
+    walls.push([[lineX(line), lineZ(first)], [lineX(line), lineZ(last + 1)]])
+  )));
+
+  const columns = indices.map(([column]) => column);
+  const rows = indices.map(([, row]) => row);
+  return {
+    floor,
+    walls,
+    extent: {
+      minX: lineX(Math.min(...columns)),
+      maxX: lineX(Math.max(...columns) + 1),
+      minZ: lineZ(Math.min(...rows)),
+      maxZ: lineZ(Math.max(...rows) + 1),
+    },
+  };
+}
+
+/**
+ * Project the scene onto the floor
+ * @param {{ items: Array, roomBounds: object }} state - Store state
+ * @returns {object} { rooms, footprints, lights, bounds } in plan meters. Rooms have
+ *   `floor` polygons, `walls` segments and overall `dimensions`; footprints are
+ *   item outlines with a label; lights are marker positions
+ */
+export function buildFloorPlan({ items, roomBounds }) {
+  const itemsById = new Map(items.map((item) => [item.id, item]));
+  const rooms = [];
+  const footprints = [];
+  const lights = [];
+  const point = new THREE.Vector3();
+  const hidden = hiddenItemIds(items);
+
+  items.filter((item) => !hidden.has(item.id)).forEach((item) => {
+    const matrix = itemWorldMatrix(item, itemsById);
+    const project = (x, y, z) => {
+      point.set(x, y, z).applyMatrix4(matrix);
+      return [point.x, point.z];
+    };
+
+    if (isLightItem(item)) {
+      lights.push({ id: item.id, center: project(0, 0, 0) });
+      return;
+    }
+
+    const geometry = isRoomItem(item) ? roomBounds[item.id]?.geometry : null;
+    if (geometry && geometry.cells.length > 0) {
+      const { floor, walls, extent: { minX, maxX, minZ, maxZ } } = roomOutline(geometry);
+      const corner = project(minX, 0, minZ);
+      // Overall width along the room's back wall and depth along its left wall, set outside the room
+      const dimension = (end, outside) => {
+        const to = project(...end);
+        const away = project(...outside);
+        const length = Math.hypot(away[0] - corner[0], away[1] - corner[1]);
+        return {
+          from: corner,
+          to,
+          outward: [(away[0] - corner[0]) / length, (away[1] - corner[1]) / length],
+          length: Math.hypot(to[0] - corner[0], to[1] - corner[1]),
+        };
+      };
+      rooms.push({
+        id: item.id,
+        label: planLabel(item),
+        floor: floor.map((polygon) => polygon.map(([x, z]) => project(x, 0, z))),
+        walls: walls.map((segment) => segment.map(([x, z]) => project(x, 0, z))),
+        dimensions: [
+          dimension([maxX, 0, minZ], [minX, 0, minZ - 1]),
+          dimension([minX, 0, maxZ], [minX - 1, 0, minZ]),
+        ],
+      });
+      return;
+    }
+
+    const object = getItemObject(item.id);
+    const bounds = object ? getLocalBounds(object) : null;
+    let outline;
+    if (bounds) {
+      const { min, max } = bounds;
+      outline = convexHull([min.x, max.x].flatMap((x) => [min.y, max.y].flatMap((y) => [min.z, max.z].map((z) => project(x, y, z)))));
+    } else {
+      const [x, z] = project(0, 0, 0);
+      const half = MISSING_FOOTPRINT / 2;
+      outline = [[x - half, z - half], [x + half, z - half], [x + half, z + half], [x - half, z + half]];
+    }
+    footprints.push({ id: item.id, label: planLabel(item), isRoom: isRoomItem(item), outline });
+  });
+
+  const points = [
+    ...rooms.flatMap((room) => [...room.floor.flat(), ...room.walls.flat()]),
+    ...footprints.flatMap((footprint) => footprint.outline),
+    ...lights.map((light) => light.center),
+  ];
+  const bounds = points.length > 0
+    ? {
+      minX: Math.min(...points.map(([x]) => x)),
+      maxX: Math.max(...points.map(([x]) => x)),
+      minY: Math.min(...points.map(([, y]) => y)),
+      maxY: Math.max(...points.map(([, y]) => y)),
+    }
+    : { minX: -0.5, maxX: 0.5, minY: -0.5, maxY: 0.5 };
+
+  // Large footprints first, so rugs and tables do not hide what stands on them
+  footprints.sort((a, b) => polygonArea(b.outline) - polygonArea(a.outline));
+  return { rooms, footprints, lights, bounds };
+}
+
+// ============================================
+// DRAWING LAYOUT
+// ============================================
+
+// Paper distances in millimeters
+const MARGIN = 10;
+const HEADER = 18;
+const FOOTER = 14;
+// Room around the plan for dimension lines
+const PLAN_PADDING = 14;
+// Narrowest drawing, so the title, north arrow and scale bar fit
+const MIN_WIDTH = 130;
+const DIMENSION_OFFSET = 6;
+const TEXT_SIZE = 2.5;
+const SCALE_BAR_LENGTH = 50;
+
+const INK = '#18181b';
+const COLORS = {
+  floor: '#f4f4f5',
+  wall: INK,
+  item: '#ffffff',
+  itemLine: '#52525b',
+  light: '#fde68a',
+  lightLine: '#ca8a04',
+  dimension: '#2563eb',
+};
+
+/**
+ * Paper size of a plan's drawing at a scale
+ * @param {object} plan - From buildFloorPlan
+ * @param {number} scale - 1:n
+ * @returns {{ width: number, height: number }} Millimeters
+ */
+function drawingSize({ bounds }, scale) {
+  const perMeter = 1000 / scale;
+  return {
+    width: Math.max((bounds.maxX - bounds.minX) * perMeter + 2 * PLAN_PADDING, MIN_WIDTH) + 2 * MARGIN,
+    height: (bounds.maxY - bounds.minY) * perMeter + 2 * PLAN_PADDING + HEADER + FOOTER + 2 * MARGIN,
+  };
+}
+
+// Extension lines, a dimension line with ticks and its length, `outward` from the measured edge
+function dimensionShapes(from, to, outward, text) {
+  const [nx, ny] = outward;
+  const away = ([x, y], distance) => [x + nx * distance, y + ny * distance];
+  const start = away(from, DIMENSION_OFFSET);
+  const end = away(to, DIMENSION_OFFSET);
+  const length = Math.hypot(end[0] - start[0], end[1] - start[1]);
+  const [ux, uy] = [(end[0] - start[0]) / length, (end[1] - start[1]) / length];
+  const tick = ([x, y]) => [[x - (ux + nx) * 1.2, y - (uy + ny) * 1.2], [x + (ux + nx) * 1.2, y + (uy + ny) * 1.2]];
+  const line = { stroke: COLORS.dimension, strokeWidth: 0.18 };
+
+  // Text reads left to right (or bottom to top) and stands outside the line
+  let angle = Math.atan2(uy, ux) * 180 / Math.PI;
+  if (angle >= 90) angle -= 180;
+  if (angle < -90) angle += 180;
+  const radians = angle * Math.PI / 180;
+  const up = [Math.sin(radians), -Math.cos(radians)];
+  const facingOut = up[0] * nx + up[1] * ny >= 0;
+  const middle = away([(from[0] + to[0]) / 2, (from[1] + to[1]) / 2], DIMENSION_OFFSET + (facingOut ? 1 : 1 + TEXT_SIZE * 0.75));
+
+  return [
+    { type: 'line', points: [away(from, 1.5), away(from, DIMENSION_OFFSET + 1.5)], ...line },
+    { type: 'line', points: [away(to, 1.5), away(to, DIMENSION_OFFSET + 1.5)], ...line },
+    { type: 'line', points: [start, end], ...line },
+    { type: 'line', points: tick(start), ...line, strokeWidth: 0.35 },
+    { type: 'line', points: tick(end), ...line, strokeWidth: 0.35 },
+    { type: 'text', x: middle[0], y: middle[1], text, size: TEXT_SIZE, anchor: 'middle', angle, fill: COLORS.dimension },
+  ];
+}
+
+// Arrow pointing `bearing` degrees clockwise from the top of the sheet
+function northArrowShapes([cx, cy], radius, bearing) {
+  const radians = bearing * Math.PI / 180;
+  const dir = [Math.sin(radians), -Math.cos(radians)];
+  const side = [-dir[1], dir[0]];
+  const at = (along, across) => [cx + dir[0] * along + side[0] * across, cy + dir[1] * along + side[1] * across];
+  const label = at(radius + 2.5, 0);
+  return [
+    { type: 'circle', x: cx, y: cy, r: radius, stroke: INK, strokeWidth: 0.25 },
+    { type: 'polygon', points: [at(radius * 0.85, 0), at(-radius * 0.6, radius * 0.4), at(-radius * 0.3, 0), at(-radius * 0.6, -radius * 0.4)], fill: INK },
+    { type: 'text', x: label[0], y: label[1] + 1.2, text: 'N', size: 3.5, anchor: 'middle', fill: INK },
+  ];
+}
+
+// Largest of 1, 2 or 5 times a power of ten that is at most `target`
+function roundLength(target) {
+  const power = 10 ** Math.floor(Math.log10(target));
+  return Number(([5, 2, 1].map((factor) => factor * power).find((value) => value <= target) ?? power).toPrecision(3));
+}
+
+// Alternating bar of four segments, labelled in the scene's length unit
+function scaleBarShapes([x, y], perMeter, unit) {
+  const { symbol } = getLengthUnit(unit);
+  const length = roundLength(toLengthUnit(SCALE_BAR_LENGTH / perMeter, unit));
+  const width = fromLengthUnit(length, unit) * perMeter;
+  const segment = width / 4;
+  return [
+    ...[0, 1, 2, 3].map((index) => ({
+      type: 'polygon',
+      points: [[x + index * segment, y], [x + (index + 1) * segment, y], [x + (index + 1) * segment, y + 2], [x + index * segment, y + 2]],
+      fill: index % 2 === 0 ? INK : '#ffffff',
+      stroke: INK,
+      strokeWidth: 0.2,
+    })),
+    { type: 'text', x, y: y + 5.5, text: '0', size: TEXT_SIZE, anchor: 'middle', fill: INK },
+    { type: 'text', x: x + width / 2, y: y + 5.5, text: `${Number((length / 2).toPrecision(3))}`, size: TEXT_SIZE, anchor: 'middle', fill: INK },
+    { type: 'text', x: x + width, y: y + 5.5, text: `${length} ${symbol}`, size: TEXT_SIZE, anchor: 'middle', fill: INK },
+  ];
+}
+
+// Room name just inside the corner its dimensions start from
+function roomLabelShape({ label, dimensions: [width, depth] }, toPaper) {
+  const [x, y] = toPaper(width.from);
+  const inward = [-(width.outward[0] + depth.outward[0]), -(width.outward[1] + depth.outward[1])];
+  return { type: 'text', x: x + inward[0] * 3, y: y + inward[1] * 3 + TEXT_SIZE, text: label, size: TEXT_SIZE * 1.2, fill: '#71717a' };
+}
+
+/**
+ * Lay a plan out as a drawing: the plan at scale with labels and room dimensions,
+ * a title, north arrow and scale bar
+ * @param {object} plan - From buildFloorPlan
+ * @param {object} options
+ * @param {number} options.scale - 1:n
+ * @param {string} options.lengthUnit - Unit for dimensions and the scale bar (see units.js)
+ * @param {number} options.northOffset - Bearing of north, degrees clockwise from -Z (see sunPosition.js)
+ * @returns {{ width: number, height: number, scale: number, shapes: Array }} Drawing in millimeters
+ */
+export function layoutFloorPlan(plan, { scale, lengthUnit, northOffset }) {
+  const { width, height } = drawingSize(plan, scale);
+  const { bounds } = plan;
+  const perMeter = 1000 / scale;
+  const planWidth = (bounds.maxX - bounds.minX) * perMeter;
+  const left = (width - planWidth) / 2;
+  const top = MARGIN + HEADER + PLAN_PADDING;
+  const toPaper = ([x, y]) => [left + (x - bounds.minX) * perMeter, top + (y - bounds.minY) * perMeter];
+  const centerOf = (points) => points.reduce(([sx, sy], [x, y]) => [sx + x / points.length, sy + y / points.length], [0, 0]);
+
+  const shapes = [
+    ...plan.rooms.flatMap((room) => room.floor.map((polygon) => ({
+      type: 'polygon', points: polygon.map(toPaper), fill: COLORS.floor, stroke: COLORS.floor, strokeWidth: 0.1,
+    }))),
+    ...plan.footprints.map((footprint) => ({
+      type: 'polygon',
+      points: footprint.outline.map(toPaper),
+      fill: footprint.isRoom ? COLORS.floor : COLORS.item,
+      stroke: footprint.isRoom ? COLORS.wall : COLORS.itemLine,
+      strokeWidth: footprint.isRoom ? 0.7 : 0.25,
+    })),
+    ...plan.rooms.flatMap((room) => room.walls.map((segment) => ({
+      type: 'line', points: segment.map(toPaper), stroke: COLORS.wall, strokeWidth: 0.7,
+    }))),
+    ...plan.lights.map((light) => {
+      const [x, y] = toPaper(light.center);
+      return { type: 'circle', x, y, r: 1.2, fill: COLORS.light, stroke: COLORS.lightLine, strokeWidth: 0.25 };
+    }),
+    ...plan.footprints.filter((footprint) => !footprint.isRoom).map((footprint) => {
+      const [x, y] = toPaper(centerOf(footprint.outline));
+      return { type: 'text', x, y: y + TEXT_SIZE * 0.35, text: footprint.label, size: TEXT_SIZE, anchor: 'middle', fill: INK };
+    }),
+    ...plan.rooms.flatMap((room) => [
+      ...room.dimensions.flatMap(({ from, to, outward, length }) => (
+        dimensionShapes(toPaper(from), toPaper(to), outward, formatLength(length, lengthUnit))
+      )),
+      roomLabelShape(room, toPaper),
+    ]),
+    { type: 'text', x: MARGIN, y: MARGIN + 6, text: 'Floor Plan', size: 5, fill: INK },
+    { type: 'text', x: MARGIN, y: MARGIN + 11, text: `Scale 1:${scale} - lengths in ${getLengthUnit(lengthUnit).label.toLowerCase()}`, size: TEXT_SIZE, fill: '#52525b' },
+    ...northArrowShapes([width - MARGIN - 7, MARGIN + 9], 5, northOffset),
+    ...scaleBarShapes([MARGIN + 2, height - MARGIN - FOOTER + 6], perMeter, lengthUnit),
+  ];
+  return { width, height, scale, shapes };
+}
+
+// ============================================
+// PAGES AND EXPORT
+// ============================================
+
+const PAGE_MARGIN = 8;
+const PAGE_FOOTER = 6;
+
+/**
+ * Largest scale at which a plan fits on one sheet, either way round
+ * @param {object} plan - From buildFloorPlan
+ * @param {object} paper - Entry of PAPER_SIZES
+ * @returns {number} 1:n from PLAN_SCALES (the smallest scale when nothing fits)
+ */
+export function fitPlanScale(plan, paper) {
+  const usable = [paper.width - 2 * PAGE_MARGIN, paper.height - 2 * PAGE_MARGIN - PAGE_FOOTER];
+  return PLAN_SCALES.find((scale) => {
+    const { width, height } = drawingSize(plan, scale);
+    return (width <= usable[0] && height <= usable[1]) || (width <= usable[1] && height <= usable[0]);
+  }) ?? PLAN_SCALES[PLAN_SCALES.length - 1];
+}
+
+/**
+ * Tile a drawing over printable sheets at its true size, in whichever
+ * orientation takes fewer sheets. A drawing that fits is centered on one sheet.
+ * @param {object} drawing - From layoutFloorPlan
+ * @param {object} paper - Entry of PAPER_SIZES
+ * @returns {Array} Pages for drawingsToPDF
+ */
+export function paginateDrawing(drawing, paper) {
+  const layouts = [[paper.width, paper.height], [paper.height, paper.width]].map(([width, height]) => {
+    const usableWidth = width - 2 * PAGE_MARGIN;
+    const usableHeight = height - 2 * PAGE_MARGIN - PAGE_FOOTER;
+    const columns = Math.ceil(drawing.width / usableWidth);
+    const rows = Math.ceil(drawing.height / usableHeight);
+    return { width, height, usableWidth, usableHeight, columns, rows };
+  });
+  const { width, height, usableWidth, usableHeight, columns, rows } = layouts[1].columns * layouts[1].rows < layouts[0].columns * layouts[0].rows
+    ? layouts[1]
+    : layouts[0];
+  const count = columns * rows;
+  // A single sheet centers the drawing; tiles start at the drawing's top left corner
+  const inset = count === 1
+    ? [(usableWidth - drawing.width) / 2, (usableHeight - drawing.height) / 2]
+    : [0, 0];
+
+  const pages = [];
+  for (let row = 0; row < rows; row += 1) {
+    for (let column = 0; column < columns; column += 1) {
+      const footer = count === 1
+        ? `Floor Plan 1:${drawing.scale} - print at actual size`
+        : `Floor Plan 1:${drawing.scale} - sheet ${pages.length + 1} of ${count} (row ${row + 1}, column ${column + 1}) - print at actual size`;
+      pages.push({
+        width,
+        height,
+        shapes: [
+          {
+            type: 'group',
+            clip: [PAGE_MARGIN, PAGE_MARGIN, usableWidth, usableHeight],
+            offset: [PAGE_MARGIN + inset[0] - column * usableWidth, PAGE_MARGIN + inset[1] - row * usableHeight],
+            shapes: drawing.shapes,
+          },
+          // Tile edges, for trimming and taping the sheets together
+          ...(count > 1 ? [{
+            type: 'polygon',
+            points: [[PAGE_MARGIN, PAGE_MARGIN], [PAGE_MARGIN + usableWidth, PAGE_MARGIN], [PAGE_MARGIN + usableWidth, PAGE_MARGIN + usableHeight], [PAGE_MARGIN, PAGE_MARGIN + usableHeight]],
+            stroke: '#a1a1aa',
+            strokeWidth: 0.15,
+          }] : []),
+          { type: 'text', x: PAGE_MARGIN, y: height - PAGE_MARGIN, text: footer, size: 2.5, fill: '#52525b' },
+        ],
+      });
+    }
+  }
+  return pages;
+}
+
+/**
+ * Export a top-down floor plan of the scene
+ * @param {object} state - Store state
+ * @param {object} options - See DEFAULT_PLAN_OPTIONS
+ * @returns {{ blob: Blob, filename: string }}
+ */
+export function exportFloorPlan(state, { format, scale, paper }) {
+  const plan = buildFloorPlan(state);
+  const paperSize = PAPER_SIZES.find((entry) => entry.value === paper) ?? PAPER_SIZES[0];
+  const drawing = layoutFloorPlan(plan, {
+    scale: scale === 'auto' ? fitPlanScale(plan, paperSize) : scale,
+    lengthUnit: state.lengthUnit,
+    northOffset: state.sunSettings.northOffset,
+  });
+  if (format === 'pdf') {
+    return { blob: new Blob([drawingsToPDF(paginateDrawing(drawing, paperSize))], { type: 'application/pdf' }), filename: 'floor_plan.pdf' };
+  }
+  return { blob: new Blob([drawingToSVG(drawing)], { type: 'image/svg+xml' }), filename: 'floor_plan.svg' };
+}
@@ -0,0 +1,55 @@
+import { isRoomItem } from './itemRoles';
+
+// ============================================
+// INSTANCING
+// ============================================
+//
+// Copies of one library model that look exactly like the library asset are
+// drawn with one InstancedMesh per mesh of the model instead of a full object
+// graph each. Every copy still gets its own invisible stand-in object (see
+// InstancedModels.jsx), so selection, the gizmo, snapping and exports work on
+// it like on any other item.
+//
+// A copy is drawn on its own as soon as its look is changed (material variant
+// or overrides), when it is hidden, when it is attached to another item or
+// something is attached to it (see sceneTree.js), or when it is a room shell.
+
+// Fewest unmodified copies of a model that are worth instancing
+export const INSTANCING_MIN_COUNT = 2;
+
+/**
+ * Whether an item can be drawn as an instance of its library model
+ * @param {object} item - Model item from the store
+ * @param {Set<string>} parentIds - Ids of items with other items attached
+ * @returns {boolean}
+ */
+export function canInstance(item, parentIds) {
+  return !isRoomItem(item)
+    && !item.materialVariant
+    && Object.keys(item.materialOverrides ?? {}).length === 0
+    && !item.hidden
+    && !item.attachedTo
+    && !parentIds.has(item.id);
+}
+
+/**
+ * Split model items into instanced batches and items drawn on their own
+ * @param {Array} models - Model items (no lights)
+ * @param {Array} items - All items, to find models with something attached
+ * @returns {{ batches: Array<{ key: string, url: string, role: string, items: Array }>, singles: Array }}
+ *   Copies are batched per model and role, since the role decides their shadows
+ */
+export function partitionInstances(models, items) {
+  const parentIds = new Set(items.map((item) => item.attachedTo).filter(Boolean));
+  const byKey = new Map();
+  models.forEach((item) => {
+    if (!canInstance(item, parentIds)) return;
+    const key = `${item.url}|${item.role}`;
+    if (!byKey.has(key)) byKey.set(key, { key, url: item.url, role: item.role, items: [] });
+    byKey.get(key).items.push(item);
+  });
+
+  const batches = [...byKey.values()].filter((batch) => batch.items.length >= INSTANCING_MIN_COUNT);
+  const batched = new Set(batches.flatMap((batch) => batch.items.map((item) => item.id)));
+  return { batches, singles: models.filter((item) => !batched.has(item.id)) };
+}
@@ -0,0 +1,249 @@
+import * as THREE from 'three';
+import { v4 as uuidv4 } from 'uuid';
+import { SCHEMA_VERSION, prepareItems } from './sceneSchema';
+import { getStoredAssets } from './assetStore';
+import { isLightItem } from './lightItems';
+import { descendantIds, itemMatrix, itemWorldMatrix, matrixToTransform } from './sceneTree';
+
+// ============================================
+// ITEM COPIES
+// ============================================
+//
+// Duplicate, copy/paste and array placement all start from a copy of the
+// selection: the selected items that are not carried by another selected item
+// (the copy's roots) with their transforms in world space, plus everything
+// attached to them. Placing a copy gives every item a new id, moves the roots
+// by a world transform and keeps what is attached to them attached.
+//
+// Copies travel between tabs as JSON text on the system clipboard:
+//   { format: 'mesh-platform-items', session, schemaVersion, library, items }
+// Models are found again by their content hash (`assetId`) in the library of
+// the tab they are pasted into, or in the stored library (see assetStore.js).
+
+export const COPY_FORMAT = 'mesh-platform-items';
+
+// World offset of a duplicate or paste from the original (meters)
+export const DUPLICATE_OFFSET = [0.25, 0, 0.25];
+
+// Identifies copies made in this tab, whose blob URLs can still be read
+const SESSION_ID = uuidv4();
+
+// Text of the last copy made in this tab, used when the system clipboard cannot be read
+let lastCopy = null;
+// How often the text on the clipboard has been pasted, for stepping the paste offset
+let lastPaste = { text: null, count: 0 };
+
+/**
+ * Copy of items ready for placeCopies
+ * @param {Array} items - Items from the store
+ * @param {string[]} ids - Items to copy
+ * @returns {Array} The roots in world space, followed by everything attached to them
+ */
+export function collectCopies(items, ids) {
+  const itemsById = new Map(items.map((item) => [item.id, item]));
+  const picked = new Set(ids);
+  const isCarried = (item) => {
+    for (let parent = itemsById.get(item.attachedTo); parent; parent = itemsById.get(parent.attachedTo)) {
+      if (picked.has(parent.id)) return true;
+    }
+    return false;
+  };
+  const roots = items.filter((item) => picked.has(item.id) && !isCarried(item));
+  const carried = new Set(roots.flatMap((root) => [...descendantIds(items, root.id)]));
+  return [
+    ...roots.map((root) => ({ ...root, ...matrixToTransform(itemWorldMatrix(root, itemsById)) })),
+    ...items.filter((item) => carried.has(item.id)),
+  ];
+}
+
+/**
+ * New items for a copy, once per transform
+ * @param {Array} items - Items from the store
+ * @param {Array} sources - Copy from collectCopies or readCopiesText
+ * @param {THREE.Matrix4[]} transforms - World transform applied to the roots of each copy
+ * @returns {Array} Items with new ids; a root stays attached to its parent when that is still placed
+ */
+export function placeCopies(items, sources, transforms) {
+  const itemsById = new Map(items.map((item) => [item.id, item]));
+  const sourceIds = new Set(sources.map((source) => source.id));
+  return transforms.flatMap((transform) => {
+    const newIds = new Map(sources.map((source) => [source.id, uuidv4()]));
+    return sources.map((source) => {
+      const copy = { ...source, id: newIds.get(source.id) };
+      if (sourceIds.has(source.attachedTo)) return { ...copy, attachedTo: newIds.get(source.attachedTo) };
+      const parent = itemsById.get(source.attachedTo);
+      const matrix = transform.clone().multiply(itemMatrix(source));
+      if (parent && !isLightItem(parent)) matrix.premultiply(itemWorldMatrix(parent, itemsById).invert());
+      return { ...copy, ...matrixToTransform(matrix), attachedTo: parent && !isLightItem(parent) ? parent.id : null };
+    });
+  });
+}
+
+/**
+ * Ids of the roots among placed copies, the items to select afterwards
+ * @param {Array} copies - Items from placeCopies
+ * @returns {string[]}
+ */
+export function copyRootIds(copies) {
+  const ids = new Set(copies.map((copy) => copy.id));
+  return copies.filter((copy) => !ids.has(copy.attachedTo)).map((copy) => copy.id);
+}
+
+// ============================================
+// CLIPBOARD
+// ============================================
+
+/**
+ * Clipboard text for a copy of items
+ * @param {Array} sources - Copy from collectCopies
+ * @param {Array} library - Library from the store
+ * @returns {string} JSON text; also kept as this tab's last copy
+ */
+export function writeCopiesText(sources, library) {
+  const sourceIds = new Set(sources.map((source) => source.id));
+  const text = JSON.stringify({
+    format: COPY_FORMAT,
+    session: SESSION_ID,
+    schemaVersion: SCHEMA_VERSION,
+    library: library.filter((entry) => sources.some((source) => source.url === entry.url)),
+    // Roots are in world space; a pasted root is placed free
+    items: sources.map((source) => (sourceIds.has(source.attachedTo) ? source : { ...source, attachedTo: null })),
+  });
+  lastCopy = text;
+  lastPaste = { text: null, count: 0 };
+  return text;
+}
+
+/**
+ * Text of the last copy made in this tab
+ * @returns {string|null}
+ */
+export function getLastCopyText() {
+  return lastCopy;
+}
+
+/**
+ * Read clipboard text back into a copy of items
+ * @param {string} text - Clipboard text
+ * @param {Array} library - Library from the store
+ * @returns {Promise<object|null>} null when the text is not a copy of items, otherwise
+ *   { sources, library, offset, errors, warnings }: `library` lists entries to add
+ *   for models that were not in the store's library, and `offset` is the world
+ *   transform that keeps repeated pastes from landing on each other
+ */
+export async function readCopiesText(text, library) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (data === null || typeof data !== 'object' || data.format !== COPY_FORMAT) return null;
+  if (!Array.isArray(data.library) || !Array.isArray(data.items)) {
+    return { sources: [], library: [], offset: new THREE.Matrix4(), errors: ['Copied items are incomplete'], warnings: [] };
+  }
+
+  // Blob URLs only live in the tab that made them, so models from another tab are looked up by content
+  const fromHere = data.session === SESSION_ID;
+  const warnings = [];
+  const known = new Map(library.filter((entry) => entry.assetId).map((entry) => [entry.assetId, entry.url]));
+  const wanted = data.library.filter((entry) => entry?.assetId && !known.has(entry.assetId));
+  if (wanted.length > 0 && !fromHere) {
+    try {
+      const stored = await getStoredAssets();
+      stored
+        .filter((record) => wanted.some((entry) => entry.assetId === record.assetId))
+        .forEach((record) => known.set(record.assetId, URL.createObjectURL(record.blob)));
+    } catch (err) {
+      warnings.push(`Could not read the stored library, models copied in another tab may be missing: ${err.message}`);
+    }
+  }
+  const urls = new Map(data.library.map((entry) => [entry?.url, known.get(entry?.assetId) ?? (fromHere ? entry?.url : null)]));
+  const relink = (entry) => {
+    if (entry === null || typeof entry !== 'object' || !entry.url) return entry;
+    return { ...entry, url: urls.get(entry.url) ?? null };
+  };
+
+  const items = data.items.map((item) => {
+    const linked = relink(item);
+    if (fromHere || !linked?.materialOverrides) return linked;
+    // Replacement textures are blob URLs of the tab they were uploaded in
+    const overrides = Object.fromEntries(Object.entries(linked.materialOverrides).map(([key, override]) => {
+      if (!override?.map) return [key, override];
+      warnings.push(`${linked.name}: texture replacement ${JSON.stringify(override.map.name)} only pastes in the tab it was made in, removed`);
+      const { map: _map, ...rest } = override;
+      return [key, rest];
+    }));
+    return { ...linked, materialOverrides: overrides };
+  });
+
+  const prepared = prepareItems({ schemaVersion: data.schemaVersion, library: data.library.map(relink), items });
+  if (lastPaste.text !== text) lastPaste = { text, count: 0 };
+  lastPaste.count += 1;
+  // A paste into another tab starts at the original place
+  const steps = fromHere ? lastPaste.count : lastPaste.count - 1;
+  return {
+    sources: prepared.items,
+    library: prepared.library.filter((entry) => !library.some((existing) => existing.url === entry.url)),
+    offset: new THREE.Matrix4().makeTranslation(...DUPLICATE_OFFSET.map((value) => value * steps)),
+    errors: prepared.errors,
+    warnings: [...warnings, ...prepared.warnings],
+  };
+}
+
+// ============================================
+// ARRAYS
+// ============================================
+
+export const ARRAY_PATTERNS = [
+  { value: 'line', label: 'Line' },
+  { value: 'grid', label: 'Grid' },
+  { value: 'circle', label: 'Circle' },
+];
+
+// Counts include the original. `step` is the offset between neighbours in a line
+// and `spacing` the column and row distances of a grid (meters); a circle turns
+// copies around `center` over `sweep` degrees
+export const DEFAULT_ARRAY_OPTIONS = {
+  pattern: 'line',
+  count: 4,
+  step: [1, 0, 0],
+  columns: 3,
+  rows: 2,
+  spacing: [1, 1],
+  center: [0, 0, 0],
+  sweep: 360,
+};
+
+// Most copies one array may create
+export const MAX_ARRAY_COPIES = 500;
+
+/**
+ * World transforms of the copies an array creates, the original excluded
+ * @param {object} options - See DEFAULT_ARRAY_OPTIONS
+ * @returns {THREE.Matrix4[]}
+ */
+export function arrayTransforms({ pattern, count, step, columns, rows, spacing, center, sweep }) {
+  const transforms = [];
+  if (pattern === 'grid') {
+    for (let row = 0; row < rows; row += 1) {
+      for (let column = 0; column < columns; column += 1) {
+        if (row > 0 || column > 0) transforms.push(new THREE.Matrix4().makeTranslation(column * spacing[0], 0, row * spacing[1]));
+      }
+    }
+  } else if (pattern === 'circle') {
+    // A full turn spreads the copies evenly; a partial one puts the last copy at its end
+    const angle = THREE.MathUtils.degToRad(sweep) / (sweep >= 360 ? count : Math.max(count - 1, 1));
+    const pivot = new THREE.Vector3().fromArray(center);
+    for (let index = 1; index < count; index += 1) {
+      transforms.push(new THREE.Matrix4().makeTranslation(pivot.x, pivot.y, pivot.z)
+        .multiply(new THREE.Matrix4().makeRotationY(angle * index))
+        .multiply(new THREE.Matrix4().makeTranslation(-pivot.x, -pivot.y, -pivot.z)));
+    }
+  } else {
+    for (let index = 1; index < count; index += 1) {
+      transforms.push(new THREE.Matrix4().makeTranslation(step[0] * index, step[1] * index, step[2] * index));
+    }
+  }
+  return transforms.slice(0, MAX_ARRAY_COPIES);
+}
@@ -0,0 +1,49 @@
+// ============================================
+// ITEM OBJECT REGISTRY
+// ============================================
+//
+// Maps item ids to the three.js objects rendered for them, so tools outside a
+// FurnitureModel (selection gizmo, marquee selection, exporters) can reach the
+// live object without walking the whole scene graph.
+
+const itemObjects = new Map();
+
+/**
+ * Register the rendered object of an item
+ * @param {string} id - Item id
+ * @param {THREE.Object3D} object - Root object rendered for the item
+ */
+export function registerItemObject(id, object) {
+  itemObjects.set(id, object);
+}
+
+/**
+ * Forget an item's object, unless another object has replaced it since
+ * @param {string} id - Item id
+ * @param {THREE.Object3D} object - The object that was registered
+ */
+export function unregisterItemObject(id, object) {
+  if (itemObjects.get(id) === object) itemObjects.delete(id);
+}
+
+/**
+ * @param {string} id - Item id
+ * @returns {THREE.Object3D|undefined} The rendered object, if the item has loaded
+ */
+export function getItemObject(id) {
+  return itemObjects.get(id);
+}
+
+/**
+ * Whether an object is on screen: it and all of its parents are visible.
+ * Pointer events and picking reach hidden items too, so handlers check this.
+ * Stand-ins of instanced copies (see InstancedModels.jsx) count as shown.
+ * @param {THREE.Object3D} object
+ * @returns {boolean}
+ */
+export function isShown(object) {
+  for (let current = object; current; current = current.parent) {
+    if (!current.visible && !current.userData.instanceStandIn) return false;
+  }
+  return true;
+}
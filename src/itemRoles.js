@@ -0,0 +1,60 @@
+// ============================================
+// ITEM ROLES
+// ============================================
+//
+// Every library entry and placed item carries a role that decides how it is
+// rendered and lit:
+//   room          - room shell: receives shadows only, gets room brightness,
+//                   its own bounds and RoomLights; ignored by overlap checks
+//   furniture     - casts and receives shadows
+//   decor         - casts and receives shadows
+//   light-fixture - receives shadows but does not cast them
+
+export const ITEM_ROLES = [
+  { value: 'room', label: 'Room Shell' },
+  { value: 'furniture', label: 'Furniture' },
+  { value: 'decor', label: 'Decor' },
+  { value: 'light-fixture', label: 'Light Fixture' },
+];
+
+export const DEFAULT_ROLE = 'furniture';
+
+const ROLE_VALUES = ITEM_ROLES.map((role) => role.value);
+
+/**
+ * @param {*} role - Value to check
+ * @returns {boolean} Whether the value is a known role
+ */
+export function isValidRole(role) {
+  return ROLE_VALUES.includes(role);
+}
+
+/**
+ * Role for scenes saved before roles existed, when only "room.glb" was a room
+ * @param {string} name - Model file name
+ * @returns {string}
+ */
+export function legacyRole(name) {
+  return typeof name === 'string' && name.toLowerCase() === 'room.glb' ? 'room' : DEFAULT_ROLE;
+}
+
+/**
+ * Suggest a role for a newly imported model from its file name
+ * (e.g. "living_room.glb" -> room, "floor-lamp.glb" -> light fixture)
+ * @param {string} name - Model file name
+ * @returns {string}
+ */
+export function guessRole(name) {
+  const base = (name || '').toLowerCase().replace(/\.[^.]+$/, '');
+  if (/(^|[\s_-])room$/.test(base) || base === 'room') return 'room';
+  if (/(lamp|light|chandelier|sconce|pendant)/.test(base)) return 'light-fixture';
+  return DEFAULT_ROLE;
+}
+
+/**
+ * @param {object} item - Item from the store
+ * @returns {boolean} Whether the item is a room shell
+ */
+export function isRoomItem(item) {
+  return item.role === 'room';
+}
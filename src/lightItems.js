@@ -0,0 +1,150 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// ============================================
+// LIGHT ITEMS
+// ============================================
+//
+// Lights placed by the user are items like placed models, with `kind: 'light'`
+// and a `light` object instead of a model url:
+//   { id, name, kind: 'light', light: { type, color, intensity, ... },
+//     position, rotation, scale, attachedTo? }
+// A light with `attachedTo` is a child of that model item: its transform is
+// relative to the model, so a lamp carries its bulb when moved (see sceneTree.js).
+// Spot, directional and rect-area lights shine down their local -Y axis.
+
+// `height` is where a new light of the type is placed above the floor (meters)
+export const LIGHT_TYPES = [
+  { value: 'point', label: 'Point', height: 2.2 },
+  { value: 'spot', label: 'Spot', height: 2.4 },
+  { value: 'rectArea', label: 'Rect Area', height: 2.4 },
+  { value: 'directional', label: 'Directional', height: 6 },
+];
+
+// Shadow map resolutions offered for lights that cast shadows
+export const SHADOW_MAP_SIZES = [512, 1024, 2048, 4096];
+
+// Default settings per type; the keys present decide which settings a type has
+export const LIGHT_DEFAULTS = {
+  point: { color: '#fff4e0', intensity: 10, distance: 0, decay: 2, castShadow: true, shadowMapSize: 1024, shadowBias: -0.0005 },
+  spot: {
+    color: '#fff4e0',
+    intensity: 30,
+    distance: 0,
+    decay: 2,
+    angle: Math.PI / 6,
+    penumbra: 0.3,
+    castShadow: true,
+    shadowMapSize: 1024,
+    shadowBias: -0.0005,
+  },
+  rectArea: { color: '#ffffff', intensity: 5, width: 1, height: 0.5 },
+  directional: { color: '#ffffff', intensity: 2, castShadow: true, shadowMapSize: 2048, shadowBias: -0.0005 },
+};
+
+// Editable light settings: input type, valid range and label for the Properties panel.
+// Lengths and angles are stored in meters and radians and shown in the chosen units.
+export const LIGHT_FIELDS = [
+  { key: 'color', label: 'Color', input: 'color' },
+  { key: 'intensity', label: 'Intensity', input: 'number', min: 0, step: 0.5 },
+  { key: 'distance', label: 'Distance', note: '0 = infinite', input: 'length', min: 0, step: 0.5 },
+  { key: 'decay', label: 'Decay', input: 'number', min: 0, step: 0.1 },
+  { key: 'angle', label: 'Angle', input: 'angle', min: 0.01, max: Math.PI / 2, step: 0.05 },
+  { key: 'penumbra', label: 'Penumbra', input: 'number', min: 0, max: 1, step: 0.05 },
+  { key: 'width', label: 'Width', input: 'length', min: 0.01, step: 0.1 },
+  { key: 'height', label: 'Height', input: 'length', min: 0.01, step: 0.1 },
+  { key: 'castShadow', label: 'Cast shadows', input: 'checkbox' },
+  { key: 'shadowMapSize', label: 'Shadow map', input: 'select', options: SHADOW_MAP_SIZES },
+  { key: 'shadowBias', label: 'Shadow bias', input: 'number', min: -0.01, max: 0.01, step: 0.0001 },
+];
+
+const LIGHT_TYPE_VALUES = LIGHT_TYPES.map((type) => type.value);
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * @param {object} item - Item from the store
+ * @returns {boolean} Whether the item is a placed light rather than a model
+ */
+export function isLightItem(item) {
+  return item.kind === 'light';
+}
+
+/**
+ * @param {string} type - Light type
+ * @returns {string} Display label, e.g. "Rect Area"
+ */
+export function lightTypeLabel(type) {
+  return LIGHT_TYPES.find((entry) => entry.value === type)?.label ?? type;
+}
+
+/**
+ * Settings that apply to a light type, in display order
+ * @param {string} type - Light type
+ * @returns {Array} Entries of LIGHT_FIELDS
+ */
+export function getLightFields(type) {
+  return LIGHT_FIELDS.filter((field) => field.key in LIGHT_DEFAULTS[type]);
+}
+
+/**
+ * Create a new light item with the type's default settings
+ * @param {string} type - One of LIGHT_TYPES
+ * @param {number[]} position - World position [x, y, z]
+ * @returns {object} Item ready for addItem
+ */
+export function createLightItem(type, position) {
+  return {
+    id: uuidv4(),
+    name: `${lightTypeLabel(type)} Light`,
+    kind: 'light',
+    light: { type, ...LIGHT_DEFAULTS[type] },
+    position,
+    rotation: [0, 0, 0],
+    scale: [1, 1, 1],
+  };
+}
+
+/**
+ * Whether a value is acceptable for a light setting
+ * @param {object} field - Entry of LIGHT_FIELDS
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export function isValidLightValue(field, value) {
+  switch (field.input) {
+    case 'color':
+      return typeof value === 'string' && HEX_COLOR.test(value);
+    case 'checkbox':
+      return typeof value === 'boolean';
+    case 'select':
+      return field.options.includes(value);
+    default:
+      return typeof value === 'number' && Number.isFinite(value)
+        && (field.min === undefined || value >= field.min)
+        && (field.max === undefined || value <= field.max);
+  }
+}
+
+/**
+ * Validate the `light` object of a loaded light item, resetting bad or missing
+ * settings to the type's defaults and dropping settings the type does not have
+ * @param {*} light - Light settings from a scene file
+ * @param {string} label - Prefix for warnings, e.g. items[3] "Spot Light"
+ * @param {string[]} warnings - Collects a message per repair
+ * @returns {object|null} Valid light settings, or null for an unknown type
+ */
+export function sanitizeLight(light, label, warnings) {
+  if (!light || typeof light !== 'object' || !LIGHT_TYPE_VALUES.includes(light.type)) {
+    return null;
+  }
+  const valid = { type: light.type };
+  getLightFields(light.type).forEach((field) => {
+    const fallback = LIGHT_DEFAULTS[light.type][field.key];
+    if (isValidLightValue(field, light[field.key])) {
+      valid[field.key] = light[field.key];
+    } else {
+      valid[field.key] = fallback;
+      warnings.push(`${label}.light.${field.key}: invalid value ${JSON.stringify(light[field.key])}, reset to ${JSON.stringify(fallback)}`);
+    }
+  });
+  return valid;
+}
@@ -0,0 +1,349 @@
+import { v4 as uuidv4 } from 'uuid';
+import { generateLightLayout, boundsGeometry } from './roomLayout';
+
+// ============================================
+// LIGHTING PRESET REGISTRY
+// ============================================
+//
+// Room and furniture lighting presets are plain data. The built-in presets
+// below are always available; custom presets live in the scene document
+// (`customLightingPresets`) and can be exchanged as preset JSON files.
+//
+// Room presets light a room in two ways, which can be combined:
+//   autoLayout  - ceiling lights generated from the room's floor plan and ceiling
+//                 height (see roomLayout.js), or null
+//   pointLights - lights placed relative to the room bounds, so one preset fits
+//                 rooms of any size:
+//     position[0], position[2] - offset from the room center towards the walls,
+//                                as a fraction of the half-extent (-1 to 1 spans wall to wall)
+//     position[1]              - height as a fraction of the room's height above its lowest point
+//     heightOffset             - extra height in meters, added after the fraction
+//     distance                 - light range as a fraction of the room's larger horizontal size
+
+export const LIGHTING_KINDS = ['room', 'furniture'];
+
+// Room lighting value that disables room lights
+export const ROOM_LIGHTING_OFF = 'off';
+
+export const PRESET_FILE_FORMAT = 'mesh-platform-lighting-presets';
+export const PRESET_FILE_VERSION = 1;
+
+// Field templates: default values for new presets and the shape checked on import
+const AMBIENT_LIGHT_TEMPLATE = { color: '#ffffff', intensity: 0.3 };
+export const HEMISPHERE_LIGHT_TEMPLATE = { skyColor: '#ffffff', groundColor: '#888888', intensity: 0.4 };
+export const POINT_LIGHT_TEMPLATE = {
+  position: [0, 0.9, 0],
+  heightOffset: 0,
+  color: '#ffffff',
+  intensity: 1.0,
+  distance: 0.8,
+  decay: 2,
+  castShadow: true,
+};
+// brightness: target floor illuminance (in directional light intensity units)
+// ceilingOffset: meters below the ceiling; maxSpacing: meters between lights
+// maxIntensity: brightest a single light may be; useFixtures: light the room's fixture meshes instead of a grid
+export const AUTO_LAYOUT_TEMPLATE = {
+  brightness: 0.5,
+  ceilingOffset: 0.3,
+  maxSpacing: 2.5,
+  maxIntensity: 20,
+  color: '#ffffff',
+  castShadow: true,
+  useFixtures: true,
+};
+const DIRECTIONAL_LIGHT_TEMPLATE = {
+  color: '#ffffff',
+  position: [5, 10, 7],
+  intensity: 1.8,
+  castShadow: true,
+  shadowMapSize: [2048, 2048],
+};
+
+// Numeric fields that may be negative; every other number must be >= 0
+const SIGNED_FIELDS = ['position', 'heightOffset'];
+
+// ============================================
+// BUILT-IN PRESETS
+// ============================================
+
+const CEILING = 0.9; // The hemisphere light sits at 90% of the room height
+
+const autoLayout = (color, brightness) => ({ ...AUTO_LAYOUT_TEMPLATE, color, brightness });
+
+// Built-in room presets light the ceiling through the automatic layout alone
+const BUILT_IN_ROOM_PRESETS = [
+  {
+    id: 'warm-evening',
+    name: 'Warm Evening',
+    ambientLight: { color: '#fff5e6', intensity: 0.3 },
+    hemisphereLight: { skyColor: '#fff5e6', groundColor: '#8B7355', intensity: 0.4 },
+    autoLayout: autoLayout('#ffe4b3', 0.4),
+  },
+  {
+    id: 'bright-day',
+    name: 'Bright Day',
+    ambientLight: { color: '#ffffff', intensity: 0.6 },
+    hemisphereLight: { skyColor: '#87CEEB', groundColor: '#f0f0f0', intensity: 0.7 },
+    autoLayout: autoLayout('#f5f5f5', 0.8),
+  },
+  {
+    id: 'cozy-night',
+    name: 'Cozy Night',
+    ambientLight: { color: '#ffd699', intensity: 0.15 },
+    hemisphereLight: { skyColor: '#ffd699', groundColor: '#4a3728', intensity: 0.2 },
+    autoLayout: autoLayout('#ffcc80', 0.2),
+  },
+  {
+    id: 'studio-neutral',
+    name: 'Studio Neutral',
+    ambientLight: { color: '#ffffff', intensity: 0.4 },
+    hemisphereLight: { skyColor: '#ffffff', groundColor: '#cccccc', intensity: 0.5 },
+    autoLayout: autoLayout('#ffffff', 0.6),
+  },
+  {
+    id: 'sunset',
+    name: 'Sunset',
+    ambientLight: { color: '#ffcc99', intensity: 0.25 },
+    hemisphereLight: { skyColor: '#ff9966', groundColor: '#8B6347', intensity: 0.35 },
+    autoLayout: autoLayout('#ffbb88', 0.35),
+  },
+].map((preset) => ({ ...preset, pointLights: [], kind: 'room', builtIn: true }));
+
+const furnitureRig = (ambientIntensity, color, intensity, position = [5, 10, 7]) => ({
+  ambientLight: { color: '#ffffff', intensity: ambientIntensity },
+  directionalLight: { ...DIRECTIONAL_LIGHT_TEMPLATE, color, position, intensity },
+});
+
+const BUILT_IN_FURNITURE_PRESETS = [
+  { id: 'default', name: 'Default', ...furnitureRig(0.1, '#fff1e0', 1.8) },
+  { id: 'bright', name: 'Bright', ...furnitureRig(0.3, '#ffffff', 2.5) },
+  { id: 'soft', name: 'Soft', ...furnitureRig(0.4, '#fff5e6', 1.2) },
+  { id: 'dramatic', name: 'Dramatic', ...furnitureRig(0.05, '#ffffff', 3.0, [8, 15, 10]) },
+].map((preset) => ({ ...preset, kind: 'furniture', builtIn: true }));
+
+const BUILT_IN_PRESETS = [...BUILT_IN_ROOM_PRESETS, ...BUILT_IN_FURNITURE_PRESETS];
+
+// ============================================
+// REGISTRY
+// ============================================
+
+/**
+ * All presets of one kind: built-ins first, then the scene's custom presets
+ * @param {'room'|'furniture'} kind
+ * @param {Array} customPresets - Custom presets from the store
+ * @returns {Array} Presets
+ */
+export function getLightingPresets(kind, customPresets = []) {
+  return [...BUILT_IN_PRESETS, ...customPresets].filter((preset) => preset.kind === kind);
+}
+
+/**
+ * @param {'room'|'furniture'} kind
+ * @param {string} id - Preset id
+ * @param {Array} customPresets - Custom presets from the store
+ * @returns {object|undefined} The preset, if it exists
+ */
+export function findLightingPreset(kind, id, customPresets = []) {
+  return getLightingPresets(kind, customPresets).find((preset) => preset.id === id);
+}
+
+/**
+ * Whether an id names one of the built-in presets
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isBuiltInPreset(id) {
+  return BUILT_IN_PRESETS.some((preset) => preset.id === id);
+}
+
+/**
+ * A new custom preset copied from an existing one
+ * @param {object} source - Preset to copy
+ * @param {string} [name] - Name of the copy (defaults to "<source> Copy")
+ * @returns {object} Custom preset with a fresh id
+ */
+export function copyLightingPreset(source, name = `${source.name} Copy`) {
+  const { builtIn: _builtIn, ...data } = structuredClone(source);
+  return { ...data, id: uuidv4(), name };
+}
+
+// ============================================
+// RESOLVING PRESETS INTO LIGHTS
+// ============================================
+
+/**
+ * Get room lighting configuration based on preset
+ * @param {string} presetId - The lighting preset id ('off' disables room lights)
+ * @param {object} roomBounds - Room boundaries {minX, maxX, minY, maxY, minZ, maxZ, centerX, centerY, centerZ},
+ *   plus the probed room `geometry` (see roomLayout.js) when available
+ * @param {Array} customPresets - Custom presets from the store
+ * @returns {object|null} Lighting configuration with world positions, or null if the room is unlit
+ */
+export function getRoomLightingConfig(presetId, roomBounds, customPresets = []) {
+  if (!roomBounds || presetId === ROOM_LIGHTING_OFF) return null;
+  const preset = findLightingPreset('room', presetId, customPresets);
+  if (!preset) return null;
+
+  const { minX, maxX, minY, maxY, minZ, maxZ, centerX, centerZ } = roomBounds;
+  const roomSize = Math.max(maxX - minX, maxZ - minZ);
+  const roomHeight = maxY - minY;
+  // Lights hang from the top of the room, so the hemisphere light's sky side faces down from there
+  const ceilingY = minY + roomHeight * CEILING;
+
+  const placedLights = preset.pointLights.map(({ position: [x, y, z], heightOffset, distance, ...light }) => ({
+    ...light,
+    position: [
+      centerX + x * (maxX - centerX),
+      minY + roomHeight * y + heightOffset,
+      centerZ + z * (maxZ - centerZ),
+    ],
+    distance: distance * roomSize,
+  }));
+  const layoutLights = preset.autoLayout
+    ? generateLightLayout(roomBounds.geometry ?? boundsGeometry(roomBounds), preset.autoLayout)
+    : [];
+
+  return {
+    ambientLight: preset.ambientLight,
+    hemisphereLight: preset.hemisphereLight && { ...preset.hemisphereLight, position: [0, ceilingY, 0] },
+    pointLights: [...layoutLights, ...placedLights],
+  };
+}
+
+/**
+ * Get furniture lighting configuration based on preset
+ * @param {string} presetId - The lighting preset id
+ * @param {Array} customPresets - Custom presets from the store
+ * @returns {object} Lighting configuration (the default preset if the id is unknown)
+ */
+export function getFurnitureLightingConfig(presetId, customPresets = []) {
+  return findLightingPreset('furniture', presetId, customPresets) || BUILT_IN_FURNITURE_PRESETS[0];
+}
+
+// ============================================
+// VALIDATION AND PRESET FILES
+// ============================================
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isColor = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+
+// Check each field of `raw` against the template, repairing bad values with the template's
+function sanitizeFields(raw, template, label, warnings) {
+  if (!isPlainObject(raw)) {
+    warnings.push(`${label}: expected an object, reset to defaults`);
+    return structuredClone(template);
+  }
+  const valid = {};
+  Object.entries(template).forEach(([key, fallback]) => {
+    const value = raw[key];
+    const signed = SIGNED_FIELDS.includes(key);
+    const isNumber = (n) => typeof n === 'number' && Number.isFinite(n) && (signed || n >= 0);
+    let ok;
+    if (typeof fallback === 'string') ok = isColor(value);
+    else if (typeof fallback === 'boolean') ok = typeof value === 'boolean';
+    else if (Array.isArray(fallback)) ok = Array.isArray(value) && value.length === fallback.length && value.every(isNumber);
+    else ok = isNumber(value);
+    valid[key] = ok ? value : structuredClone(fallback);
+    if (!ok) warnings.push(`${label}.${key}: invalid value ${JSON.stringify(value)}, reset to ${JSON.stringify(fallback)}`);
+  });
+  return valid;
+}
+
+/**
+ * Validate one custom preset, repairing bad fields
+ * @param {*} raw - Preset data from a scene or preset file
+ * @param {string} label - Path used in messages, e.g. customLightingPresets[0]
+ * @param {string[]} warnings - Repairs are appended here
+ * @returns {object|null} The preset, or null if it is not a preset at all
+ */
+function sanitizeLightingPreset(raw, label, warnings) {
+  if (!isPlainObject(raw) || !LIGHTING_KINDS.includes(raw.kind)) {
+    warnings.push(`${label}: expected a room or furniture preset, removed`);
+    return null;
+  }
+  const name = typeof raw.name === 'string' && raw.name ? raw.name : 'Untitled Preset';
+  if (name !== raw.name) warnings.push(`${label}: missing name, set to "${name}"`);
+  const preset = {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : uuidv4(),
+    name,
+    kind: raw.kind,
+    ambientLight: sanitizeFields(raw.ambientLight, AMBIENT_LIGHT_TEMPLATE, `${label}.ambientLight`, warnings),
+  };
+
+  if (raw.kind === 'room') {
+    preset.hemisphereLight = raw.hemisphereLight === null
+      ? null
+      : sanitizeFields(raw.hemisphereLight, HEMISPHERE_LIGHT_TEMPLATE, `${label}.hemisphereLight`, warnings);
+    // Presets written before automatic layouts have none
+    preset.autoLayout = raw.autoLayout === null || raw.autoLayout === undefined
+      ? null
+      : sanitizeFields(raw.autoLayout, AUTO_LAYOUT_TEMPLATE, `${label}.autoLayout`, warnings);
+    if (!Array.isArray(raw.pointLights)) warnings.push(`${label}.pointLights: expected an array, no point lights kept`);
+    preset.pointLights = (Array.isArray(raw.pointLights) ? raw.pointLights : []).map((light, index) => (
+      sanitizeFields(light, POINT_LIGHT_TEMPLATE, `${label}.pointLights[${index}]`, warnings)
+    ));
+  } else {
+    preset.directionalLight = sanitizeFields(raw.directionalLight, DIRECTIONAL_LIGHT_TEMPLATE, `${label}.directionalLight`, warnings);
+  }
+  return preset;
+}
+
+/**
+ * Validate a list of custom presets. Ids must be unique and must not shadow a built-in preset.
+ * @param {*} presets - Preset list from a scene or preset file
+ * @param {string} label - Path used in messages
+ * @param {string[]} warnings - Repairs are appended here
+ * @returns {Array} Valid presets
+ */
+export function sanitizeLightingPresets(presets, label, warnings) {
+  if (!Array.isArray(presets)) {
+    warnings.push(`${label}: expected an array, presets were discarded`);
+    return [];
+  }
+  const seenIds = new Set();
+  const valid = [];
+  presets.forEach((raw, index) => {
+    const preset = sanitizeLightingPreset(raw, `${label}[${index}]`, warnings);
+    if (!preset) return;
+    if (seenIds.has(preset.id) || isBuiltInPreset(preset.id)) {
+      warnings.push(`${label}[${index}]: id "${preset.id}" is already taken, assigned a new one`);
+      preset.id = uuidv4();
+    }
+    seenIds.add(preset.id);
+    valid.push(preset);
+  });
+  return valid;
+}
+
+/**
+ * Serialize presets into a standalone preset file
+ * @param {Array} presets - Presets to export (built-ins are exported as editable copies)
+ * @returns {string} JSON text
+ */
+export function serializeLightingPresets(presets) {
+  return JSON.stringify({
+    format: PRESET_FILE_FORMAT,
+    version: PRESET_FILE_VERSION,
+    presets: presets.map((preset) => (preset.builtIn ? copyLightingPreset(preset, preset.name) : preset)),
+  }, null, 2);
+}
+
+/**
+ * Parse a preset file
+ * @param {string} text - File contents
+ * @returns {{ presets: Array, warnings: string[] }}
+ * @throws {Error} If the file is not a preset file
+ */
+export function parseLightingPresets(text) {
+  const data = JSON.parse(text);
+  if (!isPlainObject(data) || data.format !== PRESET_FILE_FORMAT) {
+    throw new Error('Not a lighting preset file');
+  }
+  if (data.version > PRESET_FILE_VERSION) {
+    throw new Error(`Preset file version ${data.version} is newer than this editor supports (${PRESET_FILE_VERSION})`);
+  }
+  const warnings = [];
+  const presets = sanitizeLightingPresets(data.presets, 'presets', warnings);
+  return { presets, warnings };
+}
@@ -0,0 +1,263 @@
+import * as THREE from 'three';
+
+// ============================================
+// MATERIAL OVERRIDES AND VARIANTS
+// ============================================
+//
+// A placed model can change its look without touching the library asset:
+//   materialVariant   - name of a KHR_materials_variants variant (null = default)
+//   materialOverrides - { [materialKey]: { color, roughness, metalness, opacity, map } }
+// A material key is the material's name, or "Material N" for unnamed materials
+// (numbered in scene order), so overrides survive reloads of the same model.
+// `map` replaces the base color texture with an uploaded image ({ name, url }).
+//
+// Materials are shared between every copy of a model and the loader's cached
+// scene, so they are never edited in place: a material an item changes (by an
+// override or the room brightness) is cloned for that item only.
+
+const VARIANTS_EXTENSION = 'KHR_materials_variants';
+
+// Editable material settings and their valid ranges, in display order
+export const MATERIAL_FIELDS = [
+  { key: 'color', label: 'Color', input: 'color' },
+  { key: 'roughness', label: 'Roughness', input: 'number', min: 0, max: 1, step: 0.05 },
+  { key: 'metalness', label: 'Metalness', input: 'number', min: 0, max: 1, step: 0.05 },
+  { key: 'opacity', label: 'Opacity', input: 'number', min: 0, max: 1, step: 0.05 },
+];
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Variant names and preloaded variant materials per loaded glTF scene
+const modelVariants = new WeakMap();
+// Loaded glTF scene each rendered copy was cloned from
+const cloneSources = new WeakMap();
+// Material each mesh of a copy had before any variant or override
+const defaultMaterials = new WeakMap();
+// Materials cloned for a copy's changes, disposed when the changes do
+const itemMaterials = new WeakMap();
+
+const textureLoader = new THREE.TextureLoader();
+const textureCache = new Map();
+
+/**
+ * GLTFLoader plugin for KHR_materials_variants: records which material each
+ * mesh uses per variant and loads those materials up front, so switching a
+ * variant later is instant. Register with `loader.register((parser) => new MaterialsVariantsPlugin(parser))`.
+ */
+export class MaterialsVariantsPlugin {
+  constructor(parser) {
+    this.parser = parser;
+    this.name = VARIANTS_EXTENSION;
+  }
+
+  async afterRoot(gltf) {
+    const { json, associations } = this.parser;
+    const extension = json.extensions?.[VARIANTS_EXTENSION];
+    if (!extension) return;
+
+    const names = extension.variants.map((variant, index) => variant.name || `Variant ${index + 1}`);
+    const materialIndices = new Set();
+    gltf.scene.traverse((object) => {
+      const association = object.isMesh && associations.get(object);
+      const primitive = association && json.meshes[association.meshes]?.primitives[association.primitives ?? 0];
+      const mappings = primitive?.extensions?.[VARIANTS_EXTENSION]?.mappings;
+      if (!mappings) return;
+      // Stored by variant name in userData, so it survives scene.clone()
+      const byVariant = {};
+      mappings.forEach((mapping) => {
+        mapping.variants.forEach((variant) => { byVariant[names[variant]] = mapping.material; });
+        materialIndices.add(mapping.material);
+      });
+      object.userData.variantMaterials = byVariant;
+    });
+
+    const materials = new Map();
+    await Promise.all([...materialIndices].map(async (index) => {
+      materials.set(index, await this.parser.getDependency('material', index));
+    }));
+    modelVariants.set(gltf.scene, { names, materials });
+  }
+}
+
+/**
+ * Remember which loaded glTF scene a rendered copy was cloned from
+ * @param {THREE.Object3D} clone - The item's copy
+ * @param {THREE.Object3D} source - The scene returned by the loader
+ */
+export function linkModelClone(clone, source) {
+  cloneSources.set(clone, source);
+}
+
+/**
+ * @param {THREE.Object3D} clone - A copy registered with linkModelClone
+ * @returns {string[]} Names of the model's material variants (empty without KHR_materials_variants)
+ */
+export function getModelVariants(clone) {
+  return modelVariants.get(cloneSources.get(clone))?.names ?? [];
+}
+
+// Meshes of a copy with the material they show for a variant, before overrides
+function baseMaterials(clone, variant) {
+  const variants = modelVariants.get(cloneSources.get(clone));
+  const meshes = [];
+  clone.traverse((child) => {
+    if (!child.isMesh || child.userData.lightHelper || Array.isArray(child.material)) return;
+    if (!defaultMaterials.has(child)) defaultMaterials.set(child, child.material);
+    const variantIndex = variant ? child.userData.variantMaterials?.[variant] : undefined;
+    const material = variantIndex !== undefined && variants?.materials.get(variantIndex);
+    meshes.push({ mesh: child, material: material || defaultMaterials.get(child) });
+  });
+  return meshes;
+}
+
+// Unique base materials in scene order, keyed as described at the top of the file
+function keyedMaterials(meshes) {
+  const keys = new Map();
+  meshes.forEach(({ material }) => {
+    if (!keys.has(material)) keys.set(material, material.name || `Material ${keys.size + 1}`);
+  });
+  return keys;
+}
+
+function loadTexture(url) {
+  if (!textureCache.has(url)) {
+    const texture = textureLoader.load(url);
+    // Same conventions as glTF base color textures
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.flipY = false;
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    textureCache.set(url, texture);
+  }
+  return textureCache.get(url);
+}
+
+// Clone a base material for one item and apply its override and brightness
+function createItemMaterial(base, override, brightness) {
+  const material = base.clone();
+  if (override.color !== undefined && material.color) material.color.set(override.color);
+  if (override.roughness !== undefined && 'roughness' in material) material.roughness = override.roughness;
+  if (override.metalness !== undefined && 'metalness' in material) material.metalness = override.metalness;
+  if (override.opacity !== undefined) {
+    material.opacity = override.opacity;
+    material.transparent = base.transparent || override.opacity < 1;
+  }
+  if (override.map) material.map = loadTexture(override.map.url);
+
+  // Overexposure effect for room shells: brighter colors plus an emissive glow
+  if (brightness !== 1) {
+    if (material.color) {
+      material.color.setRGB(
+        Math.min(material.color.r * brightness, 1),
+        Math.min(material.color.g * brightness, 1),
+        Math.min(material.color.b * brightness, 1)
+      );
+    }
+    if (material.emissive) material.emissiveIntensity = (base.emissiveIntensity || 0) + (brightness - 1) * 0.5;
+  }
+  material.needsUpdate = true;
+  return material;
+}
+
+/**
+ * Show a copy with its variant, overrides and brightness. Materials cloned for
+ * earlier changes are disposed; materials the item does not change stay shared.
+ * @param {THREE.Object3D} clone - A copy registered with linkModelClone
+ * @param {object} appearance
+ * @param {string|null} [appearance.variant] - Variant name, or null for the default look
+ * @param {object} [appearance.overrides] - Material overrides by material key
+ * @param {number} [appearance.brightness] - Color multiplier (room brightness), 1 = unchanged
+ */
+export function applyMaterialAppearance(clone, { variant = null, overrides = {}, brightness = 1 }) {
+  itemMaterials.get(clone)?.forEach((material) => material.dispose());
+  const created = new Map();
+
+  const meshes = baseMaterials(clone, variant);
+  const keys = keyedMaterials(meshes);
+  meshes.forEach(({ mesh, material }) => {
+    const override = overrides[keys.get(material)];
+    if (!override && brightness === 1) {
+      mesh.material = material;
+      return;
+    }
+    if (!created.has(material)) created.set(material, createItemMaterial(material, override ?? {}, brightness));
+    mesh.material = created.get(material);
+  });
+  itemMaterials.set(clone, [...created.values()]);
+}
+
+/**
+ * Dispose the materials cloned for a copy, e.g. when its item is removed
+ * @param {THREE.Object3D} clone - A copy registered with linkModelClone
+ */
+export function releaseMaterialAppearance(clone) {
+  itemMaterials.get(clone)?.forEach((material) => material.dispose());
+  itemMaterials.delete(clone);
+}
+
+/**
+ * Materials a copy currently shows, with their own (not overridden) settings
+ * @param {THREE.Object3D} clone - A copy registered with linkModelClone
+ * @param {string|null} variant - Variant name, or null for the default look
+ * @returns {Array} { key, color, roughness, metalness, opacity, hasMap } per material;
+ *   settings the material type lacks are undefined
+ */
+export function listMaterials(clone, variant) {
+  return [...keyedMaterials(baseMaterials(clone, variant))].map(([material, key]) => ({
+    key,
+    color: material.color && `#${material.color.getHexString()}`,
+    roughness: material.roughness,
+    metalness: material.metalness,
+    opacity: material.opacity,
+    hasMap: Boolean(material.map),
+  }));
+}
+
+/**
+ * Whether a value is acceptable for a material setting
+ * @param {object} field - Entry of MATERIAL_FIELDS
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export function isValidMaterialValue(field, value) {
+  if (field.input === 'color') return typeof value === 'string' && HEX_COLOR.test(value);
+  return typeof value === 'number' && Number.isFinite(value) && value >= field.min && value <= field.max;
+}
+
+/**
+ * Validate the material overrides of a loaded item, dropping bad settings
+ * @param {*} overrides - materialOverrides from a scene file
+ * @param {string} label - Prefix for warnings, e.g. items[3] "sofa.glb"
+ * @param {string[]} warnings - Collects a message per repair
+ * @returns {object} Valid overrides (materials left without settings are dropped)
+ */
+export function sanitizeMaterialOverrides(overrides, label, warnings) {
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(overrides)) {
+    warnings.push(`${label}.materialOverrides: expected an object, removed`);
+    return {};
+  }
+  const valid = {};
+  Object.entries(overrides).forEach(([key, override]) => {
+    const prefix = `${label}.materialOverrides[${JSON.stringify(key)}]`;
+    if (!isObject(override)) {
+      warnings.push(`${prefix}: expected an object, removed`);
+      return;
+    }
+    const settings = {};
+    MATERIAL_FIELDS.forEach((field) => {
+      if (override[field.key] === undefined) return;
+      if (isValidMaterialValue(field, override[field.key])) settings[field.key] = override[field.key];
+      else warnings.push(`${prefix}.${field.key}: invalid value ${JSON.stringify(override[field.key])}, removed`);
+    });
+    if (override.map !== undefined) {
+      if (isObject(override.map) && typeof override.map.url === 'string' && override.map.url) {
+        settings.map = { name: typeof override.map.name === 'string' ? override.map.name : 'texture', url: override.map.url };
+      } else {
+        warnings.push(`${prefix}.map: texture image is missing, removed`);
+      }
+    }
+    if (Object.keys(settings).length > 0) valid[key] = settings;
+  });
+  return valid;
+}
@@ -0,0 +1,86 @@
+import * as THREE from 'three';
+import { v4 as uuidv4 } from 'uuid';
+import { isShown } from './itemObjects';
+
+// ============================================
+// MEASUREMENTS
+// ============================================
+//
+// A kept tape measurement is a scene annotation: { id, start, end } with world
+// positions in meters. Item dimensions are worked out from the model's own
+// (unrotated) bounds, so a turned sofa still reports its real width and depth.
+
+/**
+ * Create a measurement annotation
+ * @param {number[]} start - World position [x, y, z]
+ * @param {number[]} end - World position [x, y, z]
+ * @returns {object} Measurement ready for addMeasurement
+ */
+export function createMeasurement(start, end) {
+  return { id: uuidv4(), start: [...start], end: [...end] };
+}
+
+/**
+ * @param {{ start: number[], end: number[] }} measurement
+ * @returns {number} Distance between the end points in meters
+ */
+export function measurementLength({ start, end }) {
+  return Math.hypot(end[0] - start[0], end[1] - start[1], end[2] - start[2]);
+}
+
+// ============================================
+// SURFACE PICKING
+// ============================================
+
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+
+/**
+ * First model or floor surface under a pointer position. Light markers and hidden items are skipped.
+ * @param {{ x: number, y: number }} ndc - Pointer in normalized device coordinates
+ * @param {THREE.Camera} camera
+ * @param {THREE.Object3D[]} targets - Item objects and the floor
+ * @returns {THREE.Vector3|null} World position of the hit
+ */
+export function pickSurfacePoint(ndc, camera, targets) {
+  raycaster.setFromCamera(pointer.set(ndc.x, ndc.y), camera);
+  const hit = raycaster.intersectObjects(targets, true)
+    .find((intersection) => intersection.object.isMesh && !intersection.object.userData.lightHelper && isShown(intersection.object));
+  return hit ? hit.point.clone() : null;
+}
+
+// ============================================
+// ITEM DIMENSIONS
+// ============================================
+
+// Bounds of rendered item objects in their own space; models do not change shape after loading
+const localBounds = new WeakMap();
+
+// Grow a box by the meshes under an object, in the space `matrix` maps the object into.
+// Attached items (lights) are other items and light markers are not part of the model.
+function expandByMeshes(box, object, matrix) {
+  if (object.isMesh && !object.userData.lightHelper) {
+    if (!object.geometry.boundingBox) object.geometry.computeBoundingBox();
+    box.union(object.geometry.boundingBox.clone().applyMatrix4(matrix));
+  }
+  object.children.forEach((child) => {
+    if (child.userData.itemId) return;
+    child.updateMatrix();
+    expandByMeshes(box, child, matrix.clone().multiply(child.matrix));
+  });
+}
+
+/**
+ * Bounds of an item's rendered object in its own space, before the item's
+ * position, rotation and scale
+ * @param {THREE.Object3D} object - Object registered for the item (see itemObjects.js)
+ * @returns {THREE.Box3|null} Cached box (do not modify), or null when the object has no meshes
+ */
+export function getLocalBounds(object) {
+  if (!localBounds.has(object)) {
+    const box = new THREE.Box3();
+    expandByMeshes(box, object, new THREE.Matrix4());
+    localBounds.set(object, box.isEmpty() ? null : box);
+  }
+  return localBounds.get(object);
+}
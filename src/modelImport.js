@@ -0,0 +1,247 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { MTLLoader } from 'three/examples/jsm/loaders/MTLLoader.js';
+import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader.js';
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+import { TGALoader } from 'three/examples/jsm/loaders/TGALoader.js';
+
+// ============================================
+// MODEL IMPORT
+// ============================================
+//
+// Every imported model is normalized to a single GLB, the format FurnitureModel
+// and scene packages work with:
+//   .glb         - used as is (Draco/Meshopt/KTX2 compression is kept)
+//   .gltf        - repacked into a GLB with its .bin and texture files embedded
+//   .obj (+.mtl) - converted with GLTFExporter
+//   .fbx, .stl   - converted with GLTFExporter
+// Companion files (.bin, .mtl, textures) are matched by file name, so a
+// vendor's folder can be selected in one go.
+
+export const MODEL_EXTENSIONS = ['.glb', '.gltf', '.obj', '.fbx', '.stl'];
+export const COMPANION_EXTENSIONS = ['.bin', '.mtl', '.png', '.jpg', '.jpeg', '.webp', '.ktx2', '.tga', '.bmp'];
+
+const GLB_MAGIC = 0x46546c67; // 'glTF'
+const GLB_CHUNK_JSON = 0x4e4f534a;
+const GLB_CHUNK_BIN = 0x004e4942;
+
+const IMAGE_MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  ktx2: 'image/ktx2',
+};
+
+// ============================================
+// UTILITY FUNCTIONS
+// ============================================
+
+const extensionOf = (name) => name.slice(name.lastIndexOf('.')).toLowerCase();
+const baseName = (path) => decodeURIComponent(path.split(/[\\/]/).pop()).toLowerCase();
+const padTo4 = (length) => Math.ceil(length / 4) * 4;
+
+// MIME type of a glTF image uri: the type of a data URI, else the file extension
+function imageMimeType(uri) {
+  if (uri.startsWith('data:')) return uri.match(/^data:([^;,]+)/)?.[1].toLowerCase() ?? null;
+  return IMAGE_MIME_TYPES[extensionOf(baseName(uri)).slice(1)] ?? null;
+}
+
+// Read a glTF resource: an embedded data URI or one of the selected files
+async function readResource(uri, filesByName) {
+  if (uri.startsWith('data:')) {
+    return new Uint8Array(await (await fetch(uri)).arrayBuffer());
+  }
+  const file = filesByName.get(baseName(uri));
+  if (!file) throw new Error(`missing file "${decodeURIComponent(uri)}" (select it together with the model)`);
+  return new Uint8Array(await file.arrayBuffer());
+}
+
+/**
+ * A LoadingManager that resolves relative URLs (textures, .mtl) to the selected files
+ * @param {Map<string, File>} filesByName - All selected files
+ * @returns {{ manager: THREE.LoadingManager, finished: function, dispose: function }}
+ */
+function createFileManager(filesByName) {
+  const objectUrls = new Map();
+  let loading = false;
+  let onIdle = null;
+
+  const manager = new THREE.LoadingManager(() => {
+    loading = false;
+    onIdle?.();
+  });
+  manager.onStart = () => { loading = true; };
+  manager.setURLModifier((url) => {
+    if (url.startsWith('data:') || url.startsWith('blob:')) return url;
+    const file = filesByName.get(baseName(url));
+    if (!file) return url;
+    if (!objectUrls.has(file)) objectUrls.set(file, URL.createObjectURL(file));
+    return objectUrls.get(file);
+  });
+  manager.addHandler(/\.tga$/i, new TGALoader(manager));
+
+  return {
+    manager,
+    // Resolves once every texture requested so far has loaded (or failed)
+    finished: () => new Promise((resolve) => {
+      if (loading) onIdle = resolve;
+      else resolve();
+    }),
+    dispose: () => objectUrls.forEach((url) => URL.revokeObjectURL(url)),
+  };
+}
+
+// ============================================
+// FORMAT CONVERSION
+// ============================================
+
+/**
+ * Repack a .gltf and its external resources into one GLB without re-encoding,
+ * so compression extensions and materials survive untouched
+ * @param {File} file - The .gltf file
+ * @param {Map<string, File>} filesByName - All selected files
+ * @returns {Promise<Uint8Array>} GLB contents
+ */
+async function packGLTF(file, filesByName) {
+  const json = JSON.parse(await file.text());
+  const chunks = [];
+  let byteLength = 0;
+
+  const append = (bytes) => {
+    const offset = byteLength;
+    chunks.push({ offset, bytes });
+    byteLength = padTo4(offset + bytes.byteLength);
+    return offset;
+  };
+
+  // Every buffer becomes a slice of the single GLB binary chunk
+  const bufferOffsets = [];
+  for (const buffer of json.buffers ?? []) {
+    if (!buffer.uri) throw new Error('buffer without a uri');
+    bufferOffsets.push(append(await readResource(buffer.uri, filesByName)));
+  }
+  (json.bufferViews ?? []).forEach((view) => {
+    view.byteOffset = (view.byteOffset ?? 0) + bufferOffsets[view.buffer];
+    view.buffer = 0;
+  });
+
+  // Images referenced by uri become buffer views as well
+  json.bufferViews = json.bufferViews ?? [];
+  for (const image of json.images ?? []) {
+    if (!image.uri) continue;
+    const bytes = await readResource(image.uri, filesByName);
+    const mimeType = image.mimeType ?? imageMimeType(image.uri);
+    if (!mimeType) throw new Error(`unsupported image "${image.uri.startsWith('data:') ? image.uri.slice(0, 32) + '...' : image.uri}"`);
+    json.bufferViews.push({ buffer: 0, byteOffset: append(bytes), byteLength: bytes.byteLength });
+    image.bufferView = json.bufferViews.length - 1;
+    image.mimeType = mimeType;
+    delete image.uri;
+  }
+  json.buffers = byteLength > 0 ? [{ byteLength }] : undefined;
+  if (json.bufferViews.length === 0) delete json.bufferViews;
+
+  const binary = new Uint8Array(byteLength);
+  chunks.forEach(({ offset, bytes }) => binary.set(bytes, offset));
+
+  const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+  const jsonLength = padTo4(jsonBytes.byteLength);
+  const totalLength = 12 + 8 + jsonLength + (byteLength > 0 ? 8 + byteLength : 0);
+  const glb = new Uint8Array(totalLength);
+  const view = new DataView(glb.buffer);
+
+  view.setUint32(0, GLB_MAGIC, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, totalLength, true);
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, GLB_CHUNK_JSON, true);
+  glb.fill(0x20, 20, 20 + jsonLength); // JSON chunk is padded with spaces
+  glb.set(jsonBytes, 20);
+  if (byteLength > 0) {
+    const binStart = 20 + jsonLength;
+    view.setUint32(binStart, byteLength, true);
+    view.setUint32(binStart + 4, GLB_CHUNK_BIN, true);
+    glb.set(binary, binStart + 8);
+  }
+  return glb;
+}
+
+// Load an .obj, .fbx or .stl file into a three.js object
+async function loadForeignModel(file, filesByName, manager) {
+  const extension = extensionOf(file.name);
+
+  if (extension === '.obj') {
+    const text = await file.text();
+    const loader = new OBJLoader(manager);
+    const mtlName = text.match(/^mtllib\s+(.+)$/m)?.[1].trim();
+    const mtlFile = (mtlName && filesByName.get(baseName(mtlName)))
+      || [...filesByName.values()].find((candidate) => extensionOf(candidate.name) === '.mtl');
+    if (mtlFile) {
+      const materials = new MTLLoader(manager).parse(await mtlFile.text(), '');
+      materials.preload();
+      loader.setMaterials(materials);
+    }
+    return { object: loader.parse(text), animations: [] };
+  }
+
+  if (extension === '.fbx') {
+    const object = new FBXLoader(manager).parse(await file.arrayBuffer(), '');
+    return { object, animations: object.animations };
+  }
+
+  // .stl holds a single mesh without materials
+  const geometry = new STLLoader().parse(await file.arrayBuffer());
+  const material = new THREE.MeshStandardMaterial({ vertexColors: Boolean(geometry.hasColors) });
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.name = file.name.replace(/\.stl$/i, '');
+  return { object: mesh, animations: [] };
+}
+
+async function convertToGLB(file, filesByName) {
+  const { manager, finished, dispose } = createFileManager(filesByName);
+  try {
+    const { object, animations } = await loadForeignModel(file, filesByName, manager);
+    await finished();
+    const result = await new GLTFExporter().parseAsync(object, { binary: true, animations });
+    return new Uint8Array(result);
+  } finally {
+    dispose();
+  }
+}
+
+// ============================================
+// IMPORT
+// ============================================
+
+/**
+ * Normalize a set of selected files into GLB models. Each model file becomes
+ * one result; companion files are only used to resolve references.
+ * @param {File[]} files - Files picked by the user
+ * @returns {Promise<{ models: Array<{ name: string, bytes: Uint8Array }>, errors: string[] }>}
+ */
+export async function importModelFiles(files) {
+  // Relative references are resolved by lower-case file name
+  const filesByName = new Map(files.map((file) => [file.name.toLowerCase(), file]));
+  const models = [];
+  const errors = [];
+
+  const modelFiles = files.filter((file) => MODEL_EXTENSIONS.includes(extensionOf(file.name)));
+  if (modelFiles.length === 0) {
+    errors.push(`No model file selected (supported: ${MODEL_EXTENSIONS.join(', ')})`);
+  }
+
+  for (const file of modelFiles) {
+    try {
+      const extension = extensionOf(file.name);
+      let bytes;
+      if (extension === '.glb') bytes = new Uint8Array(await file.arrayBuffer());
+      else if (extension === '.gltf') bytes = await packGLTF(file, filesByName);
+      else bytes = await convertToGLB(file, filesByName);
+      models.push({ name: file.name, bytes });
+    } catch (err) {
+      errors.push(`${file.name}: ${err.message}`);
+    }
+  }
+  return { models, errors };
+}
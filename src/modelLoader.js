@@ -0,0 +1,94 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+import { MaterialsVariantsPlugin } from './materialOverrides';
+
+// ============================================
+// MODEL LOADING
+// ============================================
+//
+// FurnitureModel loads through drei's useGLTF; tools that need a model before
+// it is placed (e.g. to measure it) use getGLTFLoader(). Both are set up by
+// configureGLTFLoader so Draco, Meshopt and KTX2 models load the same way, and
+// KHR_materials_variants is read for both.
+//
+// The Draco and Basis decoders are served from public/decoders, copied from
+// three.js by scripts/copy-decoders.js, so nothing is fetched from a CDN.
+
+const DECODER_PATH = `${import.meta.env.BASE_URL}decoders/`;
+
+let dracoLoader = null;
+let ktx2Loader = null;
+let modelRenderer = null;
+let gltfLoader = null;
+const boundsCache = new Map();
+// Loaders that already have the variants plugin; drei configures its loader on every load
+const pluginLoaders = new WeakSet();
+
+function getDRACOLoader() {
+  if (!dracoLoader) {
+    dracoLoader = new DRACOLoader().setDecoderPath(`${DECODER_PATH}draco/`);
+  }
+  return dracoLoader;
+}
+
+// KTX2 textures are transcoded to a format the renderer supports, so the loader needs the renderer
+function getKTX2Loader(renderer) {
+  if (!ktx2Loader) {
+    ktx2Loader = new KTX2Loader().setTranscoderPath(`${DECODER_PATH}basis/`).detectSupport(renderer);
+  }
+  return ktx2Loader;
+}
+
+/**
+ * Remember the Canvas renderer so loaders outside the Canvas can decode KTX2 textures
+ * @param {THREE.WebGLRenderer} renderer
+ */
+export function setModelRenderer(renderer) {
+  modelRenderer = renderer;
+}
+
+/**
+ * Attach the Draco, Meshopt and KTX2 decoders and the material variants plugin to a GLTFLoader
+ * @param {GLTFLoader} loader - Loader to configure (three's or drei's)
+ * @param {THREE.WebGLRenderer} [renderer] - Renderer used to pick the KTX2 target format
+ * @returns {GLTFLoader} The same loader
+ */
+export function configureGLTFLoader(loader, renderer = modelRenderer) {
+  loader.setDRACOLoader(getDRACOLoader());
+  loader.setMeshoptDecoder(MeshoptDecoder);
+  if (renderer) loader.setKTX2Loader(getKTX2Loader(renderer));
+  if (!pluginLoaders.has(loader)) {
+    loader.register((parser) => new MaterialsVariantsPlugin(parser));
+    pluginLoaders.add(loader);
+  }
+  return loader;
+}
+
+/**
+ * Shared GLTFLoader with Draco, Meshopt and (once a renderer is known) KTX2 support
+ * @returns {GLTFLoader}
+ */
+export function getGLTFLoader() {
+  if (!gltfLoader) gltfLoader = new GLTFLoader();
+  return configureGLTFLoader(gltfLoader);
+}
+
+/**
+ * Bounding box of a model in its own (untransformed) coordinates.
+ * Results are cached per URL.
+ * @param {string} url - Model URL
+ * @returns {Promise<THREE.Box3>}
+ */
+export function loadModelBounds(url) {
+  if (!boundsCache.has(url)) {
+    const promise = getGLTFLoader()
+      .loadAsync(url)
+      .then((gltf) => new THREE.Box3().setFromObject(gltf.scene));
+    promise.catch(() => boundsCache.delete(url));
+    boundsCache.set(url, promise);
+  }
+  return boundsCache.get(url);
+}
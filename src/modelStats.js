@@ -0,0 +1,162 @@
+import * as THREE from 'three';
+import { getGLTFLoader } from './modelLoader';
+import { fetchBytes } from './scenePackage';
+
+// ============================================
+// MODEL INSPECTION
+// ============================================
+//
+// Statistics and sanity checks for a model file, shown in the Library panel
+// so bad assets are caught before they are placed into scenes.
+
+// A model larger than this (meters) on any axis was probably exported in centimeters or millimeters
+const MAX_EXPECTED_SIZE = 50;
+// A model smaller than this on every axis was probably exported in kilometers or scaled down by mistake
+const MIN_EXPECTED_SIZE = 0.02;
+// Warn when the origin (the point items are positioned and rotated around) is this far outside the geometry
+const MAX_ORIGIN_DISTANCE = 1;
+const MAX_TRIANGLES = 500000;
+const MAX_TEXTURE_SIZE = 4096;
+
+const statsCache = new Map();
+
+/**
+ * Format a byte count for display (e.g. "2.4 MB")
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+// Every texture referenced by a material
+function materialTextures(material) {
+  return Object.values(material).filter((value) => value && value.isTexture);
+}
+
+/**
+ * Count geometry, materials and textures of a loaded model and flag likely problems
+ * @param {object} gltf - Result of GLTFLoader
+ * @param {number} fileSize - Size of the model file in bytes
+ * @returns {object} Model statistics (see inspectModel)
+ */
+function collectModelStats(gltf, fileSize) {
+  const bounds = new THREE.Box3().setFromObject(gltf.scene);
+  const size = bounds.isEmpty() ? new THREE.Vector3() : bounds.getSize(new THREE.Vector3());
+  const materials = new Set();
+  const textures = new Set();
+  const meshesWithoutNormals = [];
+  let meshes = 0;
+  let triangles = 0;
+  let vertices = 0;
+
+  gltf.scene.traverse((child) => {
+    if (!child.isMesh) return;
+    const { geometry } = child;
+    const instances = child.isInstancedMesh ? child.count : 1;
+    const position = geometry.attributes.position;
+    meshes += 1;
+    vertices += (position?.count ?? 0) * instances;
+    triangles += Math.floor((geometry.index ? geometry.index.count : position?.count ?? 0) / 3) * instances;
+    if (!geometry.attributes.normal) meshesWithoutNormals.push(child.name || '(unnamed)');
+
+    (Array.isArray(child.material) ? child.material : [child.material]).forEach((material) => {
+      materials.add(material);
+      materialTextures(material).forEach((texture) => textures.add(texture));
+    });
+  });
+
+  const textureList = [...textures].map((texture) => ({
+    name: texture.name || texture.image?.src?.split('/').pop() || '(embedded)',
+    width: texture.image?.width ?? 0,
+    height: texture.image?.height ?? 0,
+  }));
+
+  const warnings = [];
+  const largest = Math.max(size.x, size.y, size.z);
+  if (meshes === 0) {
+    warnings.push('Model has no meshes');
+  } else if (largest > MAX_EXPECTED_SIZE) {
+    warnings.push(`Largest dimension is ${largest.toFixed(1)} m; the model may be in centimeters or millimeters`);
+  } else if (largest < MIN_EXPECTED_SIZE) {
+    warnings.push(`Largest dimension is ${(largest * 100).toFixed(2)} cm; the model may be scaled down by mistake`);
+  }
+  const originDistance = bounds.isEmpty() ? 0 : bounds.distanceToPoint(new THREE.Vector3());
+  if (originDistance > MAX_ORIGIN_DISTANCE) {
+    warnings.push(`Origin is ${originDistance.toFixed(1)} m away from the geometry, so the item will move and rotate around an off-center point`);
+  }
+  if (meshesWithoutNormals.length > 0) {
+    warnings.push(`${meshesWithoutNormals.length} mesh(es) have no normals and will shade flat: ${meshesWithoutNormals.slice(0, 3).join(', ')}${meshesWithoutNormals.length > 3 ? ', ...' : ''}`);
+  }
+  if (triangles > MAX_TRIANGLES) {
+    warnings.push(`${triangles.toLocaleString()} triangles may slow down scenes with many copies`);
+  }
+  const largeTextures = textureList.filter((texture) => Math.max(texture.width, texture.height) > MAX_TEXTURE_SIZE);
+  if (largeTextures.length > 0) {
+    warnings.push(`${largeTextures.length} texture(s) larger than ${MAX_TEXTURE_SIZE}px`);
+  }
+
+  return {
+    fileSize,
+    dimensions: size.toArray(),
+    meshes,
+    triangles,
+    vertices,
+    materials: materials.size,
+    textures: textureList,
+    animations: gltf.animations.map((clip) => ({ name: clip.name || '(unnamed)', duration: clip.duration })),
+    warnings,
+  };
+}
+
+// Free the GPU-side resources of a model that was only loaded for inspection
+function disposeModel(gltf) {
+  gltf.scene.traverse((child) => {
+    if (!child.isMesh) return;
+    child.geometry.dispose();
+    (Array.isArray(child.material) ? child.material : [child.material]).forEach((material) => {
+      materialTextures(material).forEach((texture) => {
+        texture.image?.close?.();
+        texture.dispose();
+      });
+      material.dispose();
+    });
+  });
+}
+
+/**
+ * Load a model and collect its statistics. Results are cached per URL.
+ * @param {string} url - Model URL
+ * @returns {Promise<{
+ *   fileSize: number,
+ *   dimensions: number[],
+ *   meshes: number,
+ *   triangles: number,
+ *   vertices: number,
+ *   materials: number,
+ *   textures: Array<{ name: string, width: number, height: number }>,
+ *   animations: Array<{ name: string, duration: number }>,
+ *   warnings: string[]
+ * }>}
+ */
+export function inspectModel(url) {
+  if (!statsCache.has(url)) {
+    const promise = (async () => {
+      const bytes = await fetchBytes(url);
+      const gltf = await getGLTFLoader().parseAsync(bytes.buffer, '');
+      const stats = collectModelStats(gltf, bytes.byteLength);
+      disposeModel(gltf);
+      return stats;
+    })();
+    promise.catch(() => statsCache.delete(url));
+    statsCache.set(url, promise);
+  }
+  return statsCache.get(url);
+}
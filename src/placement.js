@@ -0,0 +1,94 @@
+import * as THREE from 'three';
+import { findSurfaceHeight } from './snapping';
+
+// ============================================
+// PLACEMENT AND OVERLAP DETECTION
+// ============================================
+
+// Boxes must overlap by more than this (meters) on every axis to count,
+// so items that merely touch (a lamp standing on a table) are not flagged
+const OVERLAP_TOLERANCE = 0.01;
+
+// Gap kept between a newly placed item and its neighbours
+const PLACEMENT_GAP = 0.1;
+
+// How many rings of candidate spots to try around the target before giving up
+const MAX_PLACEMENT_RINGS = 8;
+
+/**
+ * Whether two world boxes overlap by more than the tolerance
+ * @param {THREE.Box3} a
+ * @param {THREE.Box3} b
+ * @returns {boolean}
+ */
+export function boxesOverlap(a, b) {
+  return (
+    Math.min(a.max.x, b.max.x) - Math.max(a.min.x, b.min.x) > OVERLAP_TOLERANCE &&
+    Math.min(a.max.y, b.max.y) - Math.max(a.min.y, b.min.y) > OVERLAP_TOLERANCE &&
+    Math.min(a.max.z, b.max.z) - Math.max(a.min.z, b.min.z) > OVERLAP_TOLERANCE
+  );
+}
+
+/**
+ * Find every overlapping pair of boxes
+ * @param {Array<{ id: string, box: THREE.Box3 }>} entries - World boxes per item
+ * @returns {Array<[string, string]>} Pairs of overlapping item ids
+ */
+export function findOverlaps(entries) {
+  const pairs = [];
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      if (boxesOverlap(entries[i].box, entries[j].box)) {
+        pairs.push([entries[i].id, entries[j].id]);
+      }
+    }
+  }
+  return pairs;
+}
+
+// Grid offsets on the square ring at `ring` steps from the center
+function ringOffsets(ring) {
+  if (ring === 0) return [[0, 0]];
+  const offsets = [];
+  for (let i = -ring; i <= ring; i++) {
+    offsets.push([i, -ring], [i, ring]);
+    if (i !== -ring && i !== ring) offsets.push([-ring, i], [ring, i]);
+  }
+  return offsets;
+}
+
+/**
+ * Find a spot where a new item rests on the floor without overlapping others.
+ * Candidates are tried ring by ring on a grid around the target, spaced by the
+ * item's own footprint.
+ * @param {object} params
+ * @param {THREE.Box3} params.bounds - Model bounds in its own coordinates
+ * @param {THREE.Vector3} params.target - Preferred footprint center (e.g. the camera target)
+ * @param {THREE.Box3[]} params.obstacles - World boxes of items to keep clear of
+ * @param {THREE.Object3D[]} params.surfaces - Objects whose floors the item may stand on (room shells)
+ * @returns {number[]} Item position [x, y, z]
+ */
+export function findFreePosition({ bounds, target, obstacles, surfaces }) {
+  const size = bounds.getSize(new THREE.Vector3());
+  const center = bounds.getCenter(new THREE.Vector3());
+  const step = Math.max(size.x, size.z, 0.1) + PLACEMENT_GAP;
+
+  const positionAt = (x, z) => {
+    const position = new THREE.Vector3(x - center.x, -bounds.min.y, z - center.z);
+    const box = bounds.clone().translate(position);
+    const floor = findSurfaceHeight(box, surfaces);
+    position.y += floor;
+    box.translate(new THREE.Vector3(0, floor, 0));
+    return { position, box };
+  };
+
+  for (let ring = 0; ring <= MAX_PLACEMENT_RINGS; ring++) {
+    for (const [dx, dz] of ringOffsets(ring)) {
+      const { position, box } = positionAt(target.x + dx * step, target.z + dz * step);
+      if (!obstacles.some((obstacle) => boxesOverlap(box, obstacle))) {
+        return position.toArray();
+      }
+    }
+  }
+  return positionAt(target.x, target.z).position.toArray();
+}
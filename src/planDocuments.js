@@ -0,0 +1,226 @@
+// ============================================
+// VECTOR DRAWING DOCUMENTS
+// ============================================
+//
+// A drawing is a list of shapes in paper millimeters, origin at the top left
+// and y pointing down:
+//   { type: 'polygon', points: [[x, y], ...], fill, stroke, strokeWidth }
+//   { type: 'line', points: [[x, y], ...], stroke, strokeWidth }
+//   { type: 'circle', x, y, r, fill, stroke, strokeWidth }
+//   { type: 'text', x, y, text, size, anchor: 'start'|'middle'|'end', angle, fill }
+//   { type: 'group', offset: [dx, dy], clip: [x, y, width, height] | null, shapes }
+// Colors are '#rrggbb' or null for none; text sits on its baseline at (x, y)
+// and is turned `angle` degrees clockwise. Both writers draw the same list.
+
+const PT_PER_MM = 72 / 25.4;
+const DEG_TO_RAD = Math.PI / 180;
+
+const fixed = (value) => Number(value.toFixed(3)).toString();
+
+// ============================================
+// SVG
+// ============================================
+
+const escapeXml = (text) => text.replace(/[<>&"']/g, (char) => (
+  { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[char]
+));
+
+const svgPaint = ({ fill = null, stroke = null, strokeWidth = 0.25 }) => (
+  `fill="${fill ?? 'none'}"${stroke ? ` stroke="${stroke}" stroke-width="${fixed(strokeWidth)}"` : ''}`
+);
+
+const svgPoints = (points) => points.map(([x, y]) => `${fixed(x)},${fixed(y)}`).join(' ');
+
+function svgShape(shape, defs) {
+  switch (shape.type) {
+    case 'polygon':
+      return `<polygon points="${svgPoints(shape.points)}" ${svgPaint(shape)} stroke-linejoin="round"/>`;
+    case 'line':
+      return `<polyline points="${svgPoints(shape.points)}" ${svgPaint({ ...shape, fill: null })} stroke-linecap="square"/>`;
+    case 'circle':
+      return `<circle cx="${fixed(shape.x)}" cy="${fixed(shape.y)}" r="${fixed(shape.r)}" ${svgPaint(shape)}/>`;
+    case 'text': {
+      const rotate = shape.angle ? ` transform="rotate(${fixed(shape.angle)} ${fixed(shape.x)} ${fixed(shape.y)})"` : '';
+      return `<text x="${fixed(shape.x)}" y="${fixed(shape.y)}" font-size="${fixed(shape.size)}" text-anchor="${shape.anchor ?? 'start'}" fill="${shape.fill ?? '#000000'}"${rotate}>${escapeXml(shape.text)}</text>`;
+    }
+    case 'group': {
+      const [dx, dy] = shape.offset ?? [0, 0];
+      let clip = '';
+      if (shape.clip) {
+        const id = `clip${defs.length}`;
+        const [x, y, width, height] = shape.clip;
+        defs.push(`<clipPath id="${id}"><rect x="${fixed(x)}" y="${fixed(y)}" width="${fixed(width)}" height="${fixed(height)}"/></clipPath>`);
+        clip = ` clip-path="url(#${id})"`;
+      }
+      const inner = shape.shapes.map((child) => svgShape(child, defs)).join('\n');
+      return `<g${clip}><g transform="translate(${fixed(dx)} ${fixed(dy)})">\n${inner}\n</g></g>`;
+    }
+    default:
+      return '';
+  }
+}
+
+/**
+ * Write a drawing as a standalone SVG at true paper size
+ * @param {{ width: number, height: number, shapes: Array }} drawing - Size in millimeters
+ * @returns {string} SVG document
+ */
+export function drawingToSVG({ width, height, shapes }) {
+  const defs = [];
+  const body = shapes.map((shape) => svgShape(shape, defs)).join('\n');
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${fixed(width)}mm" height="${fixed(height)}mm" viewBox="0 0 ${fixed(width)} ${fixed(height)}" font-family="Helvetica, Arial, sans-serif">`,
+    defs.length > 0 ? `<defs>${defs.join('')}</defs>` : '',
+    `<rect width="${fixed(width)}" height="${fixed(height)}" fill="#ffffff"/>`,
+    body,
+    '</svg>',
+    '',
+  ].filter(Boolean).join('\n');
+}
+
+// ============================================
+// PDF
+// ============================================
+//
+// Just enough of PDF 1.4 for plans: vector paths and text in the built-in
+// Helvetica font, which every viewer has, so nothing needs embedding.
+
+// Helvetica advance widths (1/1000 em) for characters 32 to 126, for anchoring text
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+const textWidth = (text, size) => [...text].reduce((sum, char) => (
+  sum + (HELVETICA_WIDTHS[char.charCodeAt(0) - 32] ?? 556)
+), 0) * size / 1000;
+
+// PDF string literal in WinAnsi; characters outside Latin-1 become '?'
+const pdfString = (text) => `(${[...text].map((char) => {
+  const code = char.codePointAt(0);
+  if (char === '(' || char === ')' || char === '\\') return `\\${char}`;
+  if (code >= 32 && code < 127) return char;
+  if (code >= 160 && code < 256) return `\\${code.toString(8)}`;
+  return '?';
+}).join('')})`;
+
+const pdfColor = (hex, operator) => {
+  const value = parseInt(hex.slice(1), 16);
+  return `${[value >> 16, (value >> 8) & 255, value & 255].map((channel) => fixed(channel / 255)).join(' ')} ${operator}`;
+};
+
+// Bezier handle length for quarter circles
+const KAPPA = 0.5523;
+
+/**
+ * Content stream operators for shapes on a page
+ * @param {Array} shapes - Drawing shapes
+ * @param {number} pageHeight - Page height in millimeters, for flipping y
+ * @returns {string[]}
+ */
+function pdfOperators(shapes, pageHeight) {
+  const point = ([x, y]) => `${fixed(x * PT_PER_MM)} ${fixed((pageHeight - y) * PT_PER_MM)}`;
+  const ops = [];
+
+  const paint = ({ fill = null, stroke = null, strokeWidth = 0.25 }, closed) => {
+    if (fill) ops.push(pdfColor(fill, 'rg'));
+    if (stroke) ops.push(pdfColor(stroke, 'RG'), `${fixed(strokeWidth * PT_PER_MM)} w`);
+    if (fill && stroke) ops.push(closed ? 'b' : 'B');
+    else if (fill) ops.push('f');
+    else if (stroke) ops.push(closed ? 's' : 'S');
+    else ops.push('n');
+  };
+
+  shapes.forEach((shape) => {
+    switch (shape.type) {
+      case 'polygon':
+      case 'line':
+        ops.push(`${point(shape.points[0])} m`, ...shape.points.slice(1).map((p) => `${point(p)} l`));
+        paint(shape.type === 'line' ? { ...shape, fill: null } : shape, shape.type === 'polygon');
+        break;
+      case 'circle': {
+        const { x, y, r } = shape;
+        const k = r * KAPPA;
+        ops.push(
+          `${point([x + r, y])} m`,
+          `${point([x + r, y + k])} ${point([x + k, y + r])} ${point([x, y + r])} c`,
+          `${point([x - k, y + r])} ${point([x - r, y + k])} ${point([x - r, y])} c`,
+          `${point([x - r, y - k])} ${point([x - k, y - r])} ${point([x, y - r])} c`,
+          `${point([x + k, y - r])} ${point([x + r, y - k])} ${point([x + r, y])} c`
+        );
+        paint(shape, true);
+        break;
+      }
+      case 'text': {
+        const angle = DEG_TO_RAD * (shape.angle ?? 0);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const shift = textWidth(shape.text, shape.size) * ({ start: 0, middle: 0.5, end: 1 }[shape.anchor ?? 'start']);
+        const origin = [shape.x - cos * shift, shape.y - sin * shift];
+        // Paper y points down and PDF y up, so the text matrix turns the other way
+        ops.push(
+          'BT',
+          pdfColor(shape.fill ?? '#000000', 'rg'),
+          `/F1 ${fixed(shape.size * PT_PER_MM)} Tf`,
+          `${fixed(cos)} ${fixed(-sin)} ${fixed(sin)} ${fixed(cos)} ${point(origin)} Tm`,
+          `${pdfString(shape.text)} Tj`,
+          'ET'
+        );
+        break;
+      }
+      case 'group': {
+        const [dx, dy] = shape.offset ?? [0, 0];
+        ops.push('q');
+        if (shape.clip) {
+          const [x, y, width, height] = shape.clip;
+          ops.push(`${point([x, y + height])} ${fixed(width * PT_PER_MM)} ${fixed(height * PT_PER_MM)} re W n`);
+        }
+        ops.push(`1 0 0 1 ${fixed(dx * PT_PER_MM)} ${fixed(-dy * PT_PER_MM)} cm`);
+        ops.push(...pdfOperators(shape.shapes, pageHeight));
+        ops.push('Q');
+        break;
+      }
+      default:
+        break;
+    }
+  });
+  return ops;
+}
+
+/**
+ * Write drawings as the pages of a PDF document
+ * @param {Array<{ width: number, height: number, shapes: Array }>} pages - Page size in millimeters
+ * @returns {string} PDF file contents; every character is ASCII, so it can go straight into a Blob
+ */
+export function drawingsToPDF(pages) {
+  // Objects 1-3 are the catalog, the page tree and the font; each page adds a page and a content stream
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pages.map((_, index) => `${4 + index * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+  ];
+  pages.forEach(({ width, height, shapes }, index) => {
+    const content = pdfOperators(shapes, height).join('\n');
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${fixed(width * PT_PER_MM)} ${fixed(height * PT_PER_MM)}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + index * 2} 0 R >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+    );
+  });
+
+  let output = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = output.length;
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = output.length;
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return output;
+}
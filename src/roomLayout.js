@@ -0,0 +1,333 @@
+import * as THREE from 'three';
+
+// ============================================
+// ROOM GEOMETRY AND AUTOMATIC LIGHT LAYOUT
+// ============================================
+//
+// A room shell is probed with vertical rays on a grid over its footprint: a
+// cell is inside the room where a ray finds a floor, and the first
+// downward-facing surface above that floor is the cell's ceiling. L-shaped and
+// multi-zone rooms therefore only get cells (and lights) between their walls.
+// Nodes named like light fixtures ("lamp", "pendant", ...) are collected too.
+//
+// Rooms are probed once, in their own coordinates; the result is placed with
+// the item's current transform, so moving a room does not probe it again.
+// Items attached to a room are not part of its shell and are left out.
+// Rooms are assumed to stand upright (rotated about Y only).
+//
+// The layout generator spreads ceiling lights over the inside cells. Lights are
+// at most `maxSpacing` apart and no further apart than 1.5x their height above
+// the floor (the usual rule for even light); more lights are used when a single
+// one would need more than `maxIntensity` to reach the target brightness, up to
+// a fixed number of lights per room.
+
+// Probe grid resolution along the room's longer side
+const MAX_GRID_CELLS = 24;
+const MIN_CELL_SIZE = 0.25;
+// Ray-triangle tests a probe may take; detailed shells get a coarser grid so
+// placing them does not hold up the page
+const MAX_RAY_TESTS = 2e7;
+const MIN_GRID_CELLS = 6;
+// Floors are looked for in the lowest part of the room (fraction of its height)
+const FLOOR_BAND = 0.3;
+// Surfaces lower than this above the floor (meters) are furniture, not ceilings
+const MIN_CEILING_HEIGHT = 1.8;
+// Lights hang at least this far above the floor, however low the ceiling
+const MIN_MOUNT_HEIGHT = 0.5;
+// Lights sit this far below a fixture mesh so the fixture does not swallow them
+const FIXTURE_GAP = 0.05;
+const SPACING_TO_HEIGHT = 1.5;
+// Layout blocks covering less of their area than this are merged into a neighbour
+const MIN_BLOCK_COVERAGE = 0.2;
+// Only the lights covering the largest areas cast shadows
+const MAX_SHADOW_LIGHTS = 4;
+// Large halls get wider spacing rather than more lights than a shader handles well
+const MAX_LAYOUT_LIGHTS = 24;
+
+const FIXTURE_NAME = /(lamp|light|chandelier|pendant|sconce|bulb)/i;
+const NOT_FIXTURE_NAME = /(lightmap|highlight)/i;
+
+const probeCache = new WeakMap();
+
+// ============================================
+// PROBING
+// ============================================
+
+const isProbeMesh = (object) => object.isMesh && !object.userData.lightHelper;
+
+/**
+ * Meshes of a room shell, without the items attached to it (which are rendered
+ * inside the room's object, see sceneTree.js)
+ * @param {THREE.Object3D} root - The room's rendered object, or a node of it
+ * @returns {THREE.Mesh[]}
+ */
+export function roomMeshes(root) {
+  const meshes = [];
+  const visit = (node) => {
+    if (node !== root && node.userData.itemId) return;
+    if (isProbeMesh(node)) meshes.push(node);
+    node.children.forEach(visit);
+  };
+  visit(root);
+  return meshes;
+}
+
+const triangleCount = (mesh) => (mesh.geometry.index ?? mesh.geometry.attributes.position).count / 3;
+
+// Bounding box of the room's meshes in the room's own coordinates
+function localBounds(root, toLocal) {
+  const box = new THREE.Box3();
+  const meshBox = new THREE.Box3();
+  const matrix = new THREE.Matrix4();
+  roomMeshes(root).forEach((mesh) => {
+    if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+    meshBox.copy(mesh.geometry.boundingBox).applyMatrix4(matrix.multiplyMatrices(toLocal, mesh.matrixWorld));
+    box.union(meshBox);
+  });
+  return box;
+}
+
+/**
+ * Probe cells covering a whole box: used for rooms without a detectable floor
+ * @param {THREE.Box3} box - Room bounds in its own coordinates
+ * @param {number} [gridCells] - Cells along the longer side
+ * @returns {{ cellSize: number, cells: Array }}
+ */
+function boxCells(box, gridCells = MAX_GRID_CELLS) {
+  const cellSize = Math.max(MIN_CELL_SIZE, Math.max(box.max.x - box.min.x, box.max.z - box.min.z) / gridCells);
+  const cells = [];
+  for (let x = box.min.x + cellSize / 2; x < box.max.x; x += cellSize) {
+    for (let z = box.min.z + cellSize / 2; z < box.max.z; z += cellSize) {
+      cells.push({ x, z, floorY: box.min.y, ceilingY: box.max.y });
+    }
+  }
+  return { cellSize, cells };
+}
+
+// Top-most nodes named like light fixtures, as points just below each fixture
+function findFixtures(root, toLocal) {
+  const fixtures = [];
+  const visit = (node) => {
+    if (node !== root && node.userData.itemId) return; // attached items
+    if (node !== root && FIXTURE_NAME.test(node.name) && !NOT_FIXTURE_NAME.test(node.name)) {
+      const box = localBounds(node, toLocal);
+      if (!box.isEmpty()) {
+        fixtures.push({ x: (box.min.x + box.max.x) / 2, y: box.min.y - FIXTURE_GAP, z: (box.min.z + box.max.z) / 2 });
+        return;
+      }
+    }
+    node.children.forEach(visit);
+  };
+  visit(root);
+  return fixtures;
+}
+
+/**
+ * Probe a room shell's floor plan, ceiling heights and light fixtures
+ * @param {THREE.Object3D} root - The room's rendered object
+ * @returns {object|null} { cellSize, cells: [{ x, z, floorY, ceilingY }], fixtures: [{ x, y, z }] }
+ *   in the room's own coordinates, or null for an empty model
+ */
+function probeRoom(root) {
+  root.updateWorldMatrix(true, true);
+  const toWorld = root.matrixWorld;
+  const toLocal = toWorld.clone().invert();
+  const box = localBounds(root, toLocal);
+  if (box.isEmpty()) return null;
+
+  const meshes = roomMeshes(root);
+  const raycaster = new THREE.Raycaster();
+  const normal = new THREE.Vector3();
+  // Cast a vertical ray in room coordinates; hits come back with room-space height and normal
+  const cast = (x, y, z, directionY) => {
+    raycaster.set(
+      new THREE.Vector3(x, y, z).applyMatrix4(toWorld),
+      new THREE.Vector3(0, directionY, 0).transformDirection(toWorld)
+    );
+    return raycaster.intersectObjects(meshes, false)
+      .filter((hit) => hit.face)
+      .map((hit) => ({
+        y: hit.point.clone().applyMatrix4(toLocal).y,
+        normalY: normal.copy(hit.face.normal).transformDirection(hit.object.matrixWorld).transformDirection(toLocal).y,
+      }));
+  };
+
+  // Every cell casts two rays, each tested against every triangle at worst
+  const triangles = meshes.reduce((sum, mesh) => sum + triangleCount(mesh), 0);
+  const gridCells = THREE.MathUtils.clamp(Math.floor(Math.sqrt(MAX_RAY_TESTS / (2 * triangles))), MIN_GRID_CELLS, MAX_GRID_CELLS);
+  const { cellSize, cells: grid } = boxCells(box, gridCells);
+  const floorLimit = box.min.y + (box.max.y - box.min.y) * FLOOR_BAND;
+  const cells = [];
+  grid.forEach(({ x, z }) => {
+    const floors = cast(x, box.max.y + 1, z, -1).filter((hit) => hit.normalY > 0.5 && hit.y <= floorLimit);
+    if (floors.length === 0) return;
+    const floorY = Math.min(...floors.map((hit) => hit.y));
+    const ceiling = cast(x, floorY + 0.01, z, 1).find((hit) => hit.normalY < -0.5 && hit.y >= floorY + MIN_CEILING_HEIGHT);
+    cells.push({ x, z, floorY, ceilingY: ceiling ? ceiling.y : null });
+  });
+
+  // With a ceiling over most of the floor, floor without one (a terrace, the
+  // ground around the walls) is outside the room; open-top rooms use their top
+  const covered = cells.filter((cell) => cell.ceilingY !== null);
+  const inside = covered.length >= cells.length / 2
+    ? covered
+    : cells.map((cell) => ({ ...cell, ceilingY: cell.ceilingY ?? box.max.y }));
+
+  return {
+    ...(inside.length > 0 ? { cellSize, cells: inside } : boxCells(box)),
+    fixtures: findFixtures(root, toLocal),
+  };
+}
+
+/**
+ * Room geometry for the layout generator: the (cached) probe of the room plus
+ * its current world transform
+ * @param {THREE.Object3D} root - The room's rendered object, with up-to-date world matrices
+ * @returns {object|null} { cellSize, cells, fixtures, matrix } or null for an empty model
+ */
+export function describeRoom(root) {
+  if (!probeCache.has(root)) probeCache.set(root, probeRoom(root));
+  const probe = probeCache.get(root);
+  return probe && { ...probe, matrix: root.matrixWorld.toArray() };
+}
+
+/**
+ * Room geometry covering a whole bounding box, for rooms that were not probed
+ * @param {object} bounds - Room bounds {minX, maxX, minY, maxY, minZ, maxZ}
+ * @returns {object} Geometry as returned by describeRoom
+ */
+export function boundsGeometry({ minX, maxX, minY, maxY, minZ, maxZ }) {
+  const box = new THREE.Box3(new THREE.Vector3(minX, minY, minZ), new THREE.Vector3(maxX, maxY, maxZ));
+  return { ...boxCells(box), fixtures: [], matrix: new THREE.Matrix4().toArray() };
+}
+
+// ============================================
+// LAYOUT
+// ============================================
+
+/**
+ * Intensity a point light needs to give the floor area below it an average
+ * illuminance of `brightness` (in the same units as a directional light's intensity)
+ * @param {number} brightness - Target floor illuminance
+ * @param {number} area - Floor area lit by the light (m²)
+ * @param {number} height - Light height above the floor (m)
+ * @returns {number} Point light intensity
+ */
+export function intensityForArea(brightness, area, height) {
+  // A disk of the same area receives intensity * solid angle
+  const radius = Math.sqrt(area / Math.PI);
+  const solidAngle = 2 * Math.PI * (1 - height / Math.hypot(height, radius));
+  return solidAngle > 0 ? (brightness * area) / solidAngle : 0;
+}
+
+// Split the cells into blocks at most `spacing` wide and put a light over each block
+function blockPlacements(cells, cellSize, spacing) {
+  const minX = Math.min(...cells.map((cell) => cell.x)) - cellSize / 2;
+  const maxX = Math.max(...cells.map((cell) => cell.x)) + cellSize / 2;
+  const minZ = Math.min(...cells.map((cell) => cell.z)) - cellSize / 2;
+  const maxZ = Math.max(...cells.map((cell) => cell.z)) + cellSize / 2;
+  const columns = Math.max(1, Math.ceil((maxX - minX) / spacing));
+  const rows = Math.max(1, Math.ceil((maxZ - minZ) / spacing));
+  const blockArea = ((maxX - minX) / columns) * ((maxZ - minZ) / rows);
+
+  const blocks = new Map();
+  cells.forEach((cell) => {
+    const column = Math.min(columns - 1, Math.floor(((cell.x - minX) / (maxX - minX)) * columns));
+    const row = Math.min(rows - 1, Math.floor(((cell.z - minZ) / (maxZ - minZ)) * rows));
+    const key = `${column}:${row}`;
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(cell);
+  });
+
+  const placements = [];
+  const leftovers = [];
+  blocks.forEach((blockCells) => {
+    const area = blockCells.length * cellSize * cellSize;
+    if (area < blockArea * MIN_BLOCK_COVERAGE && blocks.size > 1) {
+      leftovers.push(...blockCells);
+      return;
+    }
+    // The light goes over the block's centroid when that is inside the room,
+    // otherwise (e.g. in the corner of an L) over the nearest inside cell
+    const cx = blockCells.reduce((sum, cell) => sum + cell.x, 0) / blockCells.length;
+    const cz = blockCells.reduce((sum, cell) => sum + cell.z, 0) / blockCells.length;
+    const cell = blockCells.reduce((best, candidate) => (
+      Math.hypot(candidate.x - cx, candidate.z - cz) < Math.hypot(best.x - cx, best.z - cz) ? candidate : best
+    ));
+    const centered = Math.abs(cell.x - cx) <= cellSize / 2 && Math.abs(cell.z - cz) <= cellSize / 2;
+    placements.push({ x: centered ? cx : cell.x, z: centered ? cz : cell.z, cell, cellCount: blockCells.length });
+  });
+  if (placements.length === 0) {
+    return blockPlacements(cells, cellSize, Infinity);
+  }
+
+  // Slivers of floor are lit by the nearest light
+  leftovers.forEach((leftover) => {
+    const nearest = placements.reduce((best, candidate) => (
+      Math.hypot(candidate.cell.x - leftover.x, candidate.cell.z - leftover.z)
+        < Math.hypot(best.cell.x - leftover.x, best.cell.z - leftover.z) ? candidate : best
+    ));
+    nearest.cellCount += 1;
+  });
+  return placements;
+}
+
+/**
+ * Generate ceiling lights for a room
+ * @param {object} geometry - Room geometry from describeRoom or boundsGeometry
+ * @param {object} layout - Automatic layout settings of a room preset
+ *   { brightness, ceilingOffset, maxSpacing, maxIntensity, color, castShadow, useFixtures }
+ * @returns {Array} Point lights { position, color, intensity, distance, decay, castShadow } in world space
+ */
+export function generateLightLayout(geometry, layout) {
+  const { cellSize, cells, fixtures } = geometry;
+  if (cells.length === 0) return [];
+  const matrix = new THREE.Matrix4().fromArray(geometry.matrix);
+  const scale = new THREE.Vector3().setFromMatrixScale(matrix);
+  const areaScale = Math.abs(scale.x * scale.z);
+  const lengthScale = Math.sqrt(areaScale);
+  const heightScale = Math.abs(scale.y);
+  const cellArea = cellSize * cellSize * areaScale;
+  const floorArea = cells.length * cellArea;
+
+  // Each light: room-space position, world height above the floor and the floor area it lights
+  let lights;
+  if (layout.useFixtures && fixtures.length > 0) {
+    lights = fixtures.map((fixture) => {
+      const below = cells.reduce((best, cell) => (
+        Math.hypot(cell.x - fixture.x, cell.z - fixture.z) < Math.hypot(best.x - fixture.x, best.z - fixture.z) ? cell : best
+      ));
+      return {
+        position: [fixture.x, fixture.y, fixture.z],
+        height: Math.max(MIN_MOUNT_HEIGHT, (fixture.y - below.floorY) * heightScale),
+        area: floorArea / fixtures.length,
+      };
+    });
+  } else {
+    const mountHeight = (cell) => Math.max(MIN_MOUNT_HEIGHT, (cell.ceilingY - cell.floorY) * heightScale - layout.ceilingOffset);
+    const averageHeight = cells.reduce((sum, cell) => sum + mountHeight(cell), 0) / cells.length;
+    const minSpacing = Math.sqrt(floorArea / MAX_LAYOUT_LIGHTS);
+    let spacing = Math.max(minSpacing, Math.min(layout.maxSpacing, SPACING_TO_HEIGHT * averageHeight));
+    for (;;) {
+      lights = blockPlacements(cells, cellSize, spacing / lengthScale).map(({ x, z, cell, cellCount }) => ({
+        position: [x, cell.ceilingY - layout.ceilingOffset / heightScale, z],
+        height: mountHeight(cell),
+        area: cellCount * cellArea,
+      }));
+      const bright = lights.every((light) => intensityForArea(layout.brightness, light.area, light.height) <= layout.maxIntensity);
+      if (bright || spacing <= minSpacing) break;
+      spacing = Math.max(minSpacing, spacing * 0.8);
+    }
+  }
+
+  const shadowCasters = [...lights].sort((a, b) => b.area - a.area).slice(0, MAX_SHADOW_LIGHTS);
+  return lights.map((light) => ({
+    position: new THREE.Vector3().fromArray(light.position).applyMatrix4(matrix).toArray(),
+    color: layout.color,
+    intensity: Math.min(layout.maxIntensity, intensityForArea(layout.brightness, light.area, light.height)),
+    // Intensities assume physical falloff: unlimited range, inverse-square decay
+    distance: 0,
+    decay: 2,
+    castShadow: layout.castShadow && shadowCasters.includes(light),
+  }));
+}
@@ -0,0 +1,166 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { zipSync, strToU8 } from 'fflate';
+import { isLightItem } from './lightItems';
+import { itemWorldMatrix, hiddenItemIds } from './sceneTree';
+
+// ============================================
+// GLTF SCENE EXPORT
+// ============================================
+
+// Light types glTF can carry through KHR_lights_punctual.
+// Ambient and hemisphere lights have no glTF equivalent and are left out.
+const isPunctualLight = (object) => object.isPointLight || object.isSpotLight || object.isDirectionalLight;
+
+// Lights inside a placed item travel with the item's own node
+function belongsToItem(object) {
+  for (let parent = object.parent; parent; parent = parent.parent) {
+    if (parent.userData.itemId) return true;
+  }
+  return false;
+}
+
+/**
+ * Clone a live light for export. glTF lights shine down their node's -Z axis,
+ * so directional and spot lights are re-oriented towards their target and
+ * given a child target at (0, 0, -1), which is what GLTFExporter expects.
+ * @param {THREE.Light} light - Light from the rendered scene
+ * @returns {THREE.Light} Detached clone with a world-space transform
+ */
+function cloneLightForExport(light) {
+  const clone = light.clone(false);
+  light.updateWorldMatrix(true, false);
+  light.matrixWorld.decompose(clone.position, clone.quaternion, clone.scale);
+
+  if (light.target) {
+    const targetPosition = new THREE.Vector3();
+    light.target.getWorldPosition(targetPosition);
+    clone.lookAt(targetPosition);
+
+    clone.target = new THREE.Object3D();
+    clone.target.position.set(0, 0, -1);
+    clone.add(clone.target);
+  }
+  return clone;
+}
+
+/**
+ * Assemble a standalone THREE.Scene from the rendered scene: one node per placed
+ * model (world transform from the store), optionally the floor, and all punctual lights.
+ * Placed light items are exported as lights at their world transform; rect-area
+ * lights have no glTF equivalent and are skipped. Hidden items are left out.
+ * @param {THREE.Scene} liveScene - The scene rendered by the Canvas
+ * @param {Array} items - Items from the store
+ * @param {object} options
+ * @param {boolean} options.includeFloor - Whether to export the floor plane
+ * @returns {THREE.Scene}
+ */
+export function buildExportScene(liveScene, items, { includeFloor }) {
+  const exportScene = new THREE.Scene();
+  exportScene.name = 'Scene';
+
+  const itemObjects = {};
+  const lights = [];
+  let floor = null;
+  liveScene.traverse((object) => {
+    if (object.userData.itemId) itemObjects[object.userData.itemId] = object;
+    else if (object.name === 'floor') floor = object;
+    else if (isPunctualLight(object) && object.visible && !belongsToItem(object)) lights.push(object);
+  });
+
+  const itemsById = new Map(items.map((item) => [item.id, item]));
+  const hidden = hiddenItemIds(items);
+  items.forEach((item) => {
+    const source = itemObjects[item.id];
+    if (!source || hidden.has(item.id)) return;
+
+    if (isLightItem(item)) {
+      const light = source.getObjectByProperty('isLight', true);
+      if (!light || !isPunctualLight(light)) return;
+      const clone = cloneLightForExport(light);
+      clone.name = item.name;
+      exportScene.add(clone);
+      return;
+    }
+
+    const node = source.clone(true);
+    // Items attached to the model are exported as nodes and lights of their own
+    const attached = [];
+    node.traverse((child) => {
+      if (child !== node && child.userData.itemId) attached.push(child);
+      // Instanced copies are drawn by InstancedModels; their stand-in meshes are hidden
+      if (child.userData.instanceStandIn) child.visible = true;
+    });
+    attached.forEach((child) => child.removeFromParent());
+    node.name = item.name;
+    node.userData = { itemId: item.id, role: item.role };
+    itemWorldMatrix(item, itemsById).decompose(node.position, node.quaternion, node.scale);
+    exportScene.add(node);
+  });
+
+  if (includeFloor && floor) {
+    const floorNode = floor.clone(false);
+    floorNode.name = 'Floor';
+    exportScene.add(floorNode);
+  }
+
+  lights.forEach((light, index) => {
+    const clone = cloneLightForExport(light);
+    clone.name = light.name || `${light.type}_${index}`;
+    exportScene.add(clone);
+  });
+
+  return exportScene;
+}
+
+/**
+ * Split a GLB container into its JSON and binary chunks and rewrite the
+ * buffer to reference an external .bin file
+ * @param {ArrayBuffer} glb - Binary glTF
+ * @param {string} binName - File name for the external buffer
+ * @returns {{ json: object, bin: Uint8Array }}
+ */
+function splitGLB(glb, binName) {
+  const view = new DataView(glb);
+  const jsonLength = view.getUint32(12, true);
+  const jsonText = new TextDecoder().decode(new Uint8Array(glb, 20, jsonLength));
+  const json = JSON.parse(jsonText);
+
+  let bin = new Uint8Array(0);
+  const binOffset = 20 + jsonLength;
+  if (binOffset < glb.byteLength) {
+    const binLength = view.getUint32(binOffset, true);
+    bin = new Uint8Array(glb, binOffset + 8, binLength);
+  }
+
+  if (json.buffers && json.buffers.length > 0) {
+    json.buffers[0].uri = binName;
+  }
+  return { json, bin };
+}
+
+/**
+ * Export the composed scene as glTF 2.0
+ * @param {THREE.Scene} liveScene - The scene rendered by the Canvas
+ * @param {Array} items - Items from the store
+ * @param {object} options
+ * @param {boolean} [options.binary=true] - Single .glb, or .gltf + .bin (delivered as a zip)
+ * @param {boolean} [options.includeFloor=true] - Whether to export the floor plane
+ * @returns {Promise<{ blob: Blob, filename: string }>}
+ */
+export async function exportSceneGLTF(liveScene, items, { binary = true, includeFloor = true } = {}) {
+  const exportScene = buildExportScene(liveScene, items, { includeFloor });
+  const exporter = new GLTFExporter();
+  const glb = await exporter.parseAsync(exportScene, { binary: true, trs: true, onlyVisible: true });
+
+  if (binary) {
+    return { blob: new Blob([glb], { type: 'model/gltf-binary' }), filename: 'scene.glb' };
+  }
+
+  const { json, bin } = splitGLB(glb, 'scene.bin');
+  const archive = zipSync({
+    'scene.gltf': strToU8(JSON.stringify(json, null, 2)),
+    'scene.bin': bin,
+  });
+  return { blob: new Blob([archive], { type: 'application/zip' }), filename: 'scene-gltf.zip' };
+}
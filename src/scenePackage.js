@@ -0,0 +1,185 @@
+import { zip, unzip, strToU8, strFromU8 } from 'fflate';
+
+// ============================================
+// SCENE PACKAGE FORMAT
+// ============================================
+//
+// A saved scene is a zip archive:
+//   scene.json            - manifest: settings, library and items
+//   assets/<sha256>.glb   - each model stored once, keyed by content hash
+//   assets/<sha256>.png   - texture images of material overrides (also .jpg, .webp)
+//
+// Library entries and items reference their model through `assetId`
+// instead of embedding the file, so ten chairs share one asset. Override
+// textures are referenced the same way from `materialOverrides[key].map`.
+
+export const PACKAGE_FORMAT = 'mesh-platform-scene';
+export const PACKAGE_VERSION = 1;
+export const PACKAGE_EXTENSION = '.scene.zip';
+
+const MANIFEST_PATH = 'scene.json';
+const ASSET_DIR = 'assets/';
+const MODEL_TYPE = 'model/gltf-binary';
+// Texture image types by file extension
+const IMAGE_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp' };
+
+// ============================================
+// UTILITY FUNCTIONS
+// ============================================
+
+/**
+ * Compute the SHA-256 content hash of a binary asset
+ * @param {Uint8Array} bytes - Asset contents
+ * @returns {Promise<string>} Lowercase hex digest
+ */
+export async function hashBytes(bytes) {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Read the bytes behind a data:, blob: or http(s) URL
+ * @param {string} url - Model URL as stored on library entries and items
+ * @returns {Promise<Uint8Array>}
+ */
+export async function fetchBytes(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Could not read asset (${response.status})`);
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Check whether a file's contents are a zip archive (scene package)
+ * rather than a legacy JSON scene
+ * @param {Uint8Array} bytes - File contents
+ * @returns {boolean}
+ */
+export function isScenePackage(bytes) {
+  return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+function zipAsync(files) {
+  return new Promise((resolve, reject) => {
+    zip(files, { level: 6 }, (err, data) => (err ? reject(err) : resolve(data)));
+  });
+}
+
+function unzipAsync(bytes) {
+  return new Promise((resolve, reject) => {
+    unzip(bytes, (err, data) => (err ? reject(err) : resolve(data)));
+  });
+}
+
+// ============================================
+// PACK / UNPACK
+// ============================================
+
+/**
+ * Pack scene data into a zip package with deduplicated assets
+ * @param {object} sceneData - Scene in the in-memory shape ({ library, items, ...settings }),
+ *   where library entries and items carry a model `url`
+ * @returns {Promise<Blob>} The zip package
+ */
+export async function packScene(sceneData) {
+  const { library = [], items = [], ...settings } = sceneData;
+  const files = {};
+  const assets = {};
+  const assetIdByUrl = new Map();
+
+  const resolveAssetId = async (url, name, extension = 'glb', type = MODEL_TYPE) => {
+    if (assetIdByUrl.has(url)) return assetIdByUrl.get(url);
+
+    const bytes = await fetchBytes(url);
+    const assetId = await hashBytes(bytes);
+    if (!assets[assetId]) {
+      const path = `${ASSET_DIR}${assetId}.${extension}`;
+      assets[assetId] = { path, name, size: bytes.byteLength, ...(type !== MODEL_TYPE && { type }) };
+      files[path] = bytes;
+    }
+    assetIdByUrl.set(url, assetId);
+    return assetId;
+  };
+
+  const stripUrl = async (entry) => {
+    const { url: _url, ...rest } = entry;
+    return { ...rest, assetId: await resolveAssetId(entry.url, entry.name) };
+  };
+
+  // Override textures keep their name; the image goes into the package like a model
+  const packTextures = async (item) => {
+    if (!item.materialOverrides) return item;
+    const materialOverrides = {};
+    for (const [key, override] of Object.entries(item.materialOverrides)) {
+      if (!override.map) {
+        materialOverrides[key] = override;
+        continue;
+      }
+      const extension = override.map.name.split('.').pop().toLowerCase();
+      const format = extension in IMAGE_TYPES ? extension : 'png';
+      const assetId = await resolveAssetId(override.map.url, override.map.name, format, IMAGE_TYPES[format]);
+      materialOverrides[key] = { ...override, map: { name: override.map.name, assetId } };
+    }
+    return { ...item, materialOverrides };
+  };
+
+  const packedLibrary = [];
+  for (const entry of library) packedLibrary.push(await stripUrl(entry));
+  const packedItems = [];
+  // Placed lights have no model to pack
+  for (const item of items) packedItems.push(await packTextures(item.url ? await stripUrl(item) : item));
+
+  const manifest = {
+    format: PACKAGE_FORMAT,
+    packageVersion: PACKAGE_VERSION,
+    ...settings,
+    assets,
+    library: packedLibrary,
+    items: packedItems,
+  };
+  files[MANIFEST_PATH] = strToU8(JSON.stringify(manifest, null, 2));
+
+  return new Blob([await zipAsync(files)], { type: 'application/zip' });
+}
+
+/**
+ * Unpack a zip package back into the in-memory scene shape.
+ * Each asset becomes one object URL shared by every entry that references it.
+ * @param {Uint8Array} bytes - Package contents
+ * @returns {Promise<object>} Scene data with `url` restored on library entries and items
+ */
+export async function unpackScene(bytes) {
+  const files = await unzipAsync(bytes);
+  if (!files[MANIFEST_PATH]) throw new Error(`Package has no ${MANIFEST_PATH}`);
+
+  const manifest = JSON.parse(strFromU8(files[MANIFEST_PATH]));
+  if (manifest.format !== PACKAGE_FORMAT) throw new Error('Not a scene package');
+
+  const { assets = {}, library = [], items = [], format: _format, packageVersion: _version, ...settings } = manifest;
+
+  // Assets missing from the archive leave `url` unset; the scene validator reports and repairs them
+  const urlByAssetId = {};
+  Object.entries(assets).forEach(([assetId, asset]) => {
+    const data = files[asset.path];
+    if (data) {
+      urlByAssetId[assetId] = URL.createObjectURL(new Blob([data], { type: asset.type ?? MODEL_TYPE }));
+    }
+  });
+
+  const restoreUrl = (entry) => (entry.assetId ? { ...entry, url: urlByAssetId[entry.assetId] } : entry);
+  const restoreTextures = (item) => {
+    if (!item.materialOverrides || typeof item.materialOverrides !== 'object') return item;
+    const materialOverrides = {};
+    Object.entries(item.materialOverrides).forEach(([key, override]) => {
+      materialOverrides[key] = override?.map?.assetId
+        ? { ...override, map: { name: override.map.name, url: urlByAssetId[override.map.assetId] } }
+        : override;
+    });
+    return { ...item, materialOverrides };
+  };
+
+  return {
+    ...settings,
+    library: library.map(restoreUrl),
+    items: items.map((item) => restoreTextures(restoreUrl(item))),
+  };
+}
@@ -0,0 +1,584 @@
+import { v4 as uuidv4 } from 'uuid';
+import { DEFAULT_SNAP_SETTINGS } from './snapping';
+import { isValidRole, guessRole, legacyRole } from './itemRoles';
+import { sanitizeLightingPresets, findLightingPreset, ROOM_LIGHTING_OFF } from './lightingPresets';
+import { isLightItem, lightTypeLabel, sanitizeLight } from './lightItems';
+import { DEFAULT_SUN_SETTINGS, isValidSunValue } from './sunPosition';
+import { DEFAULT_SHADOW_SETTINGS, SHADOW_QUALITIES, SHADOW_TYPES } from './shadows';
+import { sanitizeMaterialOverrides } from './materialOverrides';
+import { DEFAULT_LENGTH_UNIT, isValidLengthUnit } from './units';
+import { isValidFov, DEFAULT_VIEW } from './cameraViews';
+
+// ============================================
+// SCENE SCHEMA VERSIONS
+// ============================================
+//
+// 0 - README format: library, items and environment only (no lighting)
+// 1 - adds room/furniture lighting presets, intensities and room brightness
+// 2 - adds the explicit `schemaVersion` field
+// 3 - adds named item groups
+// 4 - adds snap settings
+// 5 - adds a `role` to library entries and items
+// 6 - adds custom lighting presets
+// 7 - adds placeable light items
+// 8 - adds sun settings
+// 9 - adds shadow settings
+// 10 - adds per-item material variants and overrides
+// 11 - adds the length unit and kept measurements
+// 12 - adds camera bookmarks
+// 13 - adds optional floor plan labels to items
+// 14 - lets any item be attached to a model; adds item display names, hidden and locked (current)
+
+export const SCHEMA_VERSION = 14;
+
+export const ENVIRONMENT_PRESETS = ['studio', 'city', 'dawn', 'sunset', 'apartment'];
+
+// Default values for top-level scene settings
+const SETTING_DEFAULTS = {
+  environment: 'studio',
+  roomLightingPreset: 'warm-evening',
+  furnitureLightingPreset: 'default',
+  roomLightIntensity: 1.0,
+  furnitureLightIntensity: 1.0,
+  roomMaterialBrightness: 1.0,
+  lengthUnit: DEFAULT_LENGTH_UNIT,
+};
+
+const LIGHTING_KEYS = [
+  'roomLightingPreset',
+  'furnitureLightingPreset',
+  'roomLightIntensity',
+  'furnitureLightIntensity',
+  'roomMaterialBrightness',
+];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isVector3 = (value) => Array.isArray(value) && value.length === 3 && value.every(isFiniteNumber);
+
+// ============================================
+// MIGRATIONS
+// ============================================
+
+/**
+ * Guess the schema version of a file written before `schemaVersion` existed
+ * @param {object} data - Parsed scene data
+ * @returns {number}
+ */
+export function detectSchemaVersion(data) {
+  if (typeof data.schemaVersion === 'number') return data.schemaVersion;
+  return LIGHTING_KEYS.some((key) => key in data) ? 1 : 0;
+}
+
+// Each migration upgrades a scene from version N to N + 1
+const MIGRATIONS = {
+  // Pre-lighting scenes were lit by the furniture rig alone; keep them that way
+  0: (data) => ({
+    ...data,
+    roomLightingPreset: ROOM_LIGHTING_OFF,
+    furnitureLightingPreset: 'default',
+    roomLightIntensity: 1.0,
+    furnitureLightIntensity: 1.0,
+    roomMaterialBrightness: 1.0,
+  }),
+  1: (data) => ({ ...data }),
+  2: (data) => ({ ...data, groups: [] }),
+  3: (data) => ({ ...data, snapSettings: { ...DEFAULT_SNAP_SETTINGS } }),
+  // Before roles, only a model named exactly "room.glb" was treated as a room
+  4: (data) => {
+    const withRole = (entry) => (isPlainObject(entry) ? { ...entry, role: legacyRole(entry.name) } : entry);
+    return {
+      ...data,
+      library: Array.isArray(data.library) ? data.library.map(withRole) : data.library,
+      items: Array.isArray(data.items) ? data.items.map(withRole) : data.items,
+    };
+  },
+  5: (data) => ({ ...data, customLightingPresets: [] }),
+  6: (data) => ({ ...data }),
+  7: (data) => ({ ...data, sunSettings: { ...DEFAULT_SUN_SETTINGS } }),
+  8: (data) => ({ ...data, shadowSettings: { ...DEFAULT_SHADOW_SETTINGS } }),
+  9: (data) => ({ ...data }),
+  10: (data) => ({ ...data, lengthUnit: DEFAULT_LENGTH_UNIT, measurements: [] }),
+  11: (data) => ({ ...data, cameraBookmarks: [] }),
+  12: (data) => ({ ...data }),
+  13: (data) => ({ ...data }),
+};
+
+/**
+ * Upgrade scene data to the current schema version
+ * @param {object} data - Parsed scene data of any known version
+ * @returns {object} Scene data at SCHEMA_VERSION
+ */
+export function migrateScene(data) {
+  let version = detectSchemaVersion(data);
+  let migrated = data;
+  while (version < SCHEMA_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version += 1;
+  }
+  return { ...migrated, schemaVersion: SCHEMA_VERSION };
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+
+// Human-readable label for an item in messages, e.g. items[2] "chair.glb"
+function describeItem(item, index) {
+  const name = isPlainObject(item) && typeof item.name === 'string' ? ` "${item.name}"` : '';
+  return `items[${index}]${name}`;
+}
+
+/**
+ * Validate scene settings, repairing bad values with defaults.
+ * Lighting presets must name a built-in or one of the scene's custom presets.
+ */
+function validateSettings(data, customPresets, warnings) {
+  const settings = {};
+
+  const environment = data.environment;
+  if (ENVIRONMENT_PRESETS.includes(environment)) {
+    settings.environment = environment;
+  } else {
+    settings.environment = SETTING_DEFAULTS.environment;
+    if (environment !== undefined) {
+      warnings.push(`environment: unknown preset ${JSON.stringify(environment)}, reset to "${settings.environment}"`);
+    }
+  }
+
+  [['roomLightingPreset', 'room'], ['furnitureLightingPreset', 'furniture']].forEach(([key, kind]) => {
+    const value = data[key];
+    const known = (kind === 'room' && value === ROOM_LIGHTING_OFF) || findLightingPreset(kind, value, customPresets);
+    if (known) {
+      settings[key] = value;
+    } else {
+      settings[key] = SETTING_DEFAULTS[key];
+      warnings.push(`${key}: unknown preset ${JSON.stringify(value)}, reset to "${settings[key]}"`);
+    }
+  });
+
+  ['roomLightIntensity', 'furnitureLightIntensity', 'roomMaterialBrightness'].forEach((key) => {
+    if (isFiniteNumber(data[key]) && data[key] >= 0) {
+      settings[key] = data[key];
+    } else {
+      settings[key] = SETTING_DEFAULTS[key];
+      warnings.push(`${key}: expected a number >= 0, got ${JSON.stringify(data[key])}, reset to ${settings[key]}`);
+    }
+  });
+
+  if (isValidLengthUnit(data.lengthUnit)) {
+    settings.lengthUnit = data.lengthUnit;
+  } else {
+    settings.lengthUnit = SETTING_DEFAULTS.lengthUnit;
+    warnings.push(`lengthUnit: unknown unit ${JSON.stringify(data.lengthUnit)}, reset to "${settings.lengthUnit}"`);
+  }
+
+  return settings;
+}
+
+/**
+ * Validate library entries. Entries without a model are dropped.
+ */
+function validateLibrary(library, warnings) {
+  const valid = [];
+  library.forEach((entry, index) => {
+    if (!isPlainObject(entry)) {
+      warnings.push(`library[${index}]: not an object, removed`);
+      return;
+    }
+    if (typeof entry.url !== 'string' || !entry.url) {
+      warnings.push(`library[${index}] "${entry.name}": model data is missing, removed`);
+      return;
+    }
+    const name = typeof entry.name === 'string' && entry.name ? entry.name : `model-${index + 1}.glb`;
+    if (name !== entry.name) warnings.push(`library[${index}]: missing name, set to "${name}"`);
+    if (valid.some((other) => other.url === entry.url)) {
+      warnings.push(`library[${index}] "${name}": duplicate entry, removed`);
+      return;
+    }
+    const role = isValidRole(entry.role) ? entry.role : guessRole(name);
+    if (role !== entry.role) warnings.push(`library[${index}] "${name}": invalid role ${JSON.stringify(entry.role)}, set to "${role}"`);
+    valid.push({ ...entry, name, role });
+  });
+  return valid;
+}
+
+/**
+ * Validate a light item's settings. Lights have no model, url or role.
+ * @returns {object|null} The repaired item, or null when it has to be removed
+ */
+function validateLightItem(item, label, warnings) {
+  const light = sanitizeLight(item.light, label, warnings);
+  if (!light) {
+    warnings.push(`${label}: unknown light type ${JSON.stringify(item.light?.type)}, removed`);
+    return null;
+  }
+  const { url: _url, assetId: _assetId, role: _role, ...rest } = item;
+  const repaired = { ...rest, light };
+  if (typeof repaired.name !== 'string' || !repaired.name) {
+    repaired.name = `${lightTypeLabel(light.type)} Light`;
+    warnings.push(`${label}: missing name, set to "${repaired.name}"`);
+  }
+  return repaired;
+}
+
+/**
+ * Validate placed items against the library, repairing what can be repaired:
+ * missing ids or transforms get defaults, and an item whose asset is missing
+ * from the library is re-linked by name or has its own model re-added.
+ * Lights attached to a model that did not survive are detached.
+ */
+function validateItems(items, library, warnings) {
+  const valid = [];
+  const labels = [];
+  const seenIds = new Set();
+
+  items.forEach((item, index) => {
+    const label = describeItem(item, index);
+    if (!isPlainObject(item)) {
+      warnings.push(`${label}: not an object, removed`);
+      return;
+    }
+    let repaired = { ...item };
+
+    if (isLightItem(item)) {
+      repaired = validateLightItem(item, label, warnings);
+      if (!repaired) return;
+    } else {
+      // Resolve the model the item points at
+      const byUrl = library.find((entry) => entry.url === item.url);
+      if (!byUrl) {
+        const byAsset = item.assetId && library.find((entry) => entry.assetId === item.assetId);
+        const byName = library.find((entry) => entry.name === item.name);
+        const match = byAsset || byName;
+        if (typeof item.url === 'string' && item.url) {
+          const name = typeof item.name === 'string' && item.name ? item.name : `model-${library.length + 1}.glb`;
+          const role = isValidRole(item.role) ? item.role : guessRole(name);
+          library.push({ name, url: item.url, role, ...(item.assetId && { assetId: item.assetId }) });
+          warnings.push(`${label}: library asset was missing, re-added from the item`);
+        } else if (match) {
+          repaired.url = match.url;
+          warnings.push(`${label}: model reference was missing, re-linked to library entry "${match.name}"`);
+        } else {
+          warnings.push(`${label}: model is missing from the library, removed`);
+          return;
+        }
+      }
+
+      if (typeof repaired.name !== 'string' || !repaired.name) {
+        const entry = library.find((libItem) => libItem.url === repaired.url);
+        repaired.name = entry ? entry.name : 'Untitled';
+        warnings.push(`${label}: missing name, set to "${repaired.name}"`);
+      }
+
+      if (!isValidRole(repaired.role)) {
+        const entry = library.find((libItem) => libItem.url === repaired.url);
+        repaired.role = entry ? entry.role : guessRole(repaired.name);
+        warnings.push(`${label}.role: invalid value ${JSON.stringify(item.role)}, set to "${repaired.role}"`);
+      }
+
+      // Optional look of this item: a material variant name and material overrides
+      if (repaired.materialVariant !== undefined && repaired.materialVariant !== null && typeof repaired.materialVariant !== 'string') {
+        warnings.push(`${label}.materialVariant: invalid value ${JSON.stringify(item.materialVariant)}, reset to the default look`);
+        repaired.materialVariant = null;
+      }
+      if (repaired.materialOverrides !== undefined) {
+        repaired.materialOverrides = sanitizeMaterialOverrides(repaired.materialOverrides, label, warnings);
+      }
+    }
+
+    if (typeof repaired.id !== 'string' || !repaired.id || seenIds.has(repaired.id)) {
+      const reason = seenIds.has(repaired.id) ? 'duplicate id' : 'missing id';
+      repaired.id = uuidv4();
+      warnings.push(`${label}: ${reason}, assigned a new one`);
+    }
+    seenIds.add(repaired.id);
+
+    // Optional names shown in the editor and on floor plans instead of the item name
+    ['displayName', 'label'].forEach((key) => {
+      if (repaired[key] !== undefined && typeof repaired[key] !== 'string') {
+        warnings.push(`${label}.${key}: invalid value ${JSON.stringify(item[key])}, removed`);
+        delete repaired[key];
+      }
+    });
+    // Optional outliner flags (see sceneTree.js)
+    ['hidden', 'locked'].forEach((key) => {
+      if (repaired[key] !== undefined && typeof repaired[key] !== 'boolean') {
+        warnings.push(`${label}.${key}: invalid value ${JSON.stringify(item[key])}, set to false`);
+        repaired[key] = false;
+      }
+    });
+
+    if (!isVector3(repaired.position)) {
+      if (repaired.position !== undefined) warnings.push(`${label}.position: expected [x, y, z], reset to [0, 0, 0]`);
+      else warnings.push(`${label}.position: missing, set to [0, 0, 0]`);
+      repaired.position = [0, 0, 0];
+    }
+    if (!isVector3(repaired.rotation)) {
+      if (repaired.rotation !== undefined) warnings.push(`${label}.rotation: expected [x, y, z], reset to [0, 0, 0]`);
+      else warnings.push(`${label}.rotation: missing, set to [0, 0, 0]`);
+      repaired.rotation = [0, 0, 0];
+    }
+    if (isFiniteNumber(repaired.scale) && repaired.scale > 0) {
+      repaired.scale = [repaired.scale, repaired.scale, repaired.scale];
+      warnings.push(`${label}.scale: single number expanded to uniform scale`);
+    } else if (!isVector3(repaired.scale)) {
+      if (repaired.scale !== undefined) warnings.push(`${label}.scale: expected [x, y, z], reset to [1, 1, 1]`);
+      else warnings.push(`${label}.scale: missing, set to [1, 1, 1]`);
+      repaired.scale = [1, 1, 1];
+    }
+
+    valid.push(repaired);
+    labels.push(label);
+  });
+
+  valid.forEach((item, index) => {
+    if (item.attachedTo === undefined || item.attachedTo === null) return;
+    const parent = valid.find((other) => other.id === item.attachedTo);
+    if (!parent || isLightItem(parent)) {
+      warnings.push(`${labels[index]}.attachedTo: ${JSON.stringify(item.attachedTo)} is not a placed model, detached`);
+      valid[index] = { ...item, attachedTo: null };
+    }
+  });
+  // An item cannot end up attached to itself through its parents
+  valid.forEach((item, index) => {
+    const byId = new Map(valid.map((other) => [other.id, other]));
+    const seen = new Set([item.id]);
+    for (let parent = byId.get(item.attachedTo); parent; parent = byId.get(parent.attachedTo)) {
+      if (seen.has(parent.id)) {
+        warnings.push(`${labels[index]}.attachedTo: attachments loop back to this item, detached`);
+        valid[index] = { ...item, attachedTo: null };
+        return;
+      }
+      seen.add(parent.id);
+    }
+  });
+
+  return valid;
+}
+
+/**
+ * Validate groups against the validated items. Unknown members are dropped,
+ * an item keeps only its first group, and groups left empty are removed.
+ */
+function validateGroups(groups, items, warnings) {
+  if (!Array.isArray(groups)) {
+    warnings.push('groups: expected an array, groups were discarded');
+    return [];
+  }
+
+  const itemIds = new Set(items.map((item) => item.id));
+  const grouped = new Set();
+  const valid = [];
+
+  groups.forEach((group, index) => {
+    const label = `groups[${index}]`;
+    if (!isPlainObject(group) || !Array.isArray(group.itemIds)) {
+      warnings.push(`${label}: expected { name, itemIds }, removed`);
+      return;
+    }
+    const members = group.itemIds.filter((id) => itemIds.has(id) && !grouped.has(id));
+    if (members.length < group.itemIds.length) {
+      warnings.push(`${label}: ${group.itemIds.length - members.length} unknown or already grouped item(s) removed`);
+    }
+    if (members.length === 0) {
+      warnings.push(`${label}: no items left, removed`);
+      return;
+    }
+    members.forEach((id) => grouped.add(id));
+
+    const name = typeof group.name === 'string' && group.name ? group.name : `Group ${valid.length + 1}`;
+    if (name !== group.name) warnings.push(`${label}: missing name, set to "${name}"`);
+    const id = typeof group.id === 'string' && group.id ? group.id : uuidv4();
+    valid.push({ ...group, id, name, itemIds: members });
+  });
+
+  return valid;
+}
+
+/**
+ * Validate kept measurements: both end points must be [x, y, z]
+ */
+function validateMeasurements(measurements, warnings) {
+  if (!Array.isArray(measurements)) {
+    warnings.push('measurements: expected an array, measurements were discarded');
+    return [];
+  }
+  const valid = [];
+  const seenIds = new Set();
+  measurements.forEach((measurement, index) => {
+    if (!isPlainObject(measurement) || !isVector3(measurement.start) || !isVector3(measurement.end)) {
+      warnings.push(`measurements[${index}]: expected { start: [x, y, z], end: [x, y, z] }, removed`);
+      return;
+    }
+    let id = measurement.id;
+    if (typeof id !== 'string' || !id || seenIds.has(id)) {
+      id = uuidv4();
+      warnings.push(`measurements[${index}]: missing or duplicate id, assigned a new one`);
+    }
+    seenIds.add(id);
+    valid.push({ id, start: measurement.start, end: measurement.end });
+  });
+  return valid;
+}
+
+/**
+ * Validate camera bookmarks: position and target must be [x, y, z]; a bad field
+ * of view or name is repaired
+ */
+function validateCameraBookmarks(bookmarks, warnings) {
+  if (!Array.isArray(bookmarks)) {
+    warnings.push('cameraBookmarks: expected an array, bookmarks were discarded');
+    return [];
+  }
+  const valid = [];
+  const seenIds = new Set();
+  bookmarks.forEach((bookmark, index) => {
+    const label = `cameraBookmarks[${index}]`;
+    if (!isPlainObject(bookmark) || !isVector3(bookmark.position) || !isVector3(bookmark.target)) {
+      warnings.push(`${label}: expected { name, position: [x, y, z], target: [x, y, z], fov }, removed`);
+      return;
+    }
+    const repaired = { ...bookmark };
+    if (typeof repaired.id !== 'string' || !repaired.id || seenIds.has(repaired.id)) {
+      repaired.id = uuidv4();
+      warnings.push(`${label}: missing or duplicate id, assigned a new one`);
+    }
+    seenIds.add(repaired.id);
+    if (typeof repaired.name !== 'string' || !repaired.name) {
+      repaired.name = `View ${valid.length + 1}`;
+      warnings.push(`${label}: missing name, set to "${repaired.name}"`);
+    }
+    if (!isValidFov(repaired.fov)) {
+      warnings.push(`${label}.fov: invalid value ${JSON.stringify(bookmark.fov)}, reset to ${DEFAULT_VIEW.fov}`);
+      repaired.fov = DEFAULT_VIEW.fov;
+    }
+    valid.push(repaired);
+  });
+  return valid;
+}
+
+/**
+ * Validate snap settings: flags must be booleans and steps positive numbers
+ */
+function validateSnapSettings(snap, warnings) {
+  if (!isPlainObject(snap)) {
+    warnings.push('snapSettings: expected an object, reset to defaults');
+    return { ...DEFAULT_SNAP_SETTINGS };
+  }
+  const valid = {};
+  Object.entries(DEFAULT_SNAP_SETTINGS).forEach(([key, fallback]) => {
+    const value = snap[key];
+    const ok = typeof fallback === 'boolean' ? typeof value === 'boolean' : isFiniteNumber(value) && value > 0;
+    valid[key] = ok ? value : fallback;
+    if (!ok) warnings.push(`snapSettings.${key}: invalid value ${JSON.stringify(value)}, reset to ${fallback}`);
+  });
+  valid.gridDivisions = Math.round(valid.gridDivisions);
+  return valid;
+}
+
+/**
+ * Validate sun settings against the ranges in sunPosition.js
+ */
+function validateSunSettings(sun, warnings) {
+  if (!isPlainObject(sun)) {
+    warnings.push('sunSettings: expected an object, reset to defaults');
+    return { ...DEFAULT_SUN_SETTINGS };
+  }
+  const valid = {};
+  Object.entries(DEFAULT_SUN_SETTINGS).forEach(([key, fallback]) => {
+    const ok = isValidSunValue(key, sun[key]);
+    valid[key] = ok ? sun[key] : fallback;
+    if (!ok) warnings.push(`sunSettings.${key}: invalid value ${JSON.stringify(sun[key])}, reset to ${JSON.stringify(fallback)}`);
+  });
+  return valid;
+}
+
+/**
+ * Validate shadow settings: a known quality level and filtering type
+ */
+function validateShadowSettings(shadow, warnings) {
+  if (!isPlainObject(shadow)) {
+    warnings.push('shadowSettings: expected an object, reset to defaults');
+    return { ...DEFAULT_SHADOW_SETTINGS };
+  }
+  const options = { quality: SHADOW_QUALITIES, type: SHADOW_TYPES };
+  const valid = {};
+  Object.entries(DEFAULT_SHADOW_SETTINGS).forEach(([key, fallback]) => {
+    const ok = options[key].some((option) => option.value === shadow[key]);
+    valid[key] = ok ? shadow[key] : fallback;
+    if (!ok) warnings.push(`shadowSettings.${key}: unknown value ${JSON.stringify(shadow[key])}, reset to ${JSON.stringify(fallback)}`);
+  });
+  return valid;
+}
+
+/**
+ * Migrate and validate parsed scene data before it reaches the store.
+ * @param {*} data - Parsed scene file contents
+ * @returns {{ scene: object|null, errors: string[], warnings: string[] }}
+ *   `errors` are fatal and leave `scene` null; `warnings` list every repair made
+ */
+export function prepareScene(data) {
+  const errors = [];
+  const warnings = [];
+
+  if (!isPlainObject(data)) {
+    errors.push('Scene file must contain a JSON object');
+    return { scene: null, errors, warnings };
+  }
+  if ('schemaVersion' in data && (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 0)) {
+    errors.push(`schemaVersion: expected a non-negative integer, got ${JSON.stringify(data.schemaVersion)}`);
+  } else if (data.schemaVersion > SCHEMA_VERSION) {
+    errors.push(`schemaVersion: ${data.schemaVersion} is newer than this editor supports (${SCHEMA_VERSION})`);
+  }
+  if (data.items !== undefined && !Array.isArray(data.items)) errors.push('items: expected an array');
+  if (data.library !== undefined && !Array.isArray(data.library)) errors.push('library: expected an array');
+  if (errors.length > 0) return { scene: null, errors, warnings };
+
+  const migrated = migrateScene(data);
+  const library = validateLibrary(migrated.library || [], warnings);
+  const items = validateItems(migrated.items || [], library, warnings);
+  const groups = validateGroups(migrated.groups ?? [], items, warnings);
+  const customLightingPresets = sanitizeLightingPresets(migrated.customLightingPresets ?? [], 'customLightingPresets', warnings);
+
+  return {
+    scene: {
+      ...migrated,
+      ...validateSettings(migrated, customLightingPresets, warnings),
+      library,
+      items,
+      groups,
+      customLightingPresets,
+      snapSettings: validateSnapSettings(migrated.snapSettings, warnings),
+      sunSettings: validateSunSettings(migrated.sunSettings, warnings),
+      shadowSettings: validateShadowSettings(migrated.shadowSettings, warnings),
+      measurements: validateMeasurements(migrated.measurements ?? [], warnings),
+      cameraBookmarks: validateCameraBookmarks(migrated.cameraBookmarks ?? [], warnings),
+    },
+    errors,
+    warnings,
+  };
+}
+
+/**
+ * Migrate and validate copied items (see itemCopies.js) before they are pasted.
+ * Attachments to items outside the copy are dropped.
+ * @param {*} data - { schemaVersion, library, items }
+ * @returns {{ library: Array, items: Array, errors: string[], warnings: string[] }}
+ *   `library` holds the validated entries the items use
+ */
+export function prepareItems(data) {
+  const errors = [];
+  const warnings = [];
+  if (!isPlainObject(data) || !Array.isArray(data.items) || !Array.isArray(data.library)) {
+    errors.push('Copied items must be an object with `items` and `library` arrays');
+  } else if (!Number.isInteger(data.schemaVersion) || data.schemaVersion < 0 || data.schemaVersion > SCHEMA_VERSION) {
+    errors.push(`schemaVersion: ${JSON.stringify(data.schemaVersion)} is not supported by this editor (${SCHEMA_VERSION})`);
+  }
+  if (errors.length > 0) return { library: [], items: [], errors, warnings };
+
+  const migrated = migrateScene({ schemaVersion: data.schemaVersion, library: data.library, items: data.items });
+  const library = validateLibrary(migrated.library, warnings);
+  const items = validateItems(migrated.items, library, warnings);
+  return { library, items, errors, warnings };
+}
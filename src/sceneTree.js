@@ -0,0 +1,149 @@
+import * as THREE from 'three';
+import { isLightItem } from './lightItems';
+
+// ============================================
+// SCENE TREE
+// ============================================
+//
+// Any item can be attached to a placed model: a light to its fixture, a lamp to
+// the table it stands on. `attachedTo` holds the parent's id, and the item's
+// position/rotation/scale are then relative to the parent, so it moves with it.
+// Lights cannot have children. Items also carry optional outliner state:
+//   displayName - name shown in the editor instead of the model's file name
+//   hidden      - not drawn, exported or selectable; hides everything attached to it too
+//   locked      - cannot be selected, so no gizmo or panel edits reach it
+
+/**
+ * Name shown for an item in the editor
+ * @param {object} item - Item from the store
+ * @returns {string} Its display name, or its name
+ */
+export function itemDisplayName(item) {
+  return (typeof item.displayName === 'string' && item.displayName.trim()) || item.name;
+}
+
+/**
+ * Ids of everything attached to an item, directly or further down
+ * @param {Array} items - Items from the store
+ * @param {string} id - Item id
+ * @returns {Set<string>}
+ */
+export function descendantIds(items, id) {
+  const found = new Set();
+  let frontier = [id];
+  while (frontier.length > 0) {
+    const parents = new Set(frontier);
+    frontier = items
+      .filter((item) => parents.has(item.attachedTo) && !found.has(item.id) && item.id !== id)
+      .map((item) => item.id);
+    frontier.forEach((childId) => found.add(childId));
+  }
+  return found;
+}
+
+/**
+ * Whether an item may be attached to a parent
+ * @param {Array} items - Items from the store
+ * @param {string} id - Item to attach
+ * @param {string|null} parentId - New parent, or null to detach
+ * @returns {boolean} False for lights as parents and for loops
+ */
+export function canAttach(items, id, parentId) {
+  if (parentId === null) return true;
+  const parent = items.find((item) => item.id === parentId);
+  return Boolean(parent) && !isLightItem(parent) && parentId !== id && !descendantIds(items, id).has(parentId);
+}
+
+/**
+ * Matrix of an item's own transform, relative to its parent
+ * @param {object} item - Item from the store
+ * @returns {THREE.Matrix4}
+ */
+export function itemMatrix(item) {
+  return new THREE.Matrix4().compose(
+    new THREE.Vector3().fromArray(item.position),
+    new THREE.Quaternion().setFromEuler(new THREE.Euler(...item.rotation)),
+    new THREE.Vector3().fromArray(item.scale)
+  );
+}
+
+/**
+ * World matrix of an item from the transforms in the store, through its parents
+ * @param {object} item - Item from the store
+ * @param {Map<string, object>} itemsById - All items by id
+ * @returns {THREE.Matrix4}
+ */
+export function itemWorldMatrix(item, itemsById) {
+  const matrix = itemMatrix(item);
+  const parent = item.attachedTo && itemsById.get(item.attachedTo);
+  return parent ? itemWorldMatrix(parent, itemsById).multiply(matrix) : matrix;
+}
+
+/**
+ * Item transform fields for a matrix
+ * @param {THREE.Matrix4} matrix
+ * @returns {{ position: number[], rotation: number[], scale: number[] }}
+ */
+export function matrixToTransform(matrix) {
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  const scale = new THREE.Vector3();
+  matrix.decompose(position, quaternion, scale);
+  const rotation = new THREE.Euler().setFromQuaternion(quaternion);
+  return { position: position.toArray(), rotation: [rotation.x, rotation.y, rotation.z], scale: scale.toArray() };
+}
+
+/**
+ * Transform that keeps an item where it is in the world under a new parent
+ * @param {Array} items - Items from the store
+ * @param {string} id - Item to move
+ * @param {string|null} parentId - New parent, or null for the scene
+ * @returns {{ position: number[], rotation: number[], scale: number[] }}
+ */
+export function reparentTransform(items, id, parentId) {
+  const itemsById = new Map(items.map((item) => [item.id, item]));
+  const local = itemWorldMatrix(itemsById.get(id), itemsById);
+  if (parentId) local.premultiply(itemWorldMatrix(itemsById.get(parentId), itemsById).invert());
+  return matrixToTransform(local);
+}
+
+/**
+ * Ids of items that are not drawn: hidden ones and everything attached to them
+ * @param {Array} items - Items from the store
+ * @returns {Set<string>}
+ */
+export function hiddenItemIds(items) {
+  const hidden = new Set();
+  items.filter((item) => item.hidden).forEach((item) => {
+    hidden.add(item.id);
+    descendantIds(items, item.id).forEach((id) => hidden.add(id));
+  });
+  return hidden;
+}
+
+/**
+ * Ids of items that cannot be selected: hidden or locked ones
+ * @param {Array} items - Items from the store
+ * @returns {Set<string>}
+ */
+export function unselectableIds(items) {
+  const blocked = hiddenItemIds(items);
+  items.filter((item) => item.locked).forEach((item) => blocked.add(item.id));
+  return blocked;
+}
+
+/**
+ * Items in outliner order: each item followed by what is attached to it
+ * @param {Array} items - Items from the store
+ * @returns {Array<{ item: object, depth: number }>}
+ */
+export function treeRows(items) {
+  const ids = new Set(items.map((item) => item.id));
+  const rows = [];
+  const visit = (item, depth) => {
+    rows.push({ item, depth });
+    items.filter((child) => child.attachedTo === item.id).forEach((child) => visit(child, depth + 1));
+  };
+  items.filter((item) => !item.attachedTo || !ids.has(item.attachedTo)).forEach((item) => visit(item, 0));
+  return rows;
+}
@@ -0,0 +1,157 @@
+import * as THREE from 'three';
+import { getItemObject } from './itemObjects';
+import { isLightItem } from './lightItems';
+
+// ============================================
+// SHADOW SETTINGS
+// ============================================
+
+/**
+ * Shadow quality levels. Besides the main directional light (furniture preset
+ * or sun), at most `maxLights` lights cast shadows; every point light among them
+ * renders six shadow maps. Map sizes are upper limits: a light asking for less
+ * keeps its own size.
+ */
+export const SHADOW_QUALITIES = [
+  { value: 'off', label: 'Off', maxLights: 0, mapSize: 0, mainMapSize: 0 },
+  { value: 'low', label: 'Low', maxLights: 1, mapSize: 512, mainMapSize: 1024 },
+  { value: 'medium', label: 'Medium', maxLights: 3, mapSize: 1024, mainMapSize: 2048 },
+  { value: 'high', label: 'High', maxLights: 8, mapSize: 2048, mainMapSize: 4096 },
+];
+
+// Shadow filtering, named as the Canvas `shadows` prop expects
+export const SHADOW_TYPES = [
+  { value: 'basic', label: 'Hard' },
+  { value: 'percentage', label: 'PCF' },
+  { value: 'soft', label: 'PCF Soft' },
+  { value: 'variance', label: 'VSM' },
+];
+
+/**
+ * Default shadow settings, saved with the scene
+ */
+export const DEFAULT_SHADOW_SETTINGS = {
+  quality: 'medium',
+  type: 'soft',
+};
+
+/**
+ * @param {string} quality - Value of SHADOW_QUALITIES
+ * @returns {object} The quality level (medium for unknown values)
+ */
+export function getShadowQuality(quality) {
+  return SHADOW_QUALITIES.find((entry) => entry.value === quality) ?? SHADOW_QUALITIES[2];
+}
+
+/**
+ * Hand out the shadow budget of a quality level. Placed lights come first, in
+ * item order, as they were put there on purpose; room lights share what is left,
+ * room by room, in the order of their lights.
+ * @param {string} quality - Value of SHADOW_QUALITIES
+ * @param {Array} items - All items from the store
+ * @param {Array} roomConfigs - [roomId, lighting config or null] per room shell
+ * @returns {{ itemIds: Set<string>, roomLimits: object, mapSize: number, mainMapSize: number }}
+ *   Placed lights allowed to cast shadows, the number of shadow casting lights
+ *   per room id, and the map size limits
+ */
+export function allocateShadows(quality, items, roomConfigs) {
+  const level = getShadowQuality(quality);
+  let remaining = level.maxLights;
+
+  const itemIds = new Set();
+  items.forEach((item) => {
+    if (remaining > 0 && isLightItem(item) && item.light.castShadow) {
+      itemIds.add(item.id);
+      remaining -= 1;
+    }
+  });
+
+  const roomLimits = {};
+  roomConfigs.forEach(([roomId, config]) => {
+    const casters = config ? config.pointLights.filter((light) => light.castShadow).length : 0;
+    roomLimits[roomId] = Math.min(casters, remaining);
+    remaining -= roomLimits[roomId];
+  });
+
+  return { itemIds, roomLimits, mapSize: level.mapSize, mainMapSize: level.mainMapSize };
+}
+
+// ============================================
+// DIRECTIONAL SHADOW FITTING
+// ============================================
+
+// Extra room around the fitted area (meters), so soft shadow edges are not cut off
+const FIT_MARGIN = 0.5;
+
+const _box = new THREE.Box3();
+const _itemBox = new THREE.Box3();
+const _view = new THREE.Matrix4();
+const _eye = new THREE.Vector3();
+const _target = new THREE.Vector3();
+const _direction = new THREE.Vector3();
+const _point = new THREE.Vector3();
+
+/**
+ * World bounds of every placed model
+ * @param {Array} items - All items from the store
+ * @returns {THREE.Box3|null} Shared box (copy it to keep it), or null when no model has loaded yet
+ */
+export function itemsBounds(items) {
+  _box.makeEmpty();
+  items.forEach((item) => {
+    const object = !isLightItem(item) && getItemObject(item.id);
+    if (object) _box.union(_itemBox.setFromObject(object));
+  });
+  return _box.isEmpty() ? null : _box;
+}
+
+/**
+ * Fit a directional light's orthographic shadow camera around a box, including
+ * where the box's shadow falls on the floor plane (clipped to the floor)
+ * @param {THREE.DirectionalLight} light - Light with an up-to-date world matrix
+ * @param {THREE.Box3} box - World space area that casts and receives shadows
+ * @param {number} floorSize - Floor size in meters; the floor is centered on the origin
+ */
+export function fitShadowCamera(light, box, floorSize) {
+  const camera = light.shadow.camera;
+  light.getWorldPosition(_eye);
+  light.target.getWorldPosition(_target);
+  // Same orientation as the shadow camera gets in LightShadow.updateMatrices
+  _view.lookAt(_eye, _target, camera.up).setPosition(_eye).invert();
+  _direction.subVectors(_target, _eye).normalize();
+
+  const half = floorSize / 2;
+  const floorY = Math.min(box.min.y, 0);
+  let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity, minZ = Infinity, maxZ = -Infinity;
+  const include = (point) => {
+    _point.copy(point).applyMatrix4(_view);
+    minX = Math.min(minX, _point.x); maxX = Math.max(maxX, _point.x);
+    minY = Math.min(minY, _point.y); maxY = Math.max(maxY, _point.y);
+    minZ = Math.min(minZ, _point.z); maxZ = Math.max(maxZ, _point.z);
+  };
+
+  for (let corner = 0; corner < 8; corner += 1) {
+    const point = new THREE.Vector3(
+      corner & 1 ? box.max.x : box.min.x,
+      corner & 2 ? box.max.y : box.min.y,
+      corner & 4 ? box.max.z : box.min.z
+    );
+    include(point);
+    // Where the corner's shadow lands on the floor
+    if (_direction.y < -1e-3) {
+      point.addScaledVector(_direction, (floorY - point.y) / _direction.y);
+      point.x = THREE.MathUtils.clamp(point.x, -half, half);
+      point.z = THREE.MathUtils.clamp(point.z, -half, half);
+      include(point);
+    }
+  }
+
+  // The camera looks down its -Z axis, so depth is -z
+  camera.left = minX - FIT_MARGIN;
+  camera.right = maxX + FIT_MARGIN;
+  camera.bottom = minY - FIT_MARGIN;
+  camera.top = maxY + FIT_MARGIN;
+  camera.near = -maxZ - FIT_MARGIN;
+  camera.far = -minZ + FIT_MARGIN;
+  camera.updateProjectionMatrix();
+}
@@ -0,0 +1,172 @@
+// ============================================
+// KEYBOARD SHORTCUTS
+// ============================================
+//
+// Editor actions that can be run from the keyboard, and the keys bound to them.
+// A key combination is written as modifiers then key, e.g. 'W', 'Ctrl+Shift+Z',
+// 'Shift+/'; Ctrl also stands for Cmd on macOS. Keys are read by their place on
+// the keyboard (event.code), so bindings work the same on any layout.
+//
+// Bindings are { [actionId]: combo[] }. Users can remap them; the changes are
+// kept in this browser's localStorage, not in scenes.
+
+// Numbered camera bookmarks reachable from the number keys
+const VIEW_SHORTCUTS = 9;
+
+export const SHORTCUT_ACTIONS = [
+  { id: 'translateMode', label: 'Move tool', category: 'Tools', keys: ['W'] },
+  { id: 'rotateMode', label: 'Rotate tool', category: 'Tools', keys: ['E'] },
+  { id: 'scaleMode', label: 'Scale tool', category: 'Tools', keys: ['R'] },
+  { id: 'undo', label: 'Undo', category: 'Edit', keys: ['Ctrl+Z'] },
+  { id: 'redo', label: 'Redo', category: 'Edit', keys: ['Ctrl+Shift+Z', 'Ctrl+Y'] },
+  { id: 'duplicate', label: 'Duplicate selection', category: 'Edit', keys: ['Ctrl+D'] },
+  { id: 'deleteSelection', label: 'Delete selection', category: 'Edit', keys: ['Delete', 'Backspace'] },
+  { id: 'deselect', label: 'Deselect', category: 'Edit', keys: ['Escape'] },
+  { id: 'frameSelection', label: 'Frame selection (everything when nothing is selected)', category: 'Camera', keys: ['F'] },
+  ...Array.from({ length: VIEW_SHORTCUTS }, (_, index) => ({
+    id: `view${index + 1}`,
+    label: `Go to view ${index + 1}`,
+    category: 'Camera',
+    keys: [String(index + 1)],
+    view: index,
+  })),
+  { id: 'save', label: 'Save scene', category: 'File', keys: ['Ctrl+S'] },
+  { id: 'showShortcuts', label: 'Keyboard shortcuts', category: 'Help', keys: ['Shift+/'] },
+];
+
+// Copy and paste of items go through the browser's copy/paste events (see itemCopies.js)
+export const RESERVED_COMBOS = ['Ctrl+C', 'Ctrl+V'];
+
+const STORAGE_KEY = 'mesh-platform-shortcuts';
+
+const PUNCTUATION = {
+  Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']', Backslash: '\\',
+  Semicolon: ';', Quote: "'", Backquote: '`', Comma: ',', Period: '.', Slash: '/',
+};
+
+const MODIFIER_CODES = ['ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight', 'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight'];
+
+/**
+ * Whether a key event goes to a text field, where keys type rather than run shortcuts
+ * @param {EventTarget} target - The event's target
+ * @returns {boolean}
+ */
+export function isTyping(target) {
+  return Boolean(target.isContentEditable) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+/**
+ * Key combination of a keydown event
+ * @param {KeyboardEvent} event
+ * @returns {string|null} e.g. 'Ctrl+Shift+Z', or null for a modifier key on its own
+ */
+export function comboFromEvent(event) {
+  const { code } = event;
+  if (!code || MODIFIER_CODES.includes(code)) return null;
+  let key = code;
+  if (/^Key[A-Z]$/.test(code)) key = code.slice(3);
+  else if (/^(Digit|Numpad)[0-9]$/.test(code)) key = code.slice(-1);
+  else if (PUNCTUATION[code]) key = PUNCTUATION[code];
+  return [
+    (event.ctrlKey || event.metaKey) && 'Ctrl',
+    event.altKey && 'Alt',
+    event.shiftKey && 'Shift',
+    key,
+  ].filter(Boolean).join('+');
+}
+
+/**
+ * Bindings every action starts with
+ * @returns {object} { [actionId]: combo[] }
+ */
+export function defaultShortcutBindings() {
+  return Object.fromEntries(SHORTCUT_ACTIONS.map((action) => [action.id, [...action.keys]]));
+}
+
+/**
+ * Action bound to a key combination
+ * @param {object} bindings
+ * @param {string} combo
+ * @returns {string|null} Action id
+ */
+export function actionForCombo(bindings, combo) {
+  return Object.keys(bindings).find((actionId) => bindings[actionId].includes(combo)) ?? null;
+}
+
+/**
+ * Bind a key combination to an action in place of its current keys. The
+ * combination is taken away from any other action that had it.
+ * @param {object} bindings
+ * @param {string} actionId
+ * @param {string} combo
+ * @returns {{ bindings: object, displaced: string[] }} New bindings and the ids of actions that lost the combination
+ */
+export function bindShortcut(bindings, actionId, combo) {
+  const displaced = Object.keys(bindings).filter((id) => id !== actionId && bindings[id].includes(combo));
+  const next = Object.fromEntries(Object.entries(bindings).map(([id, combos]) => (
+    [id, id === actionId ? [combo] : combos.filter((other) => other !== combo)]
+  )));
+  return { bindings: next, displaced };
+}
+
+/**
+ * Give an action its default keys back, taking them from any action they were remapped to
+ * @param {object} bindings
+ * @param {string} actionId
+ * @returns {object} New bindings
+ */
+export function resetShortcut(bindings, actionId) {
+  const defaults = defaultShortcutBindings()[actionId];
+  return Object.fromEntries(Object.entries(bindings).map(([id, combos]) => (
+    [id, id === actionId ? [...defaults] : combos.filter((combo) => !defaults.includes(combo))]
+  )));
+}
+
+/**
+ * Keys of an action for display, e.g. 'Ctrl+Shift+Z / Ctrl+Y'
+ * @param {object} bindings
+ * @param {string} actionId
+ * @returns {string} Empty when nothing is bound
+ */
+export function shortcutLabel(bindings, actionId) {
+  return (bindings[actionId] ?? []).join(' / ');
+}
+
+/**
+ * Bindings kept in this browser, on top of the defaults. Unknown actions and
+ * malformed entries are ignored, and unreadable storage gives the defaults.
+ * @returns {object} { [actionId]: combo[] }
+ */
+export function loadShortcutBindings() {
+  const bindings = defaultShortcutBindings();
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '{}');
+    Object.entries(saved ?? {}).forEach(([actionId, combos]) => {
+      if (actionId in bindings && Array.isArray(combos) && combos.every((combo) => typeof combo === 'string')) {
+        bindings[actionId] = combos;
+      }
+    });
+  } catch {
+    return defaultShortcutBindings();
+  }
+  return bindings;
+}
+
+/**
+ * Keep the bindings that differ from the defaults in this browser
+ * @param {object} bindings
+ * @returns {boolean} false when the browser's storage could not be written
+ */
+export function saveShortcutBindings(bindings) {
+  const defaults = defaultShortcutBindings();
+  const changed = Object.fromEntries(Object.entries(bindings).filter(([actionId, combos]) => (
+    combos.join() !== defaults[actionId]?.join()
+  )));
+  try {
+    if (Object.keys(changed).length > 0) localStorage.setItem(STORAGE_KEY, JSON.stringify(changed));
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    return false;
+  }
+  return true;
+}
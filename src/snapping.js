@@ -0,0 +1,83 @@
+import * as THREE from 'three';
+
+// ============================================
+// SNAP SETTINGS
+// ============================================
+
+/**
+ * Default snap settings, saved with the scene.
+ * Translation snaps to the floor grid: one cell is floorSize / gridDivisions.
+ */
+export const DEFAULT_SNAP_SETTINGS = {
+  translation: false,
+  gridDivisions: 20,
+  rotation: false,
+  rotationStep: 15, // degrees
+  scale: false,
+  scaleStep: 0.1,
+  surface: false,
+};
+
+export const ROTATION_STEPS = [5, 10, 15, 30, 45, 90];
+export const SCALE_STEPS = [0.01, 0.05, 0.1, 0.25, 0.5];
+
+/**
+ * Translate snap settings into TransformControls snap props
+ * @param {object} snap - Snap settings
+ * @param {number} floorSize - Current floor size in meters
+ * @returns {{ translationSnap: number|null, rotationSnap: number|null, scaleSnap: number|null }}
+ */
+export function getGizmoSnaps(snap, floorSize) {
+  return {
+    translationSnap: snap.translation ? floorSize / snap.gridDivisions : null,
+    rotationSnap: snap.rotation ? THREE.MathUtils.degToRad(snap.rotationStep) : null,
+    scaleSnap: snap.scale ? snap.scaleStep : null,
+  };
+}
+
+// ============================================
+// SURFACE SNAPPING
+// ============================================
+
+const raycaster = new THREE.Raycaster();
+const down = new THREE.Vector3(0, -1, 0);
+
+/**
+ * Height of the surface an object set would rest on: the first upward-facing
+ * face of the other objects below the set's footprint center, or the floor (y = 0).
+ * The ray starts one object-height above the set, so it can step onto tables
+ * and shelves but never onto a room's ceiling.
+ * @param {THREE.Box3} box - World bounding box of the dragged objects
+ * @param {THREE.Object3D[]} obstacles - Objects that can be stood on
+ * @returns {number} Surface height in world units
+ */
+export function findSurfaceHeight(box, obstacles) {
+  const center = box.getCenter(new THREE.Vector3());
+  const height = box.max.y - box.min.y;
+  raycaster.set(new THREE.Vector3(center.x, box.max.y + height, center.z), down);
+
+  const normal = new THREE.Vector3();
+  const hit = raycaster.intersectObjects(obstacles, true).find((intersection) => {
+    // Markers of lights attached to a model are not surfaces
+    if (!intersection.face || intersection.object.userData.lightHelper) return false;
+    normal.copy(intersection.face.normal).transformDirection(intersection.object.matrixWorld);
+    return normal.y > 0.5;
+  });
+  return hit ? Math.max(hit.point.y, 0) : 0;
+}
+
+/**
+ * Vertical offset that drops the objects onto the surface under them
+ * @param {THREE.Object3D[]} objects - Objects being dragged
+ * @param {THREE.Object3D[]} obstacles - Other objects that can be stood on
+ * @returns {number} Amount to add to every object's y position
+ */
+export function getSurfaceSnapOffset(objects, obstacles) {
+  const box = new THREE.Box3();
+  objects.forEach((object) => {
+    object.updateMatrixWorld(true);
+    box.expandByObject(object);
+  });
+  if (box.isEmpty()) return 0;
+  return findSurfaceHeight(box, obstacles) - box.min.y;
+}
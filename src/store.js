@@ -0,0 +1,446 @@
+import { create } from 'zustand';
+import { v4 as uuidv4 } from 'uuid';
+import { DEFAULT_SNAP_SETTINGS } from './snapping';
+import { DEFAULT_SUN_SETTINGS } from './sunPosition';
+import { DEFAULT_SHADOW_SETTINGS } from './shadows';
+import { DEFAULT_LENGTH_UNIT } from './units';
+import { DEFAULT_VIEW } from './cameraViews';
+import { unselectableIds, descendantIds, canAttach, reparentTransform } from './sceneTree';
+import { loadShortcutBindings, saveShortcutBindings } from './shortcuts';
+
+// ============================================
+// UNDO / REDO HISTORY
+// ============================================
+
+// Maximum number of undo steps kept in memory
+const HISTORY_LIMIT = 100;
+
+// Consecutive edits with the same coalesce key inside this window share one history entry
+const COALESCE_WINDOW_MS = 600;
+
+/**
+ * Default values of the editable scene document.
+ * Only these keys are captured in undo/redo snapshots and written to saved
+ * scenes; UI state such as the selection or the transform mode is left out.
+ */
+export const DOCUMENT_DEFAULTS = {
+  items: [],
+  library: [],
+  groups: [],
+  environment: 'studio',
+  roomLightingPreset: 'warm-evening',
+  furnitureLightingPreset: 'default',
+  roomLightIntensity: 1.0,
+  furnitureLightIntensity: 1.0,
+  roomMaterialBrightness: 1.0,
+  snapSettings: DEFAULT_SNAP_SETTINGS,
+  // Sun simulation (see sunPosition.js)
+  sunSettings: DEFAULT_SUN_SETTINGS,
+  // Shadow quality budget and filtering (see shadows.js)
+  shadowSettings: DEFAULT_SHADOW_SETTINGS,
+  // User-defined lighting presets (see lightingPresets.js)
+  customLightingPresets: [],
+  // Unit lengths are shown in (see units.js) and kept tape measurements (see measurements.js)
+  lengthUnit: DEFAULT_LENGTH_UNIT,
+  measurements: [],
+  // Named camera views (see cameraViews.js)
+  cameraBookmarks: [],
+};
+
+export const DOCUMENT_KEYS = Object.keys(DOCUMENT_DEFAULTS);
+
+/**
+ * Capture the document part of the state. Updates are immutable, so the
+ * snapshot only copies references and stays cheap.
+ * @param {object} state - Current store state
+ * @returns {object} Snapshot of all DOCUMENT_KEYS
+ */
+export function snapshotDocument(state) {
+  const snapshot = {};
+  DOCUMENT_KEYS.forEach((key) => {
+    snapshot[key] = state[key];
+  });
+  return snapshot;
+}
+
+/**
+ * Build the state patch that records the current document before an edit.
+ * @param {object} state - Current store state (before the edit)
+ * @param {string} [coalesceKey] - Edits with the same key in quick succession
+ *   (e.g. slider drags) are merged into a single history entry
+ * @returns {object} Partial state to spread into the edit's update
+ */
+function recordHistory(state, coalesceKey) {
+  const now = Date.now();
+  const marker = { key: coalesceKey || null, time: now };
+  const last = state.historyMarker;
+
+  if (coalesceKey && last && last.key === coalesceKey && now - last.time < COALESCE_WINDOW_MS) {
+    return { historyMarker: marker };
+  }
+
+  return {
+    past: [...state.past, snapshotDocument(state)].slice(-HISTORY_LIMIT),
+    future: [],
+    historyMarker: marker,
+  };
+}
+
+/**
+ * Keep only the selected items that still exist in the restored document and can still be selected.
+ */
+function restoreSelection(state, snapshot) {
+  const blocked = unselectableIds(snapshot.items);
+  const selectedIds = state.selectedIds.filter((id) => !blocked.has(id) && snapshot.items.some((item) => item.id === id));
+  return {
+    selectedIds,
+    selectedItem: selectedIds.includes(state.selectedItem) ? state.selectedItem : (selectedIds[selectedIds.length - 1] ?? null),
+  };
+}
+
+/**
+ * Remove items by id, together with everything attached to them
+ */
+function removeItems(items, ids) {
+  const removed = new Set(ids);
+  ids.forEach((id) => descendantIds(items, id).forEach((childId) => removed.add(childId)));
+  return items.filter((item) => !removed.has(item.id));
+}
+
+// Hidden and locked items cannot be selected
+function selectable(ids, items) {
+  const blocked = unselectableIds(items);
+  return ids.filter((id) => !blocked.has(id));
+}
+
+/**
+ * Remove deleted items from groups, dropping groups left empty
+ */
+function pruneGroups(groups, items) {
+  const ids = new Set(items.map((item) => item.id));
+  return groups
+    .map((group) => ({ ...group, itemIds: group.itemIds.filter((id) => ids.has(id)) }))
+    .filter((group) => group.itemIds.length > 0);
+}
+
+/**
+ * Expand item ids so that picking any member of a group picks the whole group
+ * @param {string[]} ids - Item ids
+ * @param {Array} groups - Groups from the store
+ * @returns {string[]} Ids including all members of touched groups
+ */
+export function expandToGroups(ids, groups) {
+  const expanded = new Set(ids);
+  groups.forEach((group) => {
+    if (group.itemIds.some((id) => expanded.has(id))) {
+      group.itemIds.forEach((id) => expanded.add(id));
+    }
+  });
+  return [...expanded];
+}
+
+// ============================================
+// STORE
+// ============================================
+
+// Zustand store for state management
+export const useStore = create((set, get) => ({
+  ...DOCUMENT_DEFAULTS,
+  setEnvironment: (env) => set((state) => ({ ...recordHistory(state), environment: env })),
+  // Room lighting state
+  setRoomLightingPreset: (preset) => set((state) => ({ ...recordHistory(state), roomLightingPreset: preset })),
+  // Furniture lighting state
+  setFurnitureLightingPreset: (preset) => set((state) => ({ ...recordHistory(state), furnitureLightingPreset: preset })),
+  // World-space bounds of every room shell, keyed by item id
+  roomBounds: {},
+  setRoomBounds: (id, bounds) => set((state) => {
+    const roomBounds = { ...state.roomBounds };
+    if (bounds) roomBounds[id] = bounds;
+    else delete roomBounds[id];
+    return { roomBounds };
+  }),
+  // Add or replace custom lighting presets (matched by id) as a single history entry
+  saveLightingPresets: (presets) => set((state) => ({
+    ...recordHistory(state),
+    customLightingPresets: [
+      ...state.customLightingPresets.map((preset) => presets.find((saved) => saved.id === preset.id) ?? preset),
+      ...presets.filter((preset) => !state.customLightingPresets.some((existing) => existing.id === preset.id)),
+    ],
+  })),
+  // Delete a custom preset; scenes using it fall back to the default preset
+  deleteLightingPreset: (id) => set((state) => ({
+    ...recordHistory(state),
+    customLightingPresets: state.customLightingPresets.filter((preset) => preset.id !== id),
+    roomLightingPreset: state.roomLightingPreset === id ? DOCUMENT_DEFAULTS.roomLightingPreset : state.roomLightingPreset,
+    furnitureLightingPreset: state.furnitureLightingPreset === id ? DOCUMENT_DEFAULTS.furnitureLightingPreset : state.furnitureLightingPreset,
+  })),
+  // Light intensity multipliers
+  setRoomLightIntensity: (intensity) => set((state) => ({
+    ...recordHistory(state, 'roomLightIntensity'),
+    roomLightIntensity: intensity,
+  })),
+  setFurnitureLightIntensity: (intensity) => set((state) => ({
+    ...recordHistory(state, 'furnitureLightIntensity'),
+    furnitureLightIntensity: intensity,
+  })),
+  // Room material brightness (overexposure effect)
+  setRoomMaterialBrightness: (brightness) => set((state) => ({
+    ...recordHistory(state, 'roomMaterialBrightness'),
+    roomMaterialBrightness: brightness,
+  })),
+  addLibraryItem: (newItem) => set((state) => ({
+    ...recordHistory(state),
+    library: [...state.library, newItem]
+  })),
+  removeLibraryItem: (url) => get().removeLibraryItems([url]),
+  // Remove several library entries (and their placed instances and attached lights) as a single history entry
+  removeLibraryItems: (urls) => set((state) => {
+    const items = removeItems(state.items, state.items.filter(item => urls.includes(item.url)).map(item => item.id));
+    return {
+      ...recordHistory(state),
+      library: state.library.filter(item => !urls.includes(item.url)),
+      items,
+      groups: pruneGroups(state.groups, items),
+      ...restoreSelection(state, { items }),
+    };
+  }),
+  // Change a library entry's defaults (e.g. the role given to new placements)
+  updateLibraryItem: (url, newProps) => set((state) => ({
+    ...recordHistory(state),
+    library: state.library.map((item) => (item.url === url ? { ...item, ...newProps } : item)),
+  })),
+  addItem: (item) => set((state) => ({
+    ...recordHistory(state),
+    items: [...state.items, item]
+  })),
+  // Add several items (and the library entries they need) as a single history entry
+  addItems: (newItems, libraryEntries = []) => set((state) => ({
+    ...recordHistory(state),
+    library: libraryEntries.length > 0 ? [...state.library, ...libraryEntries] : state.library,
+    items: [...state.items, ...newItems],
+  })),
+  updateItem: (id, newProps) => set((state) => ({
+    ...recordHistory(state),
+    items: state.items.map((item) => (item.id === id ? { ...item, ...newProps } : item))
+  })),
+  // Update several items as a single history entry
+  // updates: { [id]: newProps }; coalesceKey merges rapid edits such as color picking
+  updateItems: (updates, coalesceKey) => set((state) => ({
+    ...recordHistory(state, coalesceKey),
+    items: state.items.map((item) => (updates[item.id] ? { ...item, ...updates[item.id] } : item))
+  })),
+  deleteItem: (id) => get().deleteItems([id]),
+  deleteItems: (ids) => set((state) => {
+    const items = removeItems(state.items, ids);
+    return {
+      ...recordHistory(state),
+      items,
+      groups: pruneGroups(state.groups, items),
+      ...restoreSelection(state, { items }),
+    };
+  }),
+  // Groups are persistent, named sets of items that are selected together
+  createGroup: (name, itemIds) => set((state) => ({
+    ...recordHistory(state),
+    // An item belongs to at most one group
+    groups: [
+      ...state.groups
+        .map((group) => ({ ...group, itemIds: group.itemIds.filter((id) => !itemIds.includes(id)) }))
+        .filter((group) => group.itemIds.length > 0),
+      { id: uuidv4(), name, itemIds: [...itemIds] },
+    ],
+  })),
+  renameGroup: (groupId, name) => set((state) => ({
+    ...recordHistory(state, `renameGroup:${groupId}`),
+    groups: state.groups.map((group) => (group.id === groupId ? { ...group, name } : group)),
+  })),
+  ungroup: (groupId) => set((state) => ({
+    ...recordHistory(state),
+    groups: state.groups.filter((group) => group.id !== groupId),
+  })),
+  // Outliner state of items (see sceneTree.js)
+  renameItem: (id, displayName) => set((state) => ({
+    ...recordHistory(state, `renameItem:${id}`),
+    items: state.items.map((item) => (item.id === id ? { ...item, displayName } : item)),
+  })),
+  setItemHidden: (id, hidden) => set((state) => {
+    const items = state.items.map((item) => (item.id === id ? { ...item, hidden } : item));
+    return { ...recordHistory(state), items, ...restoreSelection(state, { items }) };
+  }),
+  setItemLocked: (id, locked) => set((state) => {
+    const items = state.items.map((item) => (item.id === id ? { ...item, locked } : item));
+    return { ...recordHistory(state), items, ...restoreSelection(state, { items }) };
+  }),
+  // Attach an item to a model (or detach it with null), keeping it where it is in the world
+  attachItem: (id, parentId) => set((state) => {
+    if (!canAttach(state.items, id, parentId)) return state;
+    const transform = reparentTransform(state.items, id, parentId);
+    return {
+      ...recordHistory(state),
+      items: state.items.map((item) => (item.id === id ? { ...item, ...transform, attachedTo: parentId } : item)),
+    };
+  }),
+  // Expects data already migrated and validated by prepareScene (see sceneSchema.js)
+  loadScene: (sceneData) => set((state) => {
+    const document = {};
+    DOCUMENT_KEYS.forEach((key) => {
+      document[key] = sceneData[key] ?? DOCUMENT_DEFAULTS[key];
+    });
+    return {
+      ...recordHistory(state),
+      ...document,
+      selectedIds: [],
+      selectedItem: null,
+    };
+  }),
+  // Selection: `selectedIds` holds every selected item, `selectedItem` the active one
+  selectedIds: [],
+  selectedItem: null,
+  setSelectedItem: (id) => set((state) => {
+    const [selected = null] = selectable(id ? [id] : [], state.items);
+    return { selectedIds: selected ? [selected] : [], selectedItem: selected };
+  }),
+  // Add or remove an item (or a whole group) from the selection
+  toggleSelection: (requested) => set((state) => {
+    const ids = selectable(requested, state.items);
+    if (ids.length === 0) return state;
+    const allSelected = ids.every((id) => state.selectedIds.includes(id));
+    const selectedIds = allSelected
+      ? state.selectedIds.filter((id) => !ids.includes(id))
+      : [...state.selectedIds, ...ids.filter((id) => !state.selectedIds.includes(id))];
+    return {
+      selectedIds,
+      selectedItem: allSelected ? (selectedIds[selectedIds.length - 1] ?? null) : ids[0],
+    };
+  }),
+  setSelection: (requested, activeId) => set((state) => {
+    const ids = selectable(requested, state.items);
+    return {
+      selectedIds: ids,
+      selectedItem: ids.includes(activeId) ? activeId : (ids[ids.length - 1] ?? null),
+    };
+  }),
+  // Click selection: picks the item's whole group unless `single`; `additive` toggles it instead
+  pickItem: (id, { single = false, additive = false } = {}) => {
+    const ids = single ? [id] : expandToGroups([id], get().groups);
+    if (additive) get().toggleSelection(ids);
+    else get().setSelection(ids, id);
+  },
+  updateSnapSettings: (changes) => set((state) => ({
+    ...recordHistory(state, `snapSettings:${Object.keys(changes).join()}`),
+    snapSettings: { ...state.snapSettings, ...changes },
+  })),
+  updateSunSettings: (changes) => set((state) => ({
+    ...recordHistory(state, `sunSettings:${Object.keys(changes).join()}`),
+    sunSettings: { ...state.sunSettings, ...changes },
+  })),
+  updateShadowSettings: (changes) => set((state) => ({
+    ...recordHistory(state),
+    shadowSettings: { ...state.shadowSettings, ...changes },
+  })),
+  setLengthUnit: (unit) => set((state) => ({ ...recordHistory(state), lengthUnit: unit })),
+  addMeasurement: (measurement) => set((state) => ({
+    ...recordHistory(state),
+    measurements: [...state.measurements, measurement],
+  })),
+  deleteMeasurement: (id) => set((state) => ({
+    ...recordHistory(state),
+    measurements: state.measurements.filter((measurement) => measurement.id !== id),
+  })),
+  clearMeasurements: () => set((state) => ({ ...recordHistory(state), measurements: [] })),
+  // Tape measure tool and dimension overlays of the selected models (see MeasureTools.jsx)
+  measuring: false,
+  setMeasuring: (measuring) => set({ measuring }),
+  showDimensions: false,
+  setShowDimensions: (show) => set({ showDimensions: show }),
+  addCameraBookmark: (bookmark) => set((state) => ({
+    ...recordHistory(state),
+    cameraBookmarks: [...state.cameraBookmarks, bookmark],
+  })),
+  updateCameraBookmark: (id, changes) => set((state) => ({
+    ...recordHistory(state),
+    cameraBookmarks: state.cameraBookmarks.map((bookmark) => (bookmark.id === id ? { ...bookmark, ...changes } : bookmark)),
+  })),
+  deleteCameraBookmark: (id) => set((state) => ({
+    ...recordHistory(state),
+    cameraBookmarks: state.cameraBookmarks.filter((bookmark) => bookmark.id !== id),
+  })),
+  // Camera navigation (see CameraTools.jsx): orbit or walk mode, the field of
+  // view, and the view the orbit camera is flying to
+  cameraMode: 'orbit',
+  setCameraMode: (mode) => set({ cameraMode: mode }),
+  cameraFov: DEFAULT_VIEW.fov,
+  setCameraFov: (fov) => set({ cameraFov: fov }),
+  cameraFlight: null,
+  // Fly to { position, target, fov } (instantly with `instant`), leaving walk mode
+  flyTo: (view) => set({ cameraMode: 'orbit', cameraFlight: view }),
+  finishCameraFlight: (fov) => set({ cameraFlight: null, cameraFov: fov }),
+  // Overlapping item pairs, kept up to date by OverlapMonitor
+  overlaps: [],
+  setOverlaps: (overlaps) => set({ overlaps }),
+  showOverlaps: true,
+  setShowOverlaps: (show) => set({ showOverlaps: show }),
+  // Space taken by the persisted asset library, refreshed by startLibrarySync (see assetStore.js)
+  storageUsage: null,
+  setStorageUsage: (usage) => set({ storageUsage: usage }),
+  // Problems found with library models while using them, by model URL, shown with
+  // the model's inspector warnings (see ModelInspector.jsx)
+  modelWarnings: {},
+  addModelWarning: (url, warning) => set((state) => (
+    (state.modelWarnings[url] ?? []).includes(warning)
+      ? {}
+      : { modelWarnings: { ...state.modelWarnings, [url]: [...(state.modelWarnings[url] ?? []), warning] } }
+  )),
+  // Why the library could not be persisted, or null while it is (see startLibrarySync)
+  librarySyncError: null,
+  setLibrarySyncError: (error) => set({ librarySyncError: error }),
+  // Properties panel preferences and the copied transform
+  angleUnit: 'deg',
+  setAngleUnit: (unit) => set({ angleUnit: unit }),
+  uniformScale: false,
+  setUniformScale: (uniform) => set({ uniformScale: uniform }),
+  transformClipboard: null,
+  setTransformClipboard: (transform) => set({ transformClipboard: transform }),
+  // Keyboard shortcut bindings (see shortcuts.js), kept in this browser rather than in scenes.
+  // Returns false when they apply to this session only because they could not be saved
+  shortcutBindings: loadShortcutBindings(),
+  setShortcutBindings: (bindings) => {
+    const saved = saveShortcutBindings(bindings);
+    set({ shortcutBindings: bindings });
+    return saved;
+  },
+  // World transforms of the copies an array would create, drawn by ArrayPreview until it is applied
+  arrayPreview: null,
+  setArrayPreview: (preview) => set({ arrayPreview: preview }),
+  transformMode: 'translate',
+  setTransformMode: (mode) => set({ transformMode: mode }),
+  // Multi-selection transforms pivot around the selection's centroid or the active item
+  pivotMode: 'centroid',
+  setPivotMode: (mode) => set({ pivotMode: mode }),
+  // Undo/redo stacks of document snapshots (see DOCUMENT_KEYS)
+  past: [],
+  future: [],
+  historyMarker: null,
+  undo: () => set((state) => {
+    if (state.past.length === 0) return {};
+    const previous = state.past[state.past.length - 1];
+    return {
+      ...previous,
+      past: state.past.slice(0, -1),
+      future: [snapshotDocument(state), ...state.future],
+      historyMarker: null,
+      ...restoreSelection(state, previous),
+    };
+  }),
+  redo: () => set((state) => {
+    if (state.future.length === 0) return {};
+    const next = state.future[0];
+    return {
+      ...next,
+      past: [...state.past, snapshotDocument(state)],
+      future: state.future.slice(1),
+      historyMarker: null,
+      ...restoreSelection(state, next),
+    };
+  }),
+}));
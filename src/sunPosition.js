@@ -0,0 +1,180 @@
+// ============================================
+// SUN SIMULATION
+// ============================================
+//
+// Sun mode replaces the fixed main light of the furniture rig with sunlight for
+// a place and a local date and time. The scene is laid out with -Z as north
+// (and +X as east) unless `northOffset` turns it: it is the compass bearing of
+// north in the scene, in degrees clockwise seen from above.
+
+/**
+ * Default sun settings, saved with the scene.
+ * `time` is minutes after local midnight; `utcOffset` is the local time zone
+ * in hours, so "9:00 in winter" means wall clock time at the location.
+ */
+export const DEFAULT_SUN_SETTINGS = {
+  enabled: false,
+  latitude: 51.5074,
+  longitude: -0.1278,
+  utcOffset: 0,
+  northOffset: 0,
+  date: '2025-06-21',
+  time: 720,
+  intensity: 3,
+};
+
+// Valid range per numeric setting, also used for the inputs in SunControls
+export const SUN_FIELDS = {
+  latitude: { min: -90, max: 90, step: 0.0001 },
+  longitude: { min: -180, max: 180, step: 0.0001 },
+  utcOffset: { min: -12, max: 14, step: 0.25 },
+  northOffset: { min: 0, max: 360, step: 1 },
+  time: { min: 0, max: 1439, step: 5 },
+  intensity: { min: 0, max: 20, step: 0.1 },
+};
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DEG = Math.PI / 180;
+
+// Color temperature of direct sunlight at the horizon and high in the sky (Kelvin)
+const HORIZON_KELVIN = 1850;
+const ZENITH_KELVIN = 5800;
+
+// Sky light fades out between these sun altitudes (degrees): civil twilight to full day
+const TWILIGHT_ALTITUDE = -6;
+const DAYLIGHT_ALTITUDE = 10;
+// Share of the sky light left at night (moon and stars, city glow)
+const NIGHT_SKY_LIGHT = 0.05;
+
+/**
+ * Parse a "YYYY-MM-DD" date
+ * @param {string} date
+ * @returns {{ year: number, month: number, day: number }|null} null for malformed or impossible dates
+ */
+function parseDate(date) {
+  const match = typeof date === 'string' && DATE_PATTERN.exec(date);
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+  return { year, month, day };
+}
+
+/**
+ * Whether a value is acceptable for a sun setting
+ * @param {string} key - Key of DEFAULT_SUN_SETTINGS
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export function isValidSunValue(key, value) {
+  if (key === 'enabled') return typeof value === 'boolean';
+  if (key === 'date') return parseDate(value) !== null;
+  const field = SUN_FIELDS[key];
+  return typeof value === 'number' && Number.isFinite(value) && value >= field.min && value <= field.max;
+}
+
+/**
+ * @param {number} minutes - Minutes after midnight
+ * @returns {string} Clock time, e.g. "09:05"
+ */
+export function formatTime(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(Math.round(minutes % 60)).padStart(2, '0')}`;
+}
+
+/**
+ * Position of the sun in the sky (low-precision solar ephemeris, good to about
+ * a hundredth of a degree between 1950 and 2050)
+ * @param {number} utcMs - Moment as milliseconds since the Unix epoch
+ * @param {number} latitude - Degrees north
+ * @param {number} longitude - Degrees east
+ * @returns {{ altitude: number, azimuth: number }} Degrees; azimuth is measured
+ *   clockwise from north (90 = east)
+ */
+export function getSunPosition(utcMs, latitude, longitude) {
+  // Days since the J2000.0 epoch
+  const d = utcMs / 86400000 + 2440587.5 - 2451545.0;
+  const meanAnomaly = (357.529 + 0.98560028 * d) * DEG;
+  const meanLongitude = 280.459 + 0.98564736 * d;
+  const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * DEG;
+  const obliquity = (23.439 - 0.00000036 * d) * DEG;
+
+  const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude));
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+  const siderealTime = (280.46061837 + 360.98564736629 * d + longitude) * DEG;
+  const hourAngle = siderealTime - rightAscension;
+
+  const lat = latitude * DEG;
+  const altitude = Math.asin(
+    Math.sin(lat) * Math.sin(declination) + Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle)
+  );
+  const azimuth = Math.atan2(
+    -Math.sin(hourAngle) * Math.cos(declination),
+    Math.sin(declination) * Math.cos(lat) - Math.cos(declination) * Math.sin(lat) * Math.cos(hourAngle)
+  );
+
+  return { altitude: altitude / DEG, azimuth: ((azimuth / DEG) % 360 + 360) % 360 };
+}
+
+/**
+ * Approximate RGB color of a black body (Tanner Helland's fit)
+ * @param {number} kelvin - Color temperature, 1000 to 40000
+ * @returns {string} Hex color
+ */
+export function kelvinToColor(kelvin) {
+  const t = kelvin / 100;
+  const red = t <= 66 ? 255 : 329.698727446 * (t - 60) ** -0.1332047592;
+  const green = t <= 66 ? 99.4708025861 * Math.log(t) - 161.1195681661 : 288.1221695283 * (t - 60) ** -0.0755148492;
+  let blue = 255;
+  if (t < 66) blue = t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+  const channel = (value) => Math.round(Math.min(Math.max(value, 0), 255)).toString(16).padStart(2, '0');
+  return `#${channel(red)}${channel(green)}${channel(blue)}`;
+}
+
+/**
+ * Fraction of the sun's zenith strength that reaches the ground, from the air
+ * mass (Kasten and Young) and Meinel's clear-sky attenuation
+ * @param {number} altitude - Sun altitude in degrees
+ * @returns {number} 0 below the horizon, 1 with the sun overhead
+ */
+function clearSkyTransmission(altitude) {
+  if (altitude <= 0) return 0;
+  const zenith = 90 - altitude;
+  const airMass = 1 / (Math.cos(zenith * DEG) + 0.50572 * (96.07995 - zenith) ** -1.6364);
+  return 0.7 ** (airMass ** 0.678) / 0.7;
+}
+
+/**
+ * Work out the sunlight for sun settings
+ * @param {object} sun - Sun settings (see DEFAULT_SUN_SETTINGS)
+ * @returns {{ altitude: number, azimuth: number, direction: number[], color: string,
+ *   kelvin: number, intensity: number, daylight: number }} `direction` points from
+ *   the scene towards the sun; `daylight` (NIGHT_SKY_LIGHT to 1) scales the sky light
+ */
+export function getSunLight(sun) {
+  const { year, month, day } = parseDate(sun.date) ?? parseDate(DEFAULT_SUN_SETTINGS.date);
+  const utcMs = Date.UTC(year, month - 1, day) + (sun.time - sun.utcOffset * 60) * 60000;
+  const { altitude, azimuth } = getSunPosition(utcMs, sun.latitude, sun.longitude);
+
+  const bearing = (azimuth + sun.northOffset) * DEG;
+  const elevation = altitude * DEG;
+  const direction = [
+    Math.sin(bearing) * Math.cos(elevation),
+    Math.sin(elevation),
+    -Math.cos(bearing) * Math.cos(elevation),
+  ];
+
+  // Sunlight reddens as it passes through more air near the horizon
+  const kelvin = HORIZON_KELVIN + (ZENITH_KELVIN - HORIZON_KELVIN) * (1 - Math.exp(-Math.max(altitude, 0) / 12));
+  const ramp = (altitude - TWILIGHT_ALTITUDE) / (DAYLIGHT_ALTITUDE - TWILIGHT_ALTITUDE);
+
+  return {
+    altitude,
+    azimuth,
+    direction,
+    color: kelvinToColor(kelvin),
+    kelvin,
+    intensity: sun.intensity * clearSkyTransmission(altitude),
+    daylight: NIGHT_SKY_LIGHT + (1 - NIGHT_SKY_LIGHT) * Math.min(Math.max(ramp, 0), 1),
+  };
+}
@@ -0,0 +1,73 @@
+// ============================================
+// LENGTH UNITS
+// ============================================
+//
+// Scenes are always stored in meters; the scene's length unit only changes how
+// lengths are shown and typed in. Number inputs in feet take decimal feet,
+// while read-only lengths (measurements, dimensions) are written as feet and inches.
+
+const METERS_PER_INCH = 0.0254;
+
+// `perMeter` converts meters to the unit; `step` and `precision` are for number inputs
+export const LENGTH_UNITS = [
+  { value: 'm', label: 'Meters', symbol: 'm', perMeter: 1, step: 0.1, precision: 2 },
+  { value: 'cm', label: 'Centimeters', symbol: 'cm', perMeter: 100, step: 1, precision: 1 },
+  { value: 'ft', label: 'Feet / inches', symbol: 'ft', perMeter: 1 / (12 * METERS_PER_INCH), step: 0.25, precision: 2 },
+];
+
+export const DEFAULT_LENGTH_UNIT = 'm';
+
+/**
+ * @param {string} unit - Value of LENGTH_UNITS
+ * @returns {object} The unit (meters for unknown values)
+ */
+export function getLengthUnit(unit) {
+  return LENGTH_UNITS.find((entry) => entry.value === unit) ?? LENGTH_UNITS[0];
+}
+
+/**
+ * @param {*} unit - Value to check
+ * @returns {boolean} Whether it names one of LENGTH_UNITS
+ */
+export function isValidLengthUnit(unit) {
+  return LENGTH_UNITS.some((entry) => entry.value === unit);
+}
+
+/**
+ * Convert meters to a unit, e.g. for a number input
+ * @param {number} meters
+ * @param {string} unit - Value of LENGTH_UNITS
+ * @returns {number}
+ */
+export function toLengthUnit(meters, unit) {
+  return meters * getLengthUnit(unit).perMeter;
+}
+
+/**
+ * Convert a value typed in a unit back to meters
+ * @param {number} value
+ * @param {string} unit - Value of LENGTH_UNITS
+ * @returns {number}
+ */
+export function fromLengthUnit(value, unit) {
+  return value / getLengthUnit(unit).perMeter;
+}
+
+/**
+ * Format a length for display
+ * @param {number} meters
+ * @param {string} unit - Value of LENGTH_UNITS
+ * @returns {string} e.g. "2.35 m", "235.0 cm" or "7' 8.5""
+ */
+export function formatLength(meters, unit) {
+  if (unit !== 'ft') {
+    const { symbol, precision } = getLengthUnit(unit);
+    return `${toLengthUnit(meters, unit).toFixed(precision)} ${symbol}`;
+  }
+  // Rounded to a tenth of an inch first, so 11.96" does not show as 0' 12.0"
+  const tenths = Math.round(Math.abs(meters) / METERS_PER_INCH * 10);
+  const feet = Math.floor(tenths / 120);
+  const inches = ((tenths - feet * 120) / 10).toFixed(1);
+  const sign = meters < 0 ? '-' : '';
+  return feet > 0 ? `${sign}${feet}' ${inches}"` : `${sign}${inches}"`;
+}